@@ -1,7 +1,13 @@
+import { ProtectedRoute } from "@/components/ProtectedRoute"
 import { Toaster } from "@/components/ui/sonner"
 import { TooltipProvider } from "@/components/ui/tooltip"
+import AdminAudit from "@/pages/admin-audit"
 import Home from "@/pages/home"
+import Invite from "@/pages/invite"
+import Members from "@/pages/members"
+import NewOrganization from "@/pages/new-organization"
 import NotFound from "@/pages/not-found"
+import Pricing from "@/pages/pricing"
 import { QueryClientProvider } from "@tanstack/react-query"
 import { Route, Switch } from "wouter"
 import { queryClient } from "./lib/queryClient"
@@ -10,6 +16,27 @@ function Router() {
   return (
     <Switch>
       <Route path="/" component={Home} />
+      <Route path="/pricing" component={Pricing} />
+      <Route path="/members">
+        <ProtectedRoute>
+          <Members />
+        </ProtectedRoute>
+      </Route>
+      <Route path="/organizations/new">
+        <ProtectedRoute>
+          <NewOrganization />
+        </ProtectedRoute>
+      </Route>
+      <Route path="/admin/audit">
+        <ProtectedRoute roles={["admin"]}>
+          <AdminAudit />
+        </ProtectedRoute>
+      </Route>
+      <Route path="/invite">
+        <ProtectedRoute>
+          <Invite />
+        </ProtectedRoute>
+      </Route>
       <Route component={NotFound} />
     </Switch>
   )
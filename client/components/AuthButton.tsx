@@ -1,3 +1,4 @@
+import { responsiveImage } from "@/components/Image"
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
 import { Button } from "@/components/ui/button"
 import {
@@ -8,8 +9,50 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu"
+import { AuthProvider, useAuthProviders } from "@/hooks/useAuthProviders"
 import { signIn, signOut, useSession } from "next-auth/react"
 
+// OAuth/OIDC providers redirect straight away; email and credentials
+// providers need a form, which the Auth.js sign-in page renders
+function signInWith(provider?: AuthProvider) {
+  if (provider && (provider.type === "oauth" || provider.type === "oidc")) {
+    return signIn(provider.id)
+  }
+  return signIn()
+}
+
+function SignInButton() {
+  const { providers, isLoading } = useAuthProviders()
+
+  if (isLoading) {
+    return <Button disabled>Loading...</Button>
+  }
+
+  if (providers.length <= 1) {
+    return <Button onClick={() => signInWith(providers[0])}>Sign in</Button>
+  }
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button>Sign in</Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent className="w-56" align="end">
+        <DropdownMenuLabel>Sign in with</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {providers.map((provider) => (
+          <DropdownMenuItem
+            key={provider.id}
+            onClick={() => signInWith(provider)}
+          >
+            {provider.name}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
 export function AuthButton() {
   const { data: session, status } = useSession()
 
@@ -18,7 +61,7 @@ export function AuthButton() {
   }
 
   if (status === "unauthenticated") {
-    return <Button onClick={() => signIn("grail")}>Sign in</Button>
+    return <SignInButton />
   }
 
   return (
@@ -27,7 +70,10 @@ export function AuthButton() {
         <Button variant="ghost" className="relative h-8 w-8 rounded-full">
           <Avatar className="h-8 w-8">
             <AvatarImage
-              src={session?.user?.image || ""}
+              {...responsiveImage(session?.user?.image || "", {
+                width: 32,
+                height: 32,
+              })}
               alt={session?.user?.name || ""}
             />
             <AvatarFallback>{session?.user?.name?.[0] || "U"}</AvatarFallback>
@@ -0,0 +1,86 @@
+import { fileIdFromUrl, IMAGE_SIZES, ImageFit, imageUrl } from "@/shared/images"
+import { forwardRef, ImgHTMLAttributes } from "react"
+
+interface ResponsiveImageOptions {
+  // Rendered size in CSS pixels; omit width for fluid images
+  width?: number
+  height?: number
+  fit?: ImageFit
+  quality?: number
+  sizes?: string
+}
+
+// src/srcSet/sizes for an uploaded file's URL (file.url), served by the
+// image endpoint in the format the browser prefers. Other URLs (e.g. OAuth
+// avatars) are used as is.
+export function responsiveImage(
+  src: string,
+  options: ResponsiveImageOptions = {}
+): Pick<ImgHTMLAttributes<HTMLImageElement>, "src" | "srcSet" | "sizes"> {
+  const fileId = fileIdFromUrl(src)
+  if (!fileId) return { src }
+
+  const { width, height, fit, quality } = options
+  const url = (w: number) =>
+    imageUrl(fileId, {
+      width: w,
+      height: width && height ? Math.round((height * w) / width) : undefined,
+      fit,
+      quality,
+    })
+
+  // Fixed size: the exact width for 1x and double for high-DPI screens
+  if (width) {
+    return {
+      src: url(width),
+      srcSet: `${url(width)} 1x, ${url(width * 2)} 2x`,
+    }
+  }
+
+  // Fluid: the browser picks a width based on `sizes`
+  return {
+    src: url(1080),
+    srcSet: IMAGE_SIZES.map((w) => `${url(w)} ${w}w`).join(", "),
+    sizes: options.sizes ?? "100vw",
+  }
+}
+
+export interface ImageProps
+  extends Omit<
+      ImgHTMLAttributes<HTMLImageElement>,
+      "src" | "srcSet" | "width" | "height"
+    >,
+    ResponsiveImageOptions {
+  src: string
+}
+
+// <img> with a srcset of resized WebP/AVIF variants for uploaded files:
+//   <Image src={file.url} width={64} height={64} alt="" />   // fixed, cropped
+//   <Image src={file.url} sizes="(min-width: 768px) 50vw, 100vw" alt="" />
+export const Image = forwardRef<HTMLImageElement, ImageProps>(
+  (
+    {
+      src,
+      width,
+      height,
+      fit,
+      quality,
+      sizes,
+      loading = "lazy",
+      decoding = "async",
+      ...props
+    },
+    ref
+  ) => (
+    <img
+      ref={ref}
+      width={width}
+      height={height}
+      loading={loading}
+      decoding={decoding}
+      {...responsiveImage(src, { width, height, fit, quality, sizes })}
+      {...props}
+    />
+  )
+)
+Image.displayName = "Image"
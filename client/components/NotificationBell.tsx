@@ -0,0 +1,102 @@
+import { Button } from "@/components/ui/button"
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import { useNotifications } from "@/hooks/useNotifications"
+import { cn } from "@/lib/utils"
+import { formatDistanceToNow } from "date-fns"
+import { Bell } from "lucide-react"
+import { navigate } from "wouter/use-browser-location"
+
+// Bell with the unread count and a dropdown of recent notifications. New
+// notifications also show up as toasts. Renders nothing when signed out.
+export function NotificationBell() {
+  const { notifications, unreadCount, isSignedIn, markRead, markAllRead } =
+    useNotifications()
+
+  if (!isSignedIn) return null
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="relative"
+          aria-label={
+            unreadCount > 0
+              ? `Notifications (${unreadCount} unread)`
+              : "Notifications"
+          }
+        >
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute right-1 top-1 flex h-4 min-w-4 items-center justify-center rounded-full bg-destructive px-1 text-[10px] font-semibold leading-none text-white">
+              {unreadCount > 99 ? "99+" : unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent className="w-80" align="end">
+        <DropdownMenuLabel className="flex items-center justify-between">
+          Notifications
+          {unreadCount > 0 && (
+            <button
+              type="button"
+              className="text-xs font-normal text-muted-foreground hover:text-foreground"
+              onClick={markAllRead}
+            >
+              Mark all as read
+            </button>
+          )}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {notifications.length === 0 ? (
+          <p className="px-2 py-6 text-center text-sm text-muted-foreground">
+            No notifications yet
+          </p>
+        ) : (
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.map((notification) => (
+              <DropdownMenuItem
+                key={notification.id}
+                className="flex items-start gap-2"
+                onClick={() => {
+                  if (!notification.readAt) markRead(notification.id)
+                  if (notification.url) navigate(notification.url)
+                }}
+              >
+                <span
+                  className={cn(
+                    "mt-1.5 h-2 w-2 shrink-0 rounded-full",
+                    notification.readAt ? "bg-transparent" : "bg-primary"
+                  )}
+                />
+                <div className="flex flex-col gap-0.5">
+                  <p className="text-sm font-medium leading-snug">
+                    {notification.title}
+                  </p>
+                  {notification.body && (
+                    <p className="text-xs text-muted-foreground">
+                      {notification.body}
+                    </p>
+                  )}
+                  <p className="text-xs text-muted-foreground">
+                    {formatDistanceToNow(notification.createdAt, {
+                      addSuffix: true,
+                    })}
+                  </p>
+                </div>
+              </DropdownMenuItem>
+            ))}
+          </div>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
@@ -0,0 +1,129 @@
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu"
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarGroup,
+  SidebarHeader,
+  SidebarInset,
+  SidebarMenu,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarProvider,
+  SidebarTrigger,
+} from "@/components/ui/sidebar"
+import { useOrganizations } from "@/hooks/useOrganizations"
+import { Check, ChevronsUpDown, Home, Plus, Users } from "lucide-react"
+import { ReactNode } from "react"
+import { toast } from "sonner"
+import { Link, useLocation } from "wouter"
+import { AuthButton } from "./AuthButton"
+import { NotificationBell } from "./NotificationBell"
+
+const NAV_ITEMS = [
+  { href: "/", label: "Home", icon: Home },
+  { href: "/members", label: "Members", icon: Users },
+]
+
+function OrganizationSwitcher() {
+  const { organizations, current, switchTo } = useOrganizations()
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <SidebarMenuButton size="lg">
+          <div className="flex flex-col gap-0.5 leading-none">
+            <span className="font-semibold">
+              {current?.name ?? "No organization"}
+            </span>
+            {current && (
+              <span className="text-xs capitalize text-muted-foreground">
+                {current.role}
+              </span>
+            )}
+          </div>
+          <ChevronsUpDown className="ml-auto" />
+        </SidebarMenuButton>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent className="w-56" align="start">
+        <DropdownMenuLabel>Organizations</DropdownMenuLabel>
+        {organizations.map((org) => (
+          <DropdownMenuItem
+            key={org.id}
+            onClick={() =>
+              org.id !== current?.id &&
+              switchTo.mutate(org.id, {
+                onError: (error) =>
+                  toast.error("Could not switch organization", {
+                    description: error.message,
+                  }),
+              })
+            }
+          >
+            {org.name}
+            {org.id === current?.id && <Check className="ml-auto h-4 w-4" />}
+          </DropdownMenuItem>
+        ))}
+        <DropdownMenuSeparator />
+        <DropdownMenuItem asChild>
+          <Link href="/organizations/new">
+            <Plus className="h-4 w-4" />
+            New organization
+          </Link>
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+// App shell for pages that work within the active organization: a sidebar
+// with the organization switcher and navigation
+export function OrganizationLayout({ children }: { children: ReactNode }) {
+  const [location] = useLocation()
+
+  return (
+    <SidebarProvider>
+      <Sidebar>
+        <SidebarHeader>
+          <SidebarMenu>
+            <SidebarMenuItem>
+              <OrganizationSwitcher />
+            </SidebarMenuItem>
+          </SidebarMenu>
+        </SidebarHeader>
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarMenu>
+              {NAV_ITEMS.map(({ href, label, icon: Icon }) => (
+                <SidebarMenuItem key={href}>
+                  <SidebarMenuButton asChild isActive={location === href}>
+                    <Link href={href}>
+                      <Icon />
+                      <span>{label}</span>
+                    </Link>
+                  </SidebarMenuButton>
+                </SidebarMenuItem>
+              ))}
+            </SidebarMenu>
+          </SidebarGroup>
+        </SidebarContent>
+      </Sidebar>
+      <SidebarInset>
+        <header className="flex h-14 items-center gap-2 border-b px-4">
+          <SidebarTrigger />
+          <div className="ml-auto flex items-center gap-2">
+            <NotificationBell />
+            <AuthButton />
+          </div>
+        </header>
+        <main className="flex-1 p-6">{children}</main>
+      </SidebarInset>
+    </SidebarProvider>
+  )
+}
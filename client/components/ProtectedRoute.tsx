@@ -1,16 +1,23 @@
-import { useSession } from "next-auth/react"
+import { useUser } from "@/hooks/useUser"
+import { Role } from "@/shared/auth"
 import { ReactNode } from "react"
 import { AuthButton } from "./AuthButton"
 
 interface ProtectedRouteProps {
   children: ReactNode
   fallback?: ReactNode
+  // Only render children for users with one of these roles
+  roles?: Role[]
 }
 
-export function ProtectedRoute({ children, fallback }: ProtectedRouteProps) {
-  const { data: session, status } = useSession()
+export function ProtectedRoute({
+  children,
+  fallback,
+  roles,
+}: ProtectedRouteProps) {
+  const { isLoading, isUnauthenticated, hasRole } = useUser()
 
-  if (status === "loading") {
+  if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
         <div className="text-center">
@@ -21,7 +28,7 @@ export function ProtectedRoute({ children, fallback }: ProtectedRouteProps) {
     )
   }
 
-  if (status === "unauthenticated") {
+  if (isUnauthenticated) {
     return (
       fallback || (
         <div className="flex items-center justify-center min-h-screen">
@@ -37,5 +44,18 @@ export function ProtectedRoute({ children, fallback }: ProtectedRouteProps) {
     )
   }
 
+  if (roles && !hasRole(...roles)) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold mb-4">Access Denied</h1>
+          <p className="text-gray-600">
+            You do not have permission to view this page.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
   return <>{children}</>
 }
@@ -0,0 +1,21 @@
+import { useQuery } from "@tanstack/react-query"
+
+export interface AuthProvider {
+  id: string
+  name: string
+  type: "oauth" | "oidc" | "email" | "credentials" | "webauthn"
+  signinUrl: string
+  callbackUrl: string
+}
+
+// Providers enabled on the server (see server/lib/auth-providers.ts)
+export function useAuthProviders() {
+  const { data, isLoading } = useQuery<Record<string, AuthProvider>>({
+    queryKey: ["/api/auth/providers"],
+  })
+
+  return {
+    providers: data ? Object.values(data) : [],
+    isLoading,
+  }
+}
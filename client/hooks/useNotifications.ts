@@ -0,0 +1,80 @@
+import { apiQueryKey, useApiMutation, useOptionalApiQuery } from "@/lib/api"
+import { queryClient } from "@/lib/queryClient"
+import { api, notificationSchema } from "@/shared/api"
+import {
+  NOTIFICATION_EVENT,
+  NOTIFICATIONS_STREAM_URL,
+} from "@/shared/notifications"
+import { useEffect } from "react"
+import { toast } from "sonner"
+import { navigate } from "wouter/use-browser-location"
+
+function refreshNotifications() {
+  return queryClient.invalidateQueries({
+    queryKey: apiQueryKey(api.notifications.list),
+  })
+}
+
+// One stream per tab, however many components use the hook; new
+// notifications are toasted once
+let stream: EventSource | null = null
+let streamUsers = 0
+
+function openStream() {
+  streamUsers++
+  if (stream) return
+
+  stream = new EventSource(NOTIFICATIONS_STREAM_URL, { withCredentials: true })
+  stream.addEventListener(NOTIFICATION_EVENT, (event) => {
+    const notification = notificationSchema.parse(
+      JSON.parse((event as MessageEvent).data)
+    )
+    refreshNotifications()
+
+    const { url } = notification
+    toast(notification.title, {
+      description: notification.body ?? undefined,
+      action: url ? { label: "View", onClick: () => navigate(url) } : undefined,
+    })
+  })
+  // Catch up on notifications missed while disconnected
+  stream.addEventListener("open", refreshNotifications)
+  stream.addEventListener("sync", refreshNotifications)
+}
+
+function closeStream() {
+  streamUsers--
+  if (streamUsers === 0) {
+    stream?.close()
+    stream = null
+  }
+}
+
+export function useNotifications() {
+  // null when signed out
+  const { data, isLoading } = useOptionalApiQuery(api.notifications.list)
+  const isSignedIn = !!data
+
+  useEffect(() => {
+    if (!isSignedIn) return
+    openStream()
+    return closeStream
+  }, [isSignedIn])
+
+  const markRead = useApiMutation(api.notifications.markRead, {
+    onSuccess: refreshNotifications,
+  })
+
+  const markAllRead = useApiMutation(api.notifications.markAllRead, {
+    onSuccess: refreshNotifications,
+  })
+
+  return {
+    notifications: data?.notifications ?? [],
+    unreadCount: data?.unreadCount ?? 0,
+    isLoading,
+    isSignedIn,
+    markRead: (id: string) => markRead.mutate({ params: { id } }),
+    markAllRead: () => markAllRead.mutate(),
+  }
+}
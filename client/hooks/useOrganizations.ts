@@ -0,0 +1,47 @@
+import { useApiMutation, useOptionalApiQuery } from "@/lib/api"
+import { withCsrfHeader } from "@/lib/csrf"
+import { queryClient, throwIfResNotOk } from "@/lib/queryClient"
+import { api } from "@/shared/api"
+import { useMutation } from "@tanstack/react-query"
+import { getCsrfToken } from "next-auth/react"
+
+// Stores the active organization in the session (the jwt callback in
+// server/routes/auth.ts checks the membership). Everything cached belonged
+// to the previous organization, so all queries are refetched.
+export async function switchOrganization(organizationId: string) {
+  const res = await fetch("/api/auth/session", {
+    method: "POST",
+    headers: withCsrfHeader("POST", { "Content-Type": "application/json" }),
+    body: JSON.stringify({
+      csrfToken: await getCsrfToken(),
+      data: { activeOrganizationId: organizationId },
+    }),
+    credentials: "include",
+  })
+  await throwIfResNotOk(res)
+  await queryClient.invalidateQueries()
+}
+
+export function useOrganizations() {
+  // null when signed out
+  const { data, isLoading } = useOptionalApiQuery(api.organizations.list)
+  const organizations = data?.organizations ?? []
+  const current =
+    organizations.find((org) => org.id === data?.activeOrganizationId) ?? null
+
+  const create = useApiMutation(api.organizations.create, {
+    // A new organization becomes the active one
+    onSuccess: (organization) => switchOrganization(organization.id),
+  })
+
+  const switchTo = useMutation({ mutationFn: switchOrganization })
+
+  return {
+    organizations,
+    current,
+    isLoading,
+    isSignedIn: !!data,
+    create,
+    switchTo,
+  }
+}
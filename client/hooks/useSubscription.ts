@@ -0,0 +1,34 @@
+import { useApiMutation, useOptionalApiQuery } from "@/lib/api"
+import { api } from "@/shared/api"
+
+// Stripe-hosted pages (Checkout, Customer Portal) are opened by redirecting
+function redirectTo({ url }: { url: string | null }) {
+  if (url) window.location.href = url
+}
+
+export function useSubscription() {
+  // null when signed out
+  const { data: status, isLoading } = useOptionalApiQuery(api.billing.status)
+
+  const checkout = useApiMutation(api.billing.checkout, {
+    onSuccess: redirectTo,
+  })
+
+  const portal = useApiMutation(api.billing.portal, {
+    onSuccess: redirectTo,
+  })
+
+  const hasEntitlement = (feature: string) =>
+    !!status?.entitlements.includes(feature)
+
+  return {
+    status,
+    subscription: status?.subscription ?? null,
+    isLoading,
+    isSignedIn: !!status,
+    isPro: hasEntitlement("pro"),
+    hasEntitlement,
+    checkout,
+    portal,
+  }
+}
@@ -0,0 +1,161 @@
+import { apiQueryKey, callApi } from "@/lib/api"
+import { ApiError } from "@/lib/api-error"
+import { withCsrfHeader } from "@/lib/csrf"
+import { api, RouteOutput } from "@/shared/api"
+import { useQueryClient } from "@tanstack/react-query"
+import { useCallback, useRef, useState } from "react"
+
+export type UploadedFile = RouteOutput<typeof api.files.upload>
+
+// "direct" PUTs the file to a presigned storage URL (the R2 bucket needs a
+// CORS rule allowing PUT from the app's origin); "multipart" streams it
+// through the server
+export type UploadMode = "direct" | "multipart"
+
+export interface UploadProgress {
+  loaded: number
+  total: number
+  // 0-100
+  percent: number
+}
+
+interface SendOptions {
+  method: string
+  url: string
+  headers: Record<string, string>
+  body: Blob | FormData
+  signal: AbortSignal
+  onProgress: (progress: UploadProgress) => void
+}
+
+// fetch() can't report upload progress, so uploads use XMLHttpRequest
+function send(options: SendOptions): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open(options.method, options.url)
+    // Only this app's own routes get the session cookie and CSRF token
+    const sameOrigin = options.url.startsWith("/")
+    xhr.withCredentials = sameOrigin
+    const headers = sameOrigin
+      ? withCsrfHeader(options.method, options.headers)
+      : options.headers
+    for (const [name, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(name, value)
+    }
+
+    xhr.upload.onprogress = (event) => {
+      if (!event.lengthComputable) return
+      options.onProgress({
+        loaded: event.loaded,
+        total: event.total,
+        percent: Math.round((event.loaded / event.total) * 100),
+      })
+    }
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300)
+        return resolve(xhr.responseText)
+      const res = new Response(xhr.responseText, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: {
+          "Content-Type": xhr.getResponseHeader("Content-Type") ?? "text/plain",
+          "X-Request-Id": xhr.getResponseHeader("X-Request-Id") ?? "",
+        },
+      })
+      ApiError.fromResponse(res).then(reject, reject)
+    }
+    xhr.onerror = () => reject(new Error("Upload failed"))
+    xhr.onabort = () => reject(new DOMException("Upload aborted", "AbortError"))
+    options.signal.addEventListener("abort", () => xhr.abort())
+
+    xhr.send(options.body)
+  })
+}
+
+// Uploads a file and tracks its progress, e.g.
+//   const { upload, progress, isUploading } = useUpload()
+//   const file = await upload(event.target.files[0])
+//   <img src={file.url} />
+export function useUpload(options: { mode?: UploadMode } = {}) {
+  const mode = options.mode ?? "direct"
+  const queryClient = useQueryClient()
+  const [progress, setProgress] = useState<UploadProgress | null>(null)
+  const [isUploading, setIsUploading] = useState(false)
+  const [error, setError] = useState<Error | null>(null)
+  const controller = useRef<AbortController | null>(null)
+
+  const upload = useCallback(
+    async (file: File): Promise<UploadedFile> => {
+      controller.current?.abort()
+      const { signal } = (controller.current = new AbortController())
+      setProgress({ loaded: 0, total: file.size, percent: 0 })
+      setIsUploading(true)
+      setError(null)
+
+      try {
+        let uploaded: UploadedFile
+        if (mode === "direct") {
+          const { file: pending, upload: target } = await callApi(
+            api.files.presign,
+            {
+              body: {
+                name: file.name,
+                contentType: file.type || "application/octet-stream",
+                size: file.size,
+              },
+            }
+          )
+          try {
+            await send({
+              ...target,
+              body: file,
+              signal,
+              onProgress: setProgress,
+            })
+            uploaded = await callApi(api.files.complete, {
+              params: { id: pending.id },
+            })
+          } catch (err) {
+            // Don't leave the pending record behind
+            callApi(api.files.delete, { params: { id: pending.id } }).catch(
+              () => {}
+            )
+            throw err
+          }
+        } else {
+          const form = new FormData()
+          form.append("file", file)
+          const body = await send({
+            method: api.files.upload.method,
+            url: api.files.upload.path,
+            headers: {},
+            body: form,
+            signal,
+            onProgress: setProgress,
+          })
+          uploaded = api.files.upload.output.parse(JSON.parse(body))
+        }
+
+        queryClient.invalidateQueries({
+          queryKey: apiQueryKey(api.files.list),
+        })
+        return uploaded
+      } catch (err) {
+        setError(err as Error)
+        throw err
+      } finally {
+        setIsUploading(false)
+      }
+    },
+    [mode, queryClient]
+  )
+
+  const abort = useCallback(() => controller.current?.abort(), [])
+
+  const reset = useCallback(() => {
+    setProgress(null)
+    setError(null)
+  }, [])
+
+  return { upload, progress, isUploading, error, abort, reset }
+}
@@ -1,12 +1,17 @@
+import { hasPermission, Role } from "@/shared/auth"
 import { useSession } from "next-auth/react"
 
 export function useUser() {
   const { data: session, status } = useSession()
+  const user = session?.user
 
   return {
-    user: session?.user,
+    user,
+    role: user?.role as Role | undefined,
     isLoading: status === "loading",
     isAuthenticated: status === "authenticated",
     isUnauthenticated: status === "unauthenticated",
+    hasRole: (...roles: Role[]) => roles.includes(user?.role as Role),
+    hasPermission: (permission: string) => hasPermission(user, permission),
   }
 }
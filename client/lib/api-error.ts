@@ -0,0 +1,57 @@
+import type { ProblemDetails } from "@/shared/errors"
+
+// Thrown by apiRequest, the default query function and the typed API client
+// for non-2xx responses. Branch on it in components:
+//   if (isApiError(error) && error.status === 409) ...
+//   form.setError("email", { message: error.fieldErrors.email?.[0] })
+export class ApiError extends Error {
+  readonly status: number
+  readonly problem: ProblemDetails
+
+  constructor(problem: ProblemDetails) {
+    super(problem.detail ?? problem.title)
+    this.name = "ApiError"
+    this.status = problem.status
+    this.problem = problem
+  }
+
+  get code(): string | undefined {
+    return this.problem.code
+  }
+
+  get requestId(): string | undefined {
+    return this.problem.requestId
+  }
+
+  get fieldErrors(): Record<string, string[]> {
+    return this.problem.fieldErrors ?? {}
+  }
+
+  // Build from a failed response. Non-problem bodies (e.g. from a proxy)
+  // become the detail of a generic problem.
+  static async fromResponse(res: Response): Promise<ApiError> {
+    const text = await res.text()
+    const requestId = res.headers.get("X-Request-Id") ?? undefined
+
+    try {
+      const body = JSON.parse(text)
+      if (body && typeof body.title === "string") {
+        return new ApiError({ requestId, ...body, status: res.status })
+      }
+    } catch {
+      // Not JSON
+    }
+
+    return new ApiError({
+      type: "about:blank",
+      title: res.statusText || `HTTP ${res.status}`,
+      status: res.status,
+      detail: text || undefined,
+      requestId,
+    })
+  }
+}
+
+export function isApiError(error: unknown): error is ApiError {
+  return error instanceof ApiError
+}
@@ -0,0 +1,119 @@
+import type { RouteDefinition, RouteInput, RouteOutput } from "@/shared/api"
+import {
+  useMutation,
+  UseMutationOptions,
+  useQuery,
+  UseQueryOptions,
+} from "@tanstack/react-query"
+import { withCsrfHeader } from "./csrf"
+import { throwIfResNotOk } from "./queryClient"
+
+// Typed client for the routes in shared/api.ts, e.g.
+//   const { data } = useApiQuery(api.billing.status)
+//   const checkout = useApiMutation(api.billing.checkout)
+//   checkout.mutate({ body: { plan: "pro" } })
+
+type InputArgs<D extends RouteDefinition> = {} extends RouteInput<D>
+  ? [input?: RouteInput<D>]
+  : [input: RouteInput<D>]
+
+type AnyInput = { params?: any; query?: any; body?: any }
+
+export function buildUrl(definition: RouteDefinition, input: AnyInput = {}) {
+  const path = definition.path.replace(/:(\w+)/g, (_, name) =>
+    encodeURIComponent(String(input.params?.[name] ?? ""))
+  )
+
+  const search = new URLSearchParams()
+  for (const [key, value] of Object.entries(input.query ?? {})) {
+    if (value !== undefined && value !== null) search.set(key, String(value))
+  }
+
+  const query = search.toString()
+  return query ? `${path}?${query}` : path
+}
+
+async function request<D extends RouteDefinition>(
+  definition: D,
+  input: AnyInput = {},
+  on401: "returnNull" | "throw" = "throw"
+): Promise<RouteOutput<D> | null> {
+  const res = await fetch(buildUrl(definition, input), {
+    method: definition.method,
+    headers: withCsrfHeader(
+      definition.method,
+      input.body ? { "Content-Type": "application/json" } : {}
+    ),
+    body: input.body ? JSON.stringify(input.body) : undefined,
+    credentials: "include",
+  })
+
+  if (on401 === "returnNull" && res.status === 401) {
+    return null
+  }
+
+  await throwIfResNotOk(res)
+
+  if (!definition.output || res.status === 204) {
+    return undefined as RouteOutput<D>
+  }
+  // Parsing also turns ISO date strings back into Date objects
+  return definition.output.parse(await res.json())
+}
+
+export async function callApi<D extends RouteDefinition>(
+  definition: D,
+  ...[input]: InputArgs<D>
+): Promise<RouteOutput<D>> {
+  return (await request(definition, input)) as RouteOutput<D>
+}
+
+// Query key for a route; invalidate every input with apiQueryKey(definition)
+export function apiQueryKey(definition: RouteDefinition, input?: AnyInput) {
+  return input ? [definition.path, input] : [definition.path]
+}
+
+type ApiQueryOptions<D extends RouteDefinition, TData> = Omit<
+  UseQueryOptions<RouteOutput<D>, Error, TData>,
+  "queryKey" | "queryFn"
+>
+
+export function useApiQuery<D extends RouteDefinition, TData = RouteOutput<D>>(
+  definition: D,
+  ...[input, options]: [...InputArgs<D>, options?: ApiQueryOptions<D, TData>]
+) {
+  return useQuery({
+    ...options,
+    queryKey: apiQueryKey(definition, input ?? {}),
+    queryFn: () => callApi(definition, input as RouteInput<D>),
+  })
+}
+
+// Like useApiQuery, but resolves to null instead of failing when signed out
+export function useOptionalApiQuery<D extends RouteDefinition>(
+  definition: D,
+  ...[input]: InputArgs<D>
+) {
+  return useQuery({
+    queryKey: apiQueryKey(definition, input ?? {}),
+    queryFn: () => request(definition, input, "returnNull"),
+  })
+}
+
+type MutationVariables<D extends RouteDefinition> = {} extends RouteInput<D>
+  ? RouteInput<D> | void
+  : RouteInput<D>
+
+export function useApiMutation<D extends RouteDefinition>(
+  definition: D,
+  options?: Omit<
+    UseMutationOptions<RouteOutput<D>, Error, MutationVariables<D>>,
+    "mutationFn"
+  >
+) {
+  return useMutation({
+    ...options,
+    mutationFn: (input: MutationVariables<D>) =>
+      callApi(definition, (input ?? {}) as RouteInput<D>),
+  })
+}
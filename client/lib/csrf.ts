@@ -0,0 +1,22 @@
+import { CSRF_COOKIE, CSRF_HEADER, SECURE_CSRF_COOKIE } from "@/shared/csrf"
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"]
+
+function readCsrfToken(): string | undefined {
+  for (const part of document.cookie.split(";")) {
+    const [key, ...value] = part.trim().split("=")
+    if (key === SECURE_CSRF_COOKIE || key === CSRF_COOKIE) {
+      return decodeURIComponent(value.join("="))
+    }
+  }
+}
+
+// Adds the CSRF token header (see shared/csrf.ts) to unsafe requests
+export function withCsrfHeader(
+  method: string,
+  headers: Record<string, string> = {}
+): Record<string, string> {
+  if (SAFE_METHODS.includes(method.toUpperCase())) return headers
+  const token = readCsrfToken()
+  return token ? { ...headers, [CSRF_HEADER]: token } : headers
+}
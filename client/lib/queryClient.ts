@@ -1,9 +1,11 @@
 import { QueryClient, QueryFunction } from "@tanstack/react-query"
+import { ApiError } from "./api-error"
+import { withCsrfHeader } from "./csrf"
 
-async function throwIfResNotOk(res: Response) {
+// Throws an ApiError carrying the server's problem details
+export async function throwIfResNotOk(res: Response) {
   if (!res.ok) {
-    const text = (await res.text()) || res.statusText
-    throw new Error(`${res.status}: ${text}`)
+    throw await ApiError.fromResponse(res)
   }
 }
 
@@ -14,7 +16,10 @@ export async function apiRequest(
 ): Promise<Response> {
   const res = await fetch(url, {
     method,
-    headers: data ? { "Content-Type": "application/json" } : {},
+    headers: withCsrfHeader(
+      method,
+      data ? { "Content-Type": "application/json" } : {}
+    ),
     body: data ? JSON.stringify(data) : undefined,
   })
 
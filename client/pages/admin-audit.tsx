@@ -0,0 +1,256 @@
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from "@/components/ui/pagination"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { useApiQuery } from "@/lib/api"
+import { api, RouteOutput } from "@/shared/api"
+import { format } from "date-fns"
+import { FormEvent, MouseEvent } from "react"
+import { Link, useLocation, useSearch } from "wouter"
+
+type AuditLogEntry = RouteOutput<
+  typeof api.admin.listAuditLogs
+>["entries"][number]
+
+const FILTERS = [
+  { name: "action", placeholder: "Action, e.g. auth." },
+  { name: "actorId", placeholder: "Actor ID" },
+  { name: "model", placeholder: "Model, e.g. User" },
+  { name: "recordId", placeholder: "Record ID" },
+] as const
+
+function formatValue(value: unknown) {
+  if (value === undefined) return "∅"
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+function Changes({ entry }: { entry: AuditLogEntry }) {
+  if (!entry.diff) {
+    return entry.metadata ? (
+      <code className="text-xs text-muted-foreground">
+        {JSON.stringify(entry.metadata)}
+      </code>
+    ) : null
+  }
+
+  return (
+    <ul className="space-y-0.5 text-xs">
+      {Object.entries(entry.diff).map(([field, { from, to }]) => (
+        <li key={field}>
+          <span className="font-medium">{field}</span>:{" "}
+          <span className="text-muted-foreground">{formatValue(from)}</span>
+          {" → "}
+          {formatValue(to)}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Page numbers around the current page, with null for gaps
+function pageNumbers(page: number, pageCount: number): (number | null)[] {
+  const pages: (number | null)[] = []
+  for (let n = 1; n <= pageCount; n++) {
+    if (n === 1 || n === pageCount || Math.abs(n - page) <= 1) {
+      pages.push(n)
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null)
+    }
+  }
+  return pages
+}
+
+export default function AdminAudit() {
+  const search = useSearch()
+  const [, setLocation] = useLocation()
+  const params = new URLSearchParams(search)
+
+  const query = {
+    page: Number(params.get("page")) || 1,
+    pageSize: 50,
+    ...Object.fromEntries(
+      FILTERS.flatMap(({ name }) =>
+        params.get(name) ? [[name, params.get(name)!]] : []
+      )
+    ),
+  }
+  const { data, isLoading, error } = useApiQuery(api.admin.listAuditLogs, {
+    query,
+  })
+
+  // Client-side navigation for the pagination anchors
+  const pageLink = (page: number) => {
+    const next = new URLSearchParams(search)
+    next.set("page", String(page))
+    const href = `/admin/audit?${next}`
+    return {
+      href,
+      onClick: (event: MouseEvent) => {
+        event.preventDefault()
+        setLocation(href)
+      },
+    }
+  }
+
+  const onSubmit = (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    const next = new URLSearchParams()
+    new FormData(event.currentTarget).forEach((value, name) => {
+      if (typeof value === "string" && value.trim()) {
+        next.set(name, value.trim())
+      }
+    })
+    setLocation(`/admin/audit?${next}`)
+  }
+
+  const pageCount = data
+    ? Math.max(1, Math.ceil(data.total / data.pageSize))
+    : 1
+
+  return (
+    <div className="mx-auto max-w-6xl space-y-6 px-4 py-10">
+      <div>
+        <h1 className="text-3xl font-bold">Audit log</h1>
+        <p className="text-muted-foreground">
+          Sign-ins, role, API key and billing changes, newest first.
+        </p>
+      </div>
+
+      {/* key resets the inputs when the filters in the URL change */}
+      <form key={search} onSubmit={onSubmit} className="flex flex-wrap gap-2">
+        {FILTERS.map(({ name, placeholder }) => (
+          <Input
+            key={name}
+            name={name}
+            placeholder={placeholder}
+            defaultValue={params.get(name) ?? ""}
+            className="w-48"
+          />
+        ))}
+        <Button type="submit">Filter</Button>
+        <Button variant="ghost" asChild>
+          <Link href="/admin/audit">Clear</Link>
+        </Button>
+      </form>
+
+      {error ? (
+        <p className="text-destructive">{error.message}</p>
+      ) : (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Time</TableHead>
+              <TableHead>Actor</TableHead>
+              <TableHead>Action</TableHead>
+              <TableHead>Record</TableHead>
+              <TableHead>Changes</TableHead>
+              <TableHead>IP</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center">
+                  Loading...
+                </TableCell>
+              </TableRow>
+            ) : data?.entries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center">
+                  No entries
+                </TableCell>
+              </TableRow>
+            ) : (
+              data?.entries.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell className="whitespace-nowrap">
+                    {format(entry.createdAt, "yyyy-MM-dd HH:mm:ss")}
+                  </TableCell>
+                  <TableCell>
+                    {entry.actor ? (
+                      <span title={entry.actor.id}>
+                        {entry.actor.name ?? entry.actor.email}
+                      </span>
+                    ) : (
+                      <span className="text-muted-foreground">
+                        {entry.actorId ? "Deleted user" : "System"}
+                      </span>
+                    )}
+                    {entry.apiKeyId && (
+                      <span className="block text-xs text-muted-foreground">
+                        via API key
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell className="font-mono text-xs">
+                    {entry.action}
+                  </TableCell>
+                  <TableCell className="text-xs">
+                    {entry.model}
+                    {entry.recordId && (
+                      <span className="block font-mono text-muted-foreground">
+                        {entry.recordId}
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell className="max-w-sm">
+                    <Changes entry={entry} />
+                  </TableCell>
+                  <TableCell className="text-xs" title={entry.requestId ?? ""}>
+                    {entry.ip}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      )}
+
+      {data && pageCount > 1 && (
+        <Pagination>
+          <PaginationContent>
+            {data.page > 1 && (
+              <PaginationItem>
+                <PaginationPrevious {...pageLink(data.page - 1)} />
+              </PaginationItem>
+            )}
+            {pageNumbers(data.page, pageCount).map((page, index) => (
+              <PaginationItem key={page ?? `gap-${index}`}>
+                {page === null ? (
+                  <PaginationEllipsis />
+                ) : (
+                  <PaginationLink
+                    {...pageLink(page)}
+                    isActive={page === data.page}
+                  >
+                    {page}
+                  </PaginationLink>
+                )}
+              </PaginationItem>
+            ))}
+            {data.page < pageCount && (
+              <PaginationItem>
+                <PaginationNext {...pageLink(data.page + 1)} />
+              </PaginationItem>
+            )}
+          </PaginationContent>
+        </Pagination>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+import { Button } from "@/components/ui/button"
+import {
+  Card,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import { switchOrganization } from "@/hooks/useOrganizations"
+import { useApiMutation } from "@/lib/api"
+import { api } from "@/shared/api"
+import { toast } from "sonner"
+import { useLocation, useSearch } from "wouter"
+
+// Landing page for the link in invitation emails (/invite?token=...)
+export default function Invite() {
+  const [, setLocation] = useLocation()
+  const token = new URLSearchParams(useSearch()).get("token")
+
+  const accept = useApiMutation(api.organizations.acceptInvitation, {
+    onSuccess: async (organization) => {
+      await switchOrganization(organization.id)
+      toast.success(`You joined ${organization.name}`)
+      setLocation("/members")
+    },
+  })
+
+  return (
+    <div className="flex items-center justify-center min-h-screen px-4">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>Join organization</CardTitle>
+          <CardDescription>
+            {!token
+              ? "This invitation link is incomplete. Ask for a new invitation."
+              : accept.error
+              ? accept.error.message
+              : "You were invited to join an organization."}
+          </CardDescription>
+        </CardHeader>
+        {token && (
+          <CardFooter>
+            <Button
+              className="w-full"
+              disabled={accept.isPending}
+              onClick={() => accept.mutate({ body: { token } })}
+            >
+              Accept invitation
+            </Button>
+          </CardFooter>
+        )}
+      </Card>
+    </div>
+  )
+}
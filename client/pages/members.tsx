@@ -0,0 +1,272 @@
+import { OrganizationLayout } from "@/components/OrganizationLayout"
+import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar"
+import { Button } from "@/components/ui/button"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form"
+import { Input } from "@/components/ui/input"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { useOrganizations } from "@/hooks/useOrganizations"
+import { useUser } from "@/hooks/useUser"
+import { apiQueryKey, useApiMutation, useApiQuery } from "@/lib/api"
+import { queryClient } from "@/lib/queryClient"
+import { api, RouteDefinition } from "@/shared/api"
+import { hasOrgRole, ORG_ROLES, OrgRole } from "@/shared/organizations"
+import { InviteMemberInput, inviteMemberSchema } from "@/shared/schemas"
+import { zodResolver } from "@hookform/resolvers/zod"
+import { useForm } from "react-hook-form"
+import { toast } from "sonner"
+import { Link } from "wouter"
+
+function refresh(...definitions: RouteDefinition[]) {
+  definitions.forEach((definition) =>
+    queryClient.invalidateQueries({ queryKey: apiQueryKey(definition) })
+  )
+}
+
+const showError = (title: string) => (error: Error) =>
+  toast.error(title, { description: error.message })
+
+function RoleSelect({
+  value,
+  onChange,
+  disabled,
+}: {
+  value: string
+  onChange: (role: OrgRole) => void
+  disabled?: boolean
+}) {
+  return (
+    <Select value={value} onValueChange={onChange} disabled={disabled}>
+      <SelectTrigger className="w-28 capitalize">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {ORG_ROLES.map((role) => (
+          <SelectItem key={role} value={role} className="capitalize">
+            {role}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
+
+function InviteForm() {
+  const form = useForm<InviteMemberInput>({
+    resolver: zodResolver(inviteMemberSchema),
+    defaultValues: { email: "", role: "member" },
+  })
+
+  const invite = useApiMutation(api.organizations.invite, {
+    onSuccess: (invitation) => {
+      toast.success(`Invitation sent to ${invitation.email}`)
+      form.reset()
+      refresh(api.organizations.invitations)
+    },
+    onError: showError("Could not send invitation"),
+  })
+
+  const onSubmit = (values: InviteMemberInput) => {
+    invite.mutate({ body: values })
+  }
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onSubmit)} className="flex gap-2">
+        <FormField
+          control={form.control}
+          name="email"
+          render={({ field }) => (
+            <FormItem className="flex-1">
+              <FormLabel className="sr-only">Email</FormLabel>
+              <FormControl>
+                <Input placeholder="colleague@example.com" {...field} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <FormField
+          control={form.control}
+          name="role"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel className="sr-only">Role</FormLabel>
+              <RoleSelect value={field.value} onChange={field.onChange} />
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+        <Button type="submit" disabled={invite.isPending}>
+          Invite
+        </Button>
+      </form>
+    </Form>
+  )
+}
+
+function Members() {
+  const { user } = useUser()
+  const { current, isLoading } = useOrganizations()
+  const isAdmin = !!current && hasOrgRole(current.role, "admin")
+
+  const members = useApiQuery(api.organizations.members, undefined, {
+    enabled: !!current,
+  })
+  const invitations = useApiQuery(api.organizations.invitations, undefined, {
+    enabled: isAdmin,
+  })
+
+  const updateMember = useApiMutation(api.organizations.updateMember, {
+    onSuccess: () => refresh(api.organizations.members),
+    onError: showError("Could not change role"),
+  })
+  const removeMember = useApiMutation(api.organizations.removeMember, {
+    onSuccess: () => refresh(api.organizations.members, api.organizations.list),
+    onError: showError("Could not remove member"),
+  })
+  const revokeInvitation = useApiMutation(api.organizations.revokeInvitation, {
+    onSuccess: () => refresh(api.organizations.invitations),
+    onError: showError("Could not revoke invitation"),
+  })
+
+  if (isLoading) return null
+
+  if (!current) {
+    return (
+      <div className="text-center">
+        <p className="mb-4 text-muted-foreground">
+          You are not part of an organization yet.
+        </p>
+        <Button asChild>
+          <Link href="/organizations/new">Create an organization</Link>
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mx-auto max-w-3xl space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Members</CardTitle>
+          <CardDescription>People in {current.name}</CardDescription>
+        </CardHeader>
+        <CardContent className="divide-y">
+          {members.data?.map((member) => {
+            const isSelf = member.userId === user?.id
+            return (
+              <div key={member.userId} className="flex items-center gap-3 py-3">
+                <Avatar className="h-8 w-8">
+                  <AvatarImage src={member.image ?? undefined} />
+                  <AvatarFallback>
+                    {(member.name ?? member.email).charAt(0).toUpperCase()}
+                  </AvatarFallback>
+                </Avatar>
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-sm font-medium">
+                    {member.name ?? member.email}
+                    {isSelf && " (you)"}
+                  </p>
+                  <p className="truncate text-xs text-muted-foreground">
+                    {member.email}
+                  </p>
+                </div>
+                {isAdmin ? (
+                  <RoleSelect
+                    value={member.role}
+                    disabled={updateMember.isPending}
+                    onChange={(role) =>
+                      updateMember.mutate({
+                        params: { id: member.userId },
+                        body: { role },
+                      })
+                    }
+                  />
+                ) : (
+                  <span className="text-sm capitalize text-muted-foreground">
+                    {member.role}
+                  </span>
+                )}
+                {(isAdmin || isSelf) && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    disabled={removeMember.isPending}
+                    onClick={() =>
+                      removeMember.mutate({ params: { id: member.userId } })
+                    }
+                  >
+                    {isSelf ? "Leave" : "Remove"}
+                  </Button>
+                )}
+              </div>
+            )
+          })}
+        </CardContent>
+      </Card>
+
+      {isAdmin && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Invitations</CardTitle>
+            <CardDescription>
+              Invitations are emailed and expire after 7 days.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <InviteForm />
+            {invitations.data?.map((invitation) => (
+              <div
+                key={invitation.id}
+                className="flex items-center gap-3 text-sm"
+              >
+                <span className="flex-1 truncate">{invitation.email}</span>
+                <span className="capitalize text-muted-foreground">
+                  {invitation.role}
+                </span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  disabled={revokeInvitation.isPending}
+                  onClick={() =>
+                    revokeInvitation.mutate({ params: { id: invitation.id } })
+                  }
+                >
+                  Revoke
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default function MembersPage() {
+  return (
+    <OrganizationLayout>
+      <Members />
+    </OrganizationLayout>
+  )
+}
@@ -0,0 +1,93 @@
+import { Button } from "@/components/ui/button"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import {
+  Form,
+  FormControl,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from "@/components/ui/form"
+import { Input } from "@/components/ui/input"
+import { useOrganizations } from "@/hooks/useOrganizations"
+import {
+  CreateOrganizationInput,
+  createOrganizationSchema,
+} from "@/shared/schemas"
+import { zodResolver } from "@hookform/resolvers/zod"
+import { useForm } from "react-hook-form"
+import { toast } from "sonner"
+import { useLocation } from "wouter"
+
+export default function NewOrganization() {
+  const [, setLocation] = useLocation()
+  const { create } = useOrganizations()
+  const form = useForm<CreateOrganizationInput>({
+    resolver: zodResolver(createOrganizationSchema),
+    defaultValues: { name: "" },
+  })
+
+  const onSubmit = (values: CreateOrganizationInput) => {
+    create.mutate(
+      { body: values },
+      {
+        onSuccess: (organization) => {
+          toast.success(`Created ${organization.name}`)
+          setLocation("/members")
+        },
+        onError: (error) =>
+          toast.error("Could not create organization", {
+            description: error.message,
+          }),
+      }
+    )
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen px-4">
+      <Card className="w-full max-w-md">
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(onSubmit)}>
+            <CardHeader>
+              <CardTitle>New organization</CardTitle>
+              <CardDescription>
+                Organizations let you work together with your team.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <FormField
+                control={form.control}
+                name="name"
+                render={({ field }) => (
+                  <FormItem>
+                    <FormLabel>Name</FormLabel>
+                    <FormControl>
+                      <Input placeholder="Acme Inc." autoFocus {...field} />
+                    </FormControl>
+                    <FormMessage />
+                  </FormItem>
+                )}
+              />
+            </CardContent>
+            <CardFooter>
+              <Button
+                type="submit"
+                className="w-full"
+                disabled={create.isPending}
+              >
+                Create organization
+              </Button>
+            </CardFooter>
+          </form>
+        </Form>
+      </Card>
+    </div>
+  )
+}
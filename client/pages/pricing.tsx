@@ -0,0 +1,150 @@
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card"
+import { useSubscription } from "@/hooks/useSubscription"
+import { Check } from "lucide-react"
+import { signIn } from "next-auth/react"
+import { useEffect } from "react"
+import { toast } from "sonner"
+import { useSearch } from "wouter"
+
+const FREE_FEATURES = ["Core features", "Community support"]
+const PRO_FEATURES = [
+  "Everything in Free",
+  "Advanced features",
+  "Priority support",
+]
+
+function FeatureList({ features }: { features: string[] }) {
+  return (
+    <ul className="space-y-2 text-sm">
+      {features.map((feature) => (
+        <li key={feature} className="flex items-center gap-2">
+          <Check className="h-4 w-4 text-primary" />
+          {feature}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default function Pricing() {
+  const search = useSearch()
+  const { subscription, isLoading, isSignedIn, isPro, checkout, portal } =
+    useSubscription()
+
+  useEffect(() => {
+    const result = new URLSearchParams(search).get("checkout")
+    if (result === "success") {
+      toast.success("Thanks for upgrading! Your plan will update shortly.")
+    } else if (result === "canceled") {
+      toast("Checkout canceled")
+    }
+  }, [search])
+
+  const renewal = subscription?.currentPeriodEnd
+    ? new Date(subscription.currentPeriodEnd).toLocaleDateString()
+    : null
+
+  return (
+    <div className="flex flex-col items-center min-h-screen px-4 py-16">
+      <div className="text-center max-w-2xl mx-auto mb-12">
+        <h1 className="text-4xl font-bold mb-4">Pricing</h1>
+        <p className="text-lg text-muted-foreground">
+          Start for free and upgrade when you need more.
+        </p>
+      </div>
+
+      <div className="grid gap-6 w-full max-w-3xl md:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Free</CardTitle>
+            <CardDescription>For getting started</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-3xl font-bold">$0</p>
+            <FeatureList features={FREE_FEATURES} />
+          </CardContent>
+        </Card>
+
+        <Card className="border-primary">
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle>Pro</CardTitle>
+              {isPro && <Badge>Current plan</Badge>}
+            </div>
+            <CardDescription>Unlock advanced features</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-3xl font-bold">
+              $10
+              <span className="text-base font-normal text-muted-foreground">
+                /month
+              </span>
+            </p>
+            <FeatureList features={PRO_FEATURES} />
+            {isPro && renewal && (
+              <p className="text-sm text-muted-foreground">
+                {subscription?.cancelAtPeriodEnd
+                  ? `Access ends on ${renewal}`
+                  : `Renews on ${renewal}`}
+              </p>
+            )}
+          </CardContent>
+          <CardFooter>
+            {isLoading ? (
+              <Button className="w-full" disabled>
+                Loading...
+              </Button>
+            ) : !isSignedIn ? (
+              <Button className="w-full" onClick={() => signIn()}>
+                Sign in to upgrade
+              </Button>
+            ) : isPro ? (
+              <Button
+                className="w-full"
+                variant="outline"
+                disabled={portal.isPending}
+                onClick={() =>
+                  portal.mutate(undefined, {
+                    onError: (error) =>
+                      toast.error("Could not open billing portal", {
+                        description: error.message,
+                      }),
+                  })
+                }
+              >
+                Manage billing
+              </Button>
+            ) : (
+              <Button
+                className="w-full"
+                disabled={checkout.isPending}
+                onClick={() =>
+                  checkout.mutate(
+                    { body: { plan: "pro" } },
+                    {
+                      onError: (error) =>
+                        toast.error("Could not start checkout", {
+                          description: error.message,
+                        }),
+                    }
+                  )
+                }
+              >
+                Upgrade to Pro
+              </Button>
+            )}
+          </CardFooter>
+        </Card>
+      </div>
+    </div>
+  )
+}
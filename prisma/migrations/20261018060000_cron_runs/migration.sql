@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "CronRun" (
+    "id" TEXT NOT NULL,
+    "task" TEXT NOT NULL,
+    "scheduledAt" TIMESTAMP(3) NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "error" TEXT,
+    "instance" TEXT NOT NULL,
+
+    CONSTRAINT "CronRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CronRun_task_scheduledAt_key" ON "CronRun"("task", "scheduledAt");
+
+-- CreateIndex
+CREATE INDEX "CronRun_startedAt_idx" ON "CronRun"("startedAt");
@@ -0,0 +1,10 @@
+-- AlterTable
+-- Rows from before this migration were only written once handled
+ALTER TABLE "StripeEvent" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'processed',
+ADD COLUMN "claimedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ALTER COLUMN "processedAt" DROP NOT NULL,
+ALTER COLUMN "processedAt" DROP DEFAULT;
+
+UPDATE "StripeEvent" SET "claimedAt" = "processedAt";
+
+ALTER TABLE "StripeEvent" ALTER COLUMN "status" SET DEFAULT 'processing';
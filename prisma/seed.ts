@@ -0,0 +1,31 @@
+import { PrismaClient } from "@prisma/client"
+import { config } from "dotenv"
+
+config({ path: ".env", quiet: true })
+
+const prisma = new PrismaClient()
+
+// Development data. Safe to run repeatedly: `npx prisma db seed`
+async function main() {
+  const email = process.env.SEED_USER_EMAIL || "demo@example.com"
+
+  const user = await prisma.user.upsert({
+    where: { email },
+    create: {
+      email,
+      name: "Demo User",
+      emailVerified: new Date(),
+      role: "admin",
+    },
+    update: {},
+  })
+
+  console.log(`🌱 Seeded user ${user.email} (${user.id})`)
+}
+
+main()
+  .catch((error) => {
+    console.error("❌ Seeding failed:", error)
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
@@ -7,6 +7,7 @@
  *   APP_SERVICE_ID (preferred; auto-detect if missing)
  *   DATABASE_SERVICE_ID (optional; excluded from auto-detect)
  *   DATABASE_URL (optional; not used directly here)
+ *   HEALTHCHECK_URL (optional; defaults to <service url>/api/ready, "none" to skip)
  *
  * Exit codes:
  *   0  success
@@ -407,8 +408,6 @@ const main = async () => {
     }
   } catch {}
 
-  const HEALTHCHECK_URL = process.env.HEALTHCHECK_URL || ""
-
   // build
   log(
     `Project: ${PROJECT_ID} | Env: ${ENV_ID} | App Service: ${APP_SERVICE_ID}`
@@ -465,7 +464,12 @@ const main = async () => {
   log(`Build Logs: ${buildUrl || "<unknown>"}`)
   log(`Service URL: ${serviceUrl || "<unknown>"}`)
 
-  // healthcheck
+  // healthcheck (the readiness endpoint waits for the database)
+  const HEALTHCHECK_URL =
+    process.env.HEALTHCHECK_URL === "none"
+      ? ""
+      : process.env.HEALTHCHECK_URL ||
+        (serviceUrl ? `${serviceUrl.replace(/\/+$/, "")}/api/ready` : "")
   if (HEALTHCHECK_URL) {
     const pass = await healthcheck(HEALTHCHECK_URL)
     if (!pass) {
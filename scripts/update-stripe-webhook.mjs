@@ -170,7 +170,7 @@ async function manageWebhook() {
       const sandboxId = getSandboxId()
 
       if (sandboxId) {
-        url = `https://33000-${sandboxId}.e2b.dev/api/webhook/stripe`
+        url = `https://33000-${sandboxId}.e2b.dev/api/webhooks/stripe`
         console.log(`📦 Found sandbox ID: ${sandboxId}`)
         console.log(`🔗 Webhook URL: ${url}`)
       } else {
@@ -0,0 +1,26 @@
+import { Router } from "express"
+import { afterEach, describe, expect, it, vi } from "vitest"
+
+vi.mock("@/server/lib/db", () => ({ db: {} }))
+
+const { registerRoutes } = await import("./backend")
+
+describe("registerRoutes", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("mounts nothing when required config is missing", async () => {
+    vi.stubEnv("NODE_ENV", "production")
+    vi.stubEnv("R2_ENDPOINT", "")
+    vi.stubEnv("STORAGE_DRIVER", "")
+    const router = Router()
+    const onShutdown = vi.fn()
+
+    await expect(registerRoutes(router, { onShutdown })).rejects.toThrow(
+      "R2 storage is not configured"
+    )
+    expect(router.stack).toHaveLength(0)
+    expect(onShutdown).not.toHaveBeenCalled()
+  })
+})
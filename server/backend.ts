@@ -1,15 +1,106 @@
+import { cronTasks } from "@/server/cron"
+import { jobs } from "@/server/jobs"
+import { bodyParsers } from "@/server/lib/body-parsers"
+import { CronScheduler } from "@/server/lib/cron"
+import { errorHandler, NotFoundError } from "@/server/lib/errors"
+import { JobWorker } from "@/server/lib/jobs"
+import { closeMail } from "@/server/lib/mail"
+import { closeNotificationHub } from "@/server/lib/notifications"
+import { rateLimit } from "@/server/lib/rate-limit"
+import type { BackendLifecycle } from "@/server/lib/shutdown"
+import { closeStorage, getStorage } from "@/server/lib/storage"
+import adminRouter from "@/server/routes/admin"
+import apiKeysRouter from "@/server/routes/api-keys"
 // import authRouter from "@/server/routes/auth"
+import billingRouter from "@/server/routes/billing"
+import devRouter from "@/server/routes/dev"
+import filesRouter from "@/server/routes/files"
+import healthRouter from "@/server/routes/health"
 import helloRouter from "@/server/routes/hello"
+import notificationsRouter from "@/server/routes/notifications"
+import organizationsRouter from "@/server/routes/organizations"
+import webhooksRouter from "@/server/routes/webhooks"
 import { Router } from "express"
 
-export async function registerRoutes(apiRouter: Router): Promise<void> {
+// Called by server/index.ts on startup and on every hot reload. Use
+// lifecycle.onShutdown() to clean up anything started here (timers, queue
+// workers, ...); hooks run before the next reload and on server shutdown.
+export async function registerRoutes(
+  apiRouter: Router,
+  lifecycle: BackendLifecycle
+): Promise<void> {
+  // Check required configuration before mounting any route, so that a
+  // misconfigured deploy (e.g. no R2 storage in production) fails to start
+  // instead of serving part of the API
+  getStorage()
+  lifecycle.onShutdown(closeStorage)
+  lifecycle.onShutdown(closeMail)
+
+  // Body size limits by path (longest prefix wins). Webhooks verify
+  // signatures against the raw body, so they parse it themselves, and
+  // file uploads are streamed to storage.
+  apiRouter.use(
+    bodyParsers({
+      default: "1mb",
+      routes: { "/webhooks": false, "/files/local-upload": false },
+    })
+  )
+
+  // /api/health (liveness) and /api/ready (readiness)
+  apiRouter.use(healthRouter)
+  apiRouter.use("/webhooks", webhooksRouter)
+
+  // Per-IP ceiling for everything below; routers add stricter limits
+  apiRouter.use(rateLimit({ name: "api", windowMs: 60 * 1000, limit: 300 }))
+
   apiRouter.use("/hello", helloRouter)
+  apiRouter.use("/billing", billingRouter)
+  apiRouter.use("/admin", adminRouter)
+  apiRouter.use("/api-keys", apiKeysRouter)
+  apiRouter.use("/files", filesRouter)
+  apiRouter.use("/notifications", notificationsRouter)
+  // Ends open event streams; browsers reconnect to the next bundle
+  lifecycle.onShutdown(closeNotificationHub)
+  apiRouter.use("/organizations", organizationsRouter)
+
+  // CRUD endpoints over a Prisma model (see server/lib/resource-router.ts):
+  // apiRouter.use(
+  //   "/notes",
+  //   createResourceRouter("Note", {
+  //     owner: "userId",
+  //     schemas: { create: createNoteSchema },
+  //   })
+  // )
+
+  // Dev mailbox (/api/dev/mailbox) for emails written by the file transport
+  if (process.env.NODE_ENV === "development") {
+    apiRouter.use("/dev", devRouter)
+  }
 
   // Add auth router, if required (defined in @/server/routes/auth.ts)
   // apiRouter.use("/auth", authRouter)
 
+  // Background jobs run in this process unless JOB_WORKER=external, in
+  // which case `npm run worker` runs them (see server/worker.ts)
+  if (process.env.JOB_WORKER !== "external") {
+    const worker = new JobWorker({ jobs })
+    worker.start()
+    lifecycle.onShutdown(() => worker.stop())
+  }
+
+  // Scheduled tasks (server/cron/); each tick runs on one instance only.
+  // Stopped before a hot reload so the new bundle's scheduler takes over.
+  if (process.env.CRON_ENABLED !== "false") {
+    const scheduler = new CronScheduler(cronTasks)
+    scheduler.start()
+    lifecycle.onShutdown(() => scheduler.stop())
+  }
+
   // Catch-all for any /api/* route that wasn't matched above
-  apiRouter.use("*", (req, res) => {
-    res.status(404).json({ message: "API route not found" })
+  apiRouter.use("*", (req, res, next) => {
+    next(new NotFoundError("API route not found"))
   })
+
+  // Renders thrown HttpErrors (server/lib/errors.ts) as problem+json
+  apiRouter.use(errorHandler)
 }
@@ -0,0 +1,42 @@
+import { syncSubscription } from "server/lib/billing"
+import { defineCron } from "server/lib/cron"
+import { db } from "server/lib/db"
+import { getStripe } from "server/lib/stripe"
+
+// Statuses Stripe never changes again
+const FINAL_STATUSES = ["canceled", "incomplete_expired"]
+
+// Re-sync subscriptions from Stripe in case a webhook was missed
+export const reconcileSubscriptions = defineCron({
+  name: "billing.reconcile",
+  schedule: "0 4 * * *",
+  handler: async ({ log, signal }) => {
+    if (!process.env.STRIPE_API_KEY) return
+
+    const subscriptions = await db.subscription.findMany({
+      where: { status: { notIn: FINAL_STATUSES } },
+      select: { stripeSubscriptionId: true },
+    })
+
+    let failed = 0
+    for (const { stripeSubscriptionId } of subscriptions) {
+      if (signal.aborted) break
+      try {
+        await syncSubscription(
+          await getStripe().subscriptions.retrieve(stripeSubscriptionId)
+        )
+      } catch (err) {
+        failed++
+        log.warn("Failed to reconcile subscription", {
+          err,
+          stripeSubscriptionId,
+        })
+      }
+    }
+
+    log.info("Subscriptions reconciled", {
+      total: subscriptions.length,
+      failed,
+    })
+  },
+})
@@ -0,0 +1,52 @@
+import { deleteFileObjects } from "server/jobs/files"
+import { defineCron } from "server/lib/cron"
+import { db } from "server/lib/db"
+import { enqueue } from "server/lib/jobs"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Nightly removal of records nobody needs anymore
+export const nightlyCleanup = defineCron({
+  name: "cleanup",
+  schedule: "0 3 * * *",
+  handler: async ({ log, signal }) => {
+    // Presigned uploads that were never completed
+    const abandoned = await db.file.findMany({
+      where: {
+        status: "pending",
+        createdAt: { lt: new Date(Date.now() - DAY_MS) },
+      },
+      select: { id: true, key: true },
+      take: 1000,
+    })
+    for (const file of abandoned) {
+      if (signal.aborted) break
+      await db.file.delete({ where: { id: file.id } })
+      await enqueue(deleteFileObjects, { key: file.key })
+    }
+
+    const jobs = await db.job.deleteMany({
+      where: {
+        status: "completed",
+        completedAt: { lt: new Date(Date.now() - 7 * DAY_MS) },
+      },
+    })
+    const cronRuns = await db.cronRun.deleteMany({
+      where: { startedAt: { lt: new Date(Date.now() - 30 * DAY_MS) } },
+    })
+
+    const notifications = await db.notification.deleteMany({
+      where: {
+        readAt: { not: null },
+        createdAt: { lt: new Date(Date.now() - 90 * DAY_MS) },
+      },
+    })
+
+    log.info("Cleanup finished", {
+      abandonedUploads: abandoned.length,
+      completedJobs: jobs.count,
+      cronRuns: cronRuns.count,
+      readNotifications: notifications.count,
+    })
+  },
+})
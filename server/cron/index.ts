@@ -0,0 +1,6 @@
+import type { CronTask } from "server/lib/cron"
+import { reconcileSubscriptions } from "./billing"
+import { nightlyCleanup } from "./cleanup"
+
+// Every scheduled task the scheduler runs
+export const cronTasks: CronTask[] = [nightlyCleanup, reconcileSubscriptions]
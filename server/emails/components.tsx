@@ -0,0 +1,141 @@
+/** @jsxRuntime automatic */
+import type { ReactNode } from "react"
+import { getEmailTheme } from "./theme"
+
+// Building blocks for email templates. Email clients ignore stylesheets
+// and much of modern CSS, so layout uses tables and every style is inline.
+
+const FONT_FAMILY =
+  "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif"
+
+export function EmailLayout({
+  preview,
+  children,
+}: {
+  // Inbox preview text shown after the subject
+  preview?: string
+  children: ReactNode
+}) {
+  const theme = getEmailTheme()
+  return (
+    <html lang="en">
+      <head>
+        <meta content="text/html; charset=UTF-8" httpEquiv="Content-Type" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </head>
+      <body
+        style={{
+          margin: 0,
+          padding: "32px 16px",
+          backgroundColor: theme.muted,
+          color: theme.foreground,
+          fontFamily: FONT_FAMILY,
+        }}
+      >
+        {preview && (
+          <div style={{ display: "none", maxHeight: 0, overflow: "hidden" }}>
+            {preview}
+          </div>
+        )}
+        <table
+          role="presentation"
+          width="100%"
+          cellPadding={0}
+          cellSpacing={0}
+          style={{
+            maxWidth: 560,
+            margin: "0 auto",
+            backgroundColor: theme.card,
+            border: `1px solid ${theme.border}`,
+            borderRadius: theme.radius,
+          }}
+        >
+          <tbody>
+            <tr>
+              <td style={{ padding: 32 }}>{children}</td>
+            </tr>
+          </tbody>
+        </table>
+      </body>
+    </html>
+  )
+}
+
+export function Heading({ children }: { children: ReactNode }) {
+  return (
+    <h1
+      style={{
+        margin: "0 0 16px",
+        fontSize: 22,
+        lineHeight: "28px",
+        fontWeight: 600,
+      }}
+    >
+      {children}
+    </h1>
+  )
+}
+
+export function Text({
+  muted,
+  children,
+}: {
+  muted?: boolean
+  children: ReactNode
+}) {
+  const theme = getEmailTheme()
+  return (
+    <p
+      style={{
+        margin: "0 0 16px",
+        fontSize: muted ? 13 : 15,
+        lineHeight: muted ? "20px" : "24px",
+        color: muted ? theme.mutedForeground : theme.foreground,
+      }}
+    >
+      {children}
+    </p>
+  )
+}
+
+export function Button({
+  href,
+  children,
+}: {
+  href: string
+  children: ReactNode
+}) {
+  const theme = getEmailTheme()
+  return (
+    <p style={{ margin: "24px 0" }}>
+      <a
+        href={href}
+        style={{
+          display: "inline-block",
+          padding: "10px 20px",
+          backgroundColor: theme.primary,
+          color: theme.primaryForeground,
+          borderRadius: theme.radius,
+          fontSize: 15,
+          fontWeight: 500,
+          textDecoration: "none",
+        }}
+      >
+        {children}
+      </a>
+    </p>
+  )
+}
+
+export function Divider() {
+  const theme = getEmailTheme()
+  return (
+    <hr
+      style={{
+        margin: "24px 0",
+        border: "none",
+        borderTop: `1px solid ${theme.border}`,
+      }}
+    />
+  )
+}
@@ -0,0 +1,4 @@
+// Email templates, rendered and sent with sendEmail() from server/lib/mail.ts
+export { invitationEmail } from "./invitation"
+export { receiptEmail } from "./receipt"
+export { welcomeEmail } from "./welcome"
@@ -0,0 +1,30 @@
+/** @jsxRuntime automatic */
+import { defineEmail } from "server/lib/mail"
+import { Button, EmailLayout, Heading, Text } from "./components"
+
+export interface InvitationEmailProps {
+  organizationName: string
+  inviterName?: string | null
+  // /invite?token=... on the app's origin
+  url: string
+  expiresAt: Date
+}
+
+export const invitationEmail = defineEmail<InvitationEmailProps>({
+  subject: ({ organizationName }) => `Join ${organizationName}`,
+  render: ({ organizationName, inviterName, url, expiresAt }) => (
+    <EmailLayout preview={`You've been invited to ${organizationName}`}>
+      <Heading>Join {organizationName}</Heading>
+      <Text>
+        {inviterName ?? "Someone"} invited you to work together in{" "}
+        <strong>{organizationName}</strong>.
+      </Text>
+      <Button href={url}>Accept invitation</Button>
+      <Text muted>
+        The link works until{" "}
+        {expiresAt.toLocaleDateString("en-US", { dateStyle: "long" })}. If you
+        weren't expecting this invitation, you can ignore this email.
+      </Text>
+    </EmailLayout>
+  ),
+})
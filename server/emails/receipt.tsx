@@ -0,0 +1,48 @@
+/** @jsxRuntime automatic */
+import { defineEmail } from "server/lib/mail"
+import { Button, Divider, EmailLayout, Heading, Text } from "./components"
+
+export interface ReceiptEmailProps {
+  // In the currency's smallest unit, as Stripe reports it
+  amount: number
+  currency: string
+  invoiceNumber?: string | null
+  paidAt: Date
+  // Stripe's hosted invoice page
+  invoiceUrl?: string | null
+}
+
+export function formatAmount(amount: number, currency: string): string {
+  const format = new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  })
+  // Zero-decimal currencies (JPY, ...) have no minor unit
+  const digits = format.resolvedOptions().maximumFractionDigits ?? 2
+  return format.format(amount / 10 ** digits)
+}
+
+export const receiptEmail = defineEmail<ReceiptEmailProps>({
+  subject: ({ invoiceNumber }) =>
+    invoiceNumber
+      ? `Your receipt for invoice ${invoiceNumber}`
+      : "Your receipt",
+  render: ({ amount, currency, invoiceNumber, paidAt, invoiceUrl }) => (
+    <EmailLayout
+      preview={`Payment of ${formatAmount(amount, currency)} received`}
+    >
+      <Heading>Thanks for your payment</Heading>
+      <Text>
+        We received your payment of{" "}
+        <strong>{formatAmount(amount, currency)}</strong> on{" "}
+        {paidAt.toLocaleDateString("en-US", { dateStyle: "long" })}.
+      </Text>
+      {invoiceUrl && <Button href={invoiceUrl}>View invoice</Button>}
+      <Divider />
+      <Text muted>
+        {invoiceNumber ? `Invoice ${invoiceNumber}. ` : ""}Keep this email for
+        your records.
+      </Text>
+    </EmailLayout>
+  ),
+})
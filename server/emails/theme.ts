@@ -0,0 +1,119 @@
+import { readFileSync } from "fs"
+import path from "path"
+
+// Colors for email templates, taken from the app's Tailwind theme (the
+// client/themes/*.css file imported by client/index.css) so emails match
+// the UI. Email clients support neither CSS variables nor oklch(), so the
+// light theme's tokens are resolved to hex colors.
+
+export interface EmailTheme {
+  background: string
+  foreground: string
+  card: string
+  primary: string
+  primaryForeground: string
+  muted: string
+  mutedForeground: string
+  border: string
+  radius: string
+}
+
+// client/themes/default.css, used when the theme files can't be read
+const FALLBACK_THEME: EmailTheme = {
+  background: "#ffffff",
+  foreground: "#0a0a0a",
+  card: "#ffffff",
+  primary: "#171717",
+  primaryForeground: "#fafafa",
+  muted: "#f5f5f5",
+  mutedForeground: "#737373",
+  border: "#e5e5e5",
+  radius: "0.625rem",
+}
+
+const CLIENT_DIR = path.resolve("client")
+
+// oklch(L C H) to sRGB hex (https://bottosson.github.io/posts/oklab/).
+// Alpha is ignored; colors outside sRGB are clipped.
+export function oklchToHex(value: string): string | null {
+  const match = /oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+)/.exec(value)
+  if (!match) return null
+
+  const lightness = parseFloat(match[1]) / (match[2] ? 100 : 1)
+  const chroma = parseFloat(match[3])
+  const hue = (parseFloat(match[4]) * Math.PI) / 180
+  const a = chroma * Math.cos(hue)
+  const b = chroma * Math.sin(hue)
+
+  const l = (lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3
+  const m = (lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3
+  const s = (lightness - 0.0894841775 * a - 1.291485548 * b) ** 3
+
+  const linear = [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ]
+  return (
+    "#" +
+    linear
+      .map((channel) => {
+        const c = Math.min(1, Math.max(0, channel))
+        const srgb = c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055
+        return Math.round(srgb * 255)
+          .toString(16)
+          .padStart(2, "0")
+      })
+      .join("")
+  )
+}
+
+// Custom properties declared in the theme's :root block
+function readThemeTokens(): Map<string, string> {
+  const index = readFileSync(path.join(CLIENT_DIR, "index.css"), "utf8")
+  const theme = /@import\s+["']\.\/(themes\/[\w-]+\.css)["']/.exec(index)
+  const css = readFileSync(
+    path.join(CLIENT_DIR, theme?.[1] ?? "themes/default.css"),
+    "utf8"
+  )
+
+  const root = /:root\s*{([^}]*)}/.exec(css)?.[1] ?? ""
+  const tokens = new Map<string, string>()
+  for (const [, name, value] of Array.from(
+    root.matchAll(/--([\w-]+)\s*:\s*([^;]+);/g)
+  )) {
+    tokens.set(name, value.trim())
+  }
+  return tokens
+}
+
+let theme: EmailTheme | undefined
+
+export function getEmailTheme(): EmailTheme {
+  if (theme) return theme
+
+  let tokens: Map<string, string>
+  try {
+    tokens = readThemeTokens()
+  } catch {
+    tokens = new Map()
+  }
+  const color = (name: string, fallback: string) =>
+    oklchToHex(tokens.get(name) ?? "") ?? fallback
+
+  theme = {
+    background: color("background", FALLBACK_THEME.background),
+    foreground: color("foreground", FALLBACK_THEME.foreground),
+    card: color("card", FALLBACK_THEME.card),
+    primary: color("primary", FALLBACK_THEME.primary),
+    primaryForeground: color(
+      "primary-foreground",
+      FALLBACK_THEME.primaryForeground
+    ),
+    muted: color("muted", FALLBACK_THEME.muted),
+    mutedForeground: color("muted-foreground", FALLBACK_THEME.mutedForeground),
+    border: color("border", FALLBACK_THEME.border),
+    radius: tokens.get("radius") ?? FALLBACK_THEME.radius,
+  }
+  return theme
+}
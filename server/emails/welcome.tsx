@@ -0,0 +1,26 @@
+/** @jsxRuntime automatic */
+import { defineEmail } from "server/lib/mail"
+import { Button, EmailLayout, Heading, Text } from "./components"
+
+export interface WelcomeEmailProps {
+  name?: string | null
+  // Where the button leads, e.g. the app's home page
+  url: string
+}
+
+export const welcomeEmail = defineEmail<WelcomeEmailProps>({
+  subject: () => "Welcome aboard",
+  render: ({ name, url }) => (
+    <EmailLayout preview="Your account is ready">
+      <Heading>Welcome{name ? `, ${name}` : ""}!</Heading>
+      <Text>
+        Your account is ready. Sign in any time to pick up where you left off.
+      </Text>
+      <Button href={url}>Open the app</Button>
+      <Text muted>
+        You received this email because an account was created with this
+        address. If that wasn't you, you can ignore it.
+      </Text>
+    </EmailLayout>
+  ),
+})
@@ -3,62 +3,68 @@ import { config } from "dotenv"
 import { build } from "esbuild"
 import express from "express"
 import fs from "fs/promises"
+import { type Server } from "http"
 import path from "path"
-import { log, serveStatic } from "./vite"
+import { db } from "./lib/db"
+import { errorHandler } from "./lib/errors"
+import { logger } from "./lib/logger"
+import { metrics, metricsHandler, requestMetrics } from "./lib/metrics"
+import { requestContext } from "./lib/request-context"
+import {
+  createRequestTracker,
+  drainServer,
+  isShuttingDown,
+  markShuttingDown,
+  runShutdownHooks,
+  ShutdownHook,
+  withTimeout,
+} from "./lib/shutdown"
+import { requestLogger } from "./middleware/logging"
+import { cors, csrfProtection, securityHeaders } from "./middleware/security"
+import { closeVite, serveStatic } from "./vite"
 
 config({ path: ".env", quiet: true })
 
 const app = express()
-app.use(express.json({ limit: "100mb" }))
-app.use(express.urlencoded({ extended: false, limit: "100mb" }))
 
-// Shared logging middleware
-app.use((req, res, next) => {
-  const start = Date.now()
-  const path = req.path
-  let capturedJsonResponse: Record<string, any> | undefined = undefined
-
-  const originalResJson = res.json
-  res.json = function (bodyJson, ...args) {
-    capturedJsonResponse = bodyJson
-    return originalResJson.apply(res, [bodyJson, ...args])
-  }
-
-  res.on("finish", () => {
-    const duration = Date.now() - start
-    if (path.startsWith("/api")) {
-      let logLine = `${req.method} ${path} ${res.statusCode} in ${duration}ms`
-
-      // Log request body if it exists
-      if (req.body && Object.keys(req.body).length > 0) {
-        logLine += ` :: body: ${JSON.stringify(req.body)}`
-      }
-
-      // Log query params if they exist
-      if (req.query && Object.keys(req.query).length > 0) {
-        logLine += ` :: query: ${JSON.stringify(req.query)}`
-      }
-
-      // Log response if it exists, trimmed to 100 chars
-      if (capturedJsonResponse) {
-        const responseStr = JSON.stringify(capturedJsonResponse)
-        const trimmedResponse =
-          responseStr.length > 100
-            ? responseStr.slice(0, 100) + "…"
-            : responseStr
-        logLine += ` :: response: ${trimmedResponse}`
-      }
+// Behind Railway's proxy: use X-Forwarded-For/-Proto from the first hop so
+// req.ip (rate limiting) and req.protocol are the client's.
+// TRUST_PROXY accepts a hop count, "true"/"false" or a list of addresses.
+const trustProxy = process.env.TRUST_PROXY ?? "1"
+app.set(
+  "trust proxy",
+  /^\d+$/.test(trustProxy)
+    ? parseInt(trustProxy, 10)
+    : trustProxy === "true"
+    ? true
+    : trustProxy === "false"
+    ? false
+    : trustProxy
+)
+
+// Request ID (X-Request-Id) for logs and error responses, see getRequestId()
+app.use(requestContext)
+
+// Track in-flight requests so shutdown can wait for them
+const requests = createRequestTracker()
+app.use(requests.middleware)
 
-      if (logLine.length > 200) {
-        logLine = logLine.slice(0, 79) + "…"
-      }
-
-      log(logLine)
-    }
-  })
+// Shared logging middleware
+app.use(requestLogger)
+app.use(requestMetrics)
+
+// Prometheus metrics (outside /api; protect with METRICS_TOKEN, which is
+// required in production)
+app.get("/metrics", metricsHandler)
+if (process.env.NODE_ENV === "production" && !process.env.METRICS_TOKEN) {
+  logger.warn("METRICS_TOKEN is not set, /metrics is disabled")
+}
 
-  next()
-})
+// CSP and other security headers for the HTML page and the API, CORS for
+// allow-listed origins (CORS_ORIGINS) and double-submit CSRF tokens
+app.use(securityHeaders())
+app.use("/api", cors())
+app.use(csrfProtection())
 
 const backendRouter = express.Router()
 app.use("/api", backendRouter)
@@ -106,6 +112,9 @@ async function cleanupOldBundles() {
   }
 }
 
+// Cleanup hooks registered by the currently loaded backend bundle
+let backendShutdownHooks: ShutdownHook[] = []
+
 async function loadBackend() {
   // Create timestamped filename to avoid caching
   const timestamp = Date.now()
@@ -128,44 +137,73 @@ async function loadBackend() {
 
   if (backend.registerRoutes) {
     backendRouter.stack = [] // clear old routes
-    await backend.registerRoutes(backendRouter)
+
+    // Let the previous bundle stop its timers, workers, ...
+    const previousHooks = backendShutdownHooks
+    backendShutdownHooks = []
+    await runShutdownHooks(previousHooks, HOOK_TIMEOUT_MS)
+
+    await backend.registerRoutes(backendRouter, {
+      onShutdown: (hook: ShutdownHook) => backendShutdownHooks.push(hook),
+    })
   } else {
-    console.error("Backend module has no registerRoutes export!")
+    logger.error("Backend module has no registerRoutes export!")
   }
 
   setImmediate(() => cleanupOldBundles())
 }
 
-function logError(err: Error) {
-  if (!err.stack) {
-    console.error(err)
-    return
-  }
+// Errors outside the backend routes
+app.use(errorHandler)
 
-  const stack = err.stack
-    .split("\n")
-    .filter((line) => !line.includes("node_modules")) // filter out noise
-    .filter((line) => !line.includes("internal")) // filter Node internals
-    .join("\n")
+// --------------------------------------------------
+// Graceful shutdown
+// --------------------------------------------------
+// Time to wait for in-flight requests before closing their connections
+const SHUTDOWN_TIMEOUT_MS = parseInt(
+  process.env.SHUTDOWN_TIMEOUT_MS || "10000",
+  10
+)
+const HOOK_TIMEOUT_MS = 5000
+
+// Cleanup owned by this file (the dev file watcher)
+const serverShutdownHooks: ShutdownHook[] = []
+
+async function shutdown(server: Server, signal: string) {
+  if (isShuttingDown()) return
+  markShuttingDown()
+  logger.info(
+    `${signal} received, draining ${requests.inFlight()} in-flight request(s)`
+  )
 
-  console.error(`Error: ${err.message}\n${stack}`)
-}
+  // HMR websockets would otherwise keep the server open until the timeout
+  await closeVite()
 
-// Error handler
-app.use((err: any, req: any, res: any, _next: any) => {
-  console.error(`Error in ${req.method} ${req.path}:`)
-  logError(err)
-  if (!res.headersSent)
-    res.status(500).json({ message: "Internal Server Error" })
-})
+  await drainServer(server, SHUTDOWN_TIMEOUT_MS, () =>
+    logger.warn(
+      `${requests.inFlight()} request(s) still running after ${SHUTDOWN_TIMEOUT_MS}ms, closing connections`
+    )
+  )
+
+  await runShutdownHooks(
+    [...backendShutdownHooks, ...serverShutdownHooks],
+    HOOK_TIMEOUT_MS
+  )
+  await withTimeout(db.$disconnect(), HOOK_TIMEOUT_MS)
+
+  logger.info("Shutdown complete")
+  process.exit(0)
+}
 
 // --------------------------------------------------
 // Main initialization function
 // --------------------------------------------------
 ;(async () => {
-  // Initial load
+  // Initial load. Outside development, a backend that fails to build or
+  // to register its routes (e.g. missing required config) must not serve.
   await loadBackend().catch((err) => {
-    console.error("Failed to build backend")
+    logger.error("Failed to load backend", { err })
+    if (app.get("env") !== "development") process.exit(1)
   })
 
   if (app.get("env") !== "development") {
@@ -173,28 +211,43 @@ app.use((err: any, req: any, res: any, _next: any) => {
 
   const port = parseInt(process.env.PORT || "3000", 10)
   const server = app.listen(port, "0.0.0.0", () => {
-    log(`🚀 Serving on http://localhost:${port}`)
+    logger.info(`🚀 Serving on http://localhost:${port}`)
   })
 
+  for (const signal of ["SIGTERM", "SIGINT"] as const) {
+    process.on(signal, () => {
+      // A second signal skips draining
+      if (isShuttingDown()) process.exit(1)
+      shutdown(server, signal).catch((err) => {
+        logger.error("Shutdown failed", { err })
+        process.exit(1)
+      })
+    })
+  }
+
   if (app.get("env") !== "development") {
     // Serve static files in production
     serveStatic(app)
   } else {
     const { setupVite } = await import("./vite")
     await setupVite(app, server)
-    chokidar
-      .watch(["server/", "shared/"], { ignoreInitial: true })
-      .on("all", (event, path) => {
-        // Only reload for .ts files, but ignore server/index.ts
-        if (path.endsWith(".ts") && path !== "server/index.ts") {
-          loadBackend()
-            .then(() => {
-              console.log("🔄 Backend reloaded")
-            })
-            .catch(() => {
-              console.error("Failed to build backend")
-            })
-        }
-      })
+    const watcher = chokidar.watch(["server/", "shared/"], {
+      ignoreInitial: true,
+    })
+    serverShutdownHooks.push(() => watcher.close())
+    watcher.on("all", (event, path) => {
+      // Only reload for .ts files, but ignore server/index.ts
+      if (path.endsWith(".ts") && path !== "server/index.ts") {
+        loadBackend()
+          .then(() => {
+            metrics.backendReloads.inc({ result: "success" })
+            logger.info("🔄 Backend reloaded")
+          })
+          .catch((err) => {
+            metrics.backendReloads.inc({ result: "failure" })
+            logger.error("Failed to build backend", { err })
+          })
+      }
+    })
   }
 })()
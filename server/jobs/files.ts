@@ -0,0 +1,15 @@
+import { deleteImageVariants } from "server/lib/images"
+import { defineJob } from "server/lib/jobs"
+import { getStorage } from "server/lib/storage"
+import { z } from "zod"
+
+// Removes a deleted file's object and its image variants from storage, so
+// DELETE /api/files/:id doesn't wait for the storage round trips
+export const deleteFileObjects = defineJob({
+  name: "files.deleteObjects",
+  schema: z.object({ key: z.string().min(1) }),
+  handler: async ({ key }) => {
+    await getStorage().delete(key)
+    await deleteImageVariants(key)
+  },
+})
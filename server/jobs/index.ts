@@ -0,0 +1,7 @@
+import type { JobDefinition } from "server/lib/jobs"
+import { sendMailJob } from "server/lib/mail"
+import { deleteFileObjects } from "./files"
+
+// Every job the worker runs. Jobs that aren't listed here stay in the
+// queue.
+export const jobs: JobDefinition<any>[] = [deleteFileObjects, sendMailJob]
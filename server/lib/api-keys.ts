@@ -0,0 +1,106 @@
+import { ApiKeyScope, isRole, Role } from "@/shared/auth"
+import crypto from "crypto"
+import type { Request } from "express"
+import { db } from "./db"
+import { logger } from "./logger"
+
+const KEY_PREFIX = "sk_"
+// Skip lastUsedAt writes when the key was used within this window
+const LAST_USED_THROTTLE_MS = 60 * 1000
+
+export interface ApiKeyPrincipal {
+  user: {
+    id: string
+    name: string | null
+    email: string
+    image: string | null
+    role: Role
+    permissions: string[]
+  }
+  apiKey: {
+    id: string
+    scopes: ApiKeyScope[]
+  }
+}
+
+export function hashApiKey(key: string): string {
+  return crypto.createHash("sha256").update(key).digest("hex")
+}
+
+// The key in `Authorization: Bearer <key>`, or null when the request has no
+// such header. Any other Authorization header is not accepted (requireAuth
+// rejects it), so a request with a token is never also cookie-authenticated.
+export function bearerToken(req: Request): string | null {
+  const match = /^Bearer\s+(\S+)\s*$/.exec(req.headers.authorization ?? "")
+  return match ? match[1] : null
+}
+
+// Create a key for a user. The plaintext key is only returned here.
+export async function createApiKey(
+  userId: string,
+  options: { name: string; scopes: ApiKeyScope[]; expiresAt?: Date | null }
+) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url")
+
+  const apiKey = await db.apiKey.create({
+    data: {
+      userId,
+      name: options.name,
+      scopes: options.scopes,
+      expiresAt: options.expiresAt ?? null,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hashedKey: hashApiKey(key),
+    },
+  })
+
+  return { key, apiKey }
+}
+
+// Resolve a bearer token to its user, or null if unknown, revoked or expired
+export async function authenticateApiKey(
+  key: string
+): Promise<ApiKeyPrincipal | null> {
+  if (!key.startsWith(KEY_PREFIX)) return null
+
+  const apiKey = await db.apiKey.findUnique({
+    where: { hashedKey: hashApiKey(key) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          image: true,
+          role: true,
+          permissions: true,
+        },
+      },
+    },
+  })
+
+  const now = new Date()
+  if (
+    !apiKey ||
+    apiKey.revokedAt ||
+    (apiKey.expiresAt && apiKey.expiresAt <= now)
+  ) {
+    return null
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    now.getTime() - apiKey.lastUsedAt.getTime() > LAST_USED_THROTTLE_MS
+  ) {
+    db.apiKey
+      .update({ where: { id: apiKey.id }, data: { lastUsedAt: now } })
+      .catch((error) =>
+        logger.error("Failed to record API key use", { err: error })
+      )
+  }
+
+  const { user } = apiKey
+  return {
+    user: { ...user, role: isRole(user.role) ? user.role : "user" },
+    apiKey: { id: apiKey.id, scopes: apiKey.scopes as ApiKeyScope[] },
+  }
+}
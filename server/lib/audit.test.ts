@@ -0,0 +1,172 @@
+import { Prisma } from "@prisma/client"
+import { afterEach, describe, expect, it, vi } from "vitest"
+
+const { db } = vi.hoisted(() => ({
+  db: { auditLog: { create: vi.fn() } },
+}))
+vi.mock("./db", () => ({ db }))
+
+const { audit, auditWrite, diffRecords, isAuditedWrite } = await import(
+  "./audit"
+)
+const { requestContext, setRequestActor } = await import("./request-context")
+
+// Run `fn` inside a request from 10.0.0.1 with the given X-Request-Id
+function inRequest(requestId: string, fn: () => Promise<void>) {
+  const req = { get: () => requestId, ip: "10.0.0.1" }
+  const res = { setHeader: () => {} }
+  return new Promise<void>((resolve, reject) =>
+    requestContext(req as any, res as any, () => fn().then(resolve, reject))
+  )
+}
+
+afterEach(() => {
+  vi.clearAllMocks()
+  vi.unstubAllEnvs()
+  vi.restoreAllMocks()
+})
+
+describe("diffRecords", () => {
+  it("lists changed fields only", () => {
+    expect(
+      diffRecords(
+        { id: "u_1", role: "user", name: "Ada", updatedAt: new Date(1) },
+        { id: "u_1", role: "admin", name: "Ada", updatedAt: new Date(2) }
+      )
+    ).toEqual({ role: { from: "user", to: "admin" } })
+  })
+
+  it("has no from for created and no to for deleted records", () => {
+    expect(diffRecords(null, { name: "Ada" })).toEqual({
+      name: { to: "Ada" },
+    })
+    expect(diffRecords({ name: "Ada" }, null)).toEqual({
+      name: { from: "Ada" },
+    })
+  })
+
+  it("redacts secrets", () => {
+    expect(
+      diffRecords(null, { hashedKey: "abc", password: "hunter2" })
+    ).toEqual({
+      hashedKey: { to: "[REDACTED]" },
+      password: { to: "[REDACTED]" },
+    })
+  })
+
+  it("returns null when nothing changed", () => {
+    const date = new Date(0)
+    expect(diffRecords({ at: date }, { at: new Date(0) })).toBeNull()
+  })
+})
+
+describe("audit", () => {
+  it("records the request's actor, IP and request ID", async () => {
+    await inRequest("req-1", async () => {
+      setRequestActor({ userId: "user_1", apiKeyId: "key_1" })
+      await audit("api_key.created", { model: "ApiKey", recordId: "key_2" })
+    })
+
+    expect(db.auditLog.create).toHaveBeenCalledWith({
+      data: {
+        action: "api_key.created",
+        actorId: "user_1",
+        apiKeyId: "key_1",
+        model: "ApiKey",
+        recordId: "key_2",
+        diff: Prisma.DbNull,
+        metadata: Prisma.DbNull,
+        ip: "10.0.0.1",
+        requestId: "req-1",
+      },
+    })
+  })
+
+  it("does not attribute the API key to another actor", async () => {
+    await inRequest("req-2", async () => {
+      setRequestActor({ userId: "user_1", apiKeyId: "key_1" })
+      await audit("auth.sign_in", { actorId: "user_2" })
+    })
+
+    expect(db.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      actorId: "user_2",
+      apiKeyId: undefined,
+    })
+  })
+
+  it("records system actions without an actor and redacts metadata", async () => {
+    await audit("billing.subscription_updated", {
+      metadata: { plan: "pro", clientSecret: "seti_secret" },
+    })
+
+    expect(db.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      actorId: null,
+      metadata: { plan: "pro", clientSecret: "[REDACTED]" },
+    })
+  })
+
+  it("logs instead of throwing when the write fails", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {})
+    db.auditLog.create.mockRejectedValue(new Error("Connection lost"))
+
+    await expect(audit("auth.sign_in")).resolves.toBeUndefined()
+  })
+})
+
+describe("auditWrite", () => {
+  function client(before: Record<string, unknown> | null) {
+    return {
+      user: { findUnique: vi.fn().mockResolvedValue(before) },
+      auditLog: { create: vi.fn() },
+    }
+  }
+
+  it("is only enabled with AUDIT_PRISMA_WRITES for audited models", () => {
+    expect(isAuditedWrite("User", "update")).toBe(false)
+
+    vi.stubEnv("AUDIT_PRISMA_WRITES", "true")
+    expect(isAuditedWrite("User", "update")).toBe(true)
+    expect(isAuditedWrite("User", "findMany")).toBe(false)
+    expect(isAuditedWrite("Job", "update")).toBe(false)
+  })
+
+  it("records the diff of a single-record update", async () => {
+    const prisma = client({ id: "u_1", role: "user" })
+    const run = vi.fn().mockResolvedValue({ id: "u_1", role: "admin" })
+
+    const result = await auditWrite(
+      prisma as any,
+      { model: "User", operation: "update", args: { where: { id: "u_1" } } },
+      run
+    )
+
+    expect(result).toEqual({ id: "u_1", role: "admin" })
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({
+      where: { id: "u_1" },
+    })
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      action: "db.update",
+      model: "User",
+      recordId: "u_1",
+      diff: { role: { from: "user", to: "admin" } },
+    })
+  })
+
+  it("records what a bulk write asked for", async () => {
+    const prisma = client(null)
+    const args = { where: { role: "user" }, data: { role: "admin" } }
+
+    await auditWrite(
+      prisma as any,
+      { model: "User", operation: "updateMany", args },
+      async () => ({ count: 3 })
+    )
+
+    expect(prisma.user.findUnique).not.toHaveBeenCalled()
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      action: "db.updateMany",
+      diff: { role: { to: "admin" } },
+      metadata: { where: { role: "user" }, count: 3 },
+    })
+  })
+})
@@ -0,0 +1,200 @@
+import { Prisma, PrismaClient } from "@prisma/client"
+import { db } from "./db"
+import { logger } from "./logger"
+import { isSensitiveField, redactFields } from "./redact"
+import { getRequestContext } from "./request-context"
+
+// Audit log: who did what and when. Security-relevant actions (sign-ins,
+// role, API key and billing changes) are recorded with audit(). With
+// AUDIT_PRISMA_WRITES=true every Prisma write is recorded too, as "db.*"
+// actions (see the query extension in db.ts).
+//
+// The actor, IP and request ID come from the request context, so callers
+// only pass them for actions outside requireAuth (e.g. Auth.js events).
+
+export type AuditDiff = Record<string, { from?: unknown; to?: unknown }>
+
+export interface AuditEntry {
+  // Defaults to the authenticated user of the current request
+  actorId?: string | null
+  model?: string
+  recordId?: string | null
+  diff?: AuditDiff | null
+  metadata?: Record<string, unknown>
+}
+
+const REDACTED = "[REDACTED]"
+
+// Not worth a diff entry
+const IGNORED_FIELDS = ["createdAt", "updatedAt"]
+// Hashes of secrets, which isSensitiveField doesn't catch by name
+const SECRET_FIELDS = ["hashedKey"]
+
+// Written constantly by the system itself, or the log itself
+const UNAUDITED_MODELS = [
+  "AuditLog",
+  "Job",
+  "CronRun",
+  "RateLimitBucket",
+  "StripeEvent",
+  "Session",
+  "VerificationToken",
+]
+
+const WRITE_OPERATIONS = [
+  "create",
+  "createMany",
+  "createManyAndReturn",
+  "update",
+  "updateMany",
+  "updateManyAndReturn",
+  "upsert",
+  "delete",
+  "deleteMany",
+]
+
+// Plain JSON for a Json column: Dates become ISO strings, BigInts strings
+function toJson(value: unknown): unknown {
+  if (value === undefined) return undefined
+  return JSON.parse(
+    JSON.stringify(value, (_key, item) =>
+      typeof item === "bigint" ? item.toString() : item
+    )
+  )
+}
+
+function auditValue(field: string, value: unknown): unknown {
+  if (value === undefined) return undefined
+  if (isSensitiveField(field) || SECRET_FIELDS.includes(field)) return REDACTED
+  return redactFields(toJson(value))
+}
+
+// Fields that differ between two versions of a record. Pass null as
+// `before` for a created record and as `after` for a deleted one. Only
+// fields present in `after` are compared, so partial results (select) don't
+// show up as removals. null when nothing changed.
+export function diffRecords(
+  before: Record<string, unknown> | null | undefined,
+  after: Record<string, unknown> | null | undefined
+): AuditDiff | null {
+  const diff: AuditDiff = {}
+  const fields = Object.keys(after ?? before ?? {})
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return
+    const from = before?.[field]
+    const to = after?.[field]
+    if (JSON.stringify(toJson(from)) === JSON.stringify(toJson(to))) return
+
+    diff[field] = {
+      ...(before ? { from: auditValue(field, from) } : {}),
+      ...(after ? { to: auditValue(field, to) } : {}),
+    }
+  })
+
+  return Object.keys(diff).length > 0 ? diff : null
+}
+
+function auditLogData(
+  action: string,
+  entry: AuditEntry
+): Prisma.AuditLogUncheckedCreateInput {
+  const context = getRequestContext()
+  const actor = context?.actor
+  const actorId = entry.actorId !== undefined ? entry.actorId : actor?.userId
+
+  return {
+    action,
+    actorId: actorId ?? null,
+    // Only attribute the key when the actor is the request's
+    apiKeyId: actorId === actor?.userId ? actor?.apiKeyId : undefined,
+    model: entry.model,
+    recordId: entry.recordId ?? undefined,
+    diff: (entry.diff as Prisma.InputJsonValue) ?? Prisma.DbNull,
+    metadata: entry.metadata
+      ? (redactFields(toJson(entry.metadata)) as Prisma.InputJsonValue)
+      : Prisma.DbNull,
+    ip: context?.ip,
+    requestId: context?.requestId,
+  }
+}
+
+// Record an action. Failures are logged, not thrown: the action itself has
+// already happened.
+export async function audit(action: string, entry: AuditEntry = {}) {
+  try {
+    await db.auditLog.create({ data: auditLogData(action, entry) })
+  } catch (err) {
+    logger.error("Failed to write audit log", { err, action })
+  }
+}
+
+// --------------------------------------------------
+// Prisma writes (AUDIT_PRISMA_WRITES=true)
+// --------------------------------------------------
+
+export function isAuditedWrite(model: string | undefined, operation: string) {
+  return (
+    process.env.AUDIT_PRISMA_WRITES === "true" &&
+    !!model &&
+    WRITE_OPERATIONS.includes(operation) &&
+    !UNAUDITED_MODELS.includes(model)
+  )
+}
+
+type Delegate = {
+  findUnique(args: { where: unknown }): Promise<Record<string, any> | null>
+}
+
+// Run a write and record it. `client` is the PrismaClient without
+// extensions, so the extra reads and the log row aren't intercepted again.
+// They happen outside any interactive transaction, so a change that is
+// rolled back afterwards is still logged.
+export async function auditWrite<T>(
+  client: PrismaClient,
+  write: { model: string; operation: string; args: any },
+  run: () => Promise<T>
+): Promise<T> {
+  const { model, operation, args } = write
+  const delegate = (client as any)[
+    model.charAt(0).toLowerCase() + model.slice(1)
+  ] as Delegate
+  const isSingle = ["update", "upsert", "delete"].includes(operation)
+
+  const before = isSingle
+    ? await delegate.findUnique({ where: args.where }).catch(() => null)
+    : null
+  const result = await run()
+
+  let entry: AuditEntry
+  if (isSingle || operation === "create") {
+    const after =
+      operation === "delete" ? null : (result as Record<string, unknown>)
+    entry = {
+      model,
+      recordId: (after ?? before)?.id,
+      diff: diffRecords(before, after),
+    }
+  } else {
+    // Bulk writes: what was asked for, not each record
+    entry = {
+      model,
+      diff: Array.isArray(args.data) ? null : diffRecords(null, args.data),
+      metadata: {
+        where: args.where,
+        count: Array.isArray(result)
+          ? result.length
+          : (result as { count?: number })?.count,
+      },
+    }
+  }
+
+  try {
+    await client.auditLog.create({
+      data: auditLogData(`db.${operation}`, entry),
+    })
+  } catch (err) {
+    logger.error("Failed to write audit log", { err, model, operation })
+  }
+  return result
+}
@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+
+vi.mock("./db", () => ({ db: {} }))
+
+const { buildAuthProviders } = await import("./auth-providers")
+
+function providerIds() {
+  // Auth.js keeps a custom id in `options` until the config is built
+  return buildAuthProviders().map((provider: any) => {
+    const config = typeof provider === "function" ? provider() : provider
+    return config.options?.id ?? config.id
+  })
+}
+
+describe("development login", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("is off unless AUTH_DEV_CREDENTIALS=true", () => {
+    vi.stubEnv("NODE_ENV", "development")
+    vi.stubEnv("AUTH_DEV_CREDENTIALS", "")
+    expect(providerIds()).not.toContain("dev-credentials")
+  })
+
+  it("is on with AUTH_DEV_CREDENTIALS=true in development", () => {
+    vi.stubEnv("NODE_ENV", "development")
+    vi.stubEnv("AUTH_DEV_CREDENTIALS", "true")
+    expect(providerIds()).toContain("dev-credentials")
+  })
+
+  it.each(["production", "test", ""])(
+    "stays off with NODE_ENV=%j",
+    (nodeEnv) => {
+      vi.stubEnv("NODE_ENV", nodeEnv)
+      vi.stubEnv("AUTH_DEV_CREDENTIALS", "true")
+      expect(providerIds()).not.toContain("dev-credentials")
+    }
+  )
+})
@@ -0,0 +1,139 @@
+import type { Provider } from "next-auth/providers"
+import Credentials from "next-auth/providers/credentials"
+import GitHub from "next-auth/providers/github"
+import Google from "next-auth/providers/google"
+import Resend from "next-auth/providers/resend"
+import { db } from "./db"
+import { logger } from "./logger"
+
+const isProduction = process.env.NODE_ENV === "production"
+
+// Generic OIDC provider (defaults to Grail Auth)
+function oidcProvider(): Provider | null {
+  if (!process.env.AUTH_CLIENT_ID) return null
+
+  const issuer =
+    process.env.OIDC_ISSUER_URL || "https://staging.auth.grail.computer/oidc"
+
+  return {
+    id: process.env.OIDC_PROVIDER_ID || "grail",
+    name: process.env.OIDC_PROVIDER_NAME || "Grail Auth",
+    type: "oidc",
+    clientId: process.env.AUTH_CLIENT_ID,
+    clientSecret: process.env.AUTH_CLIENT_SECRET,
+    issuer,
+    wellKnown: `${issuer}/.well-known/openid-configuration`,
+    authorization: {
+      params: {
+        scope: "openid email profile",
+        response_type: "code",
+      },
+    },
+    checks: ["state"],
+    client: {
+      token_endpoint_auth_method: "client_secret_basic",
+    },
+    profile(profile: any) {
+      return {
+        id: profile.sub || profile.id,
+        name: profile.name,
+        email: profile.email,
+        image:
+          profile.picture ||
+          profile.profile_image_url ||
+          profile.profileImageUrl,
+        emailVerified: profile.email_verified ? new Date() : null,
+      }
+    },
+    // Custom icon for the provider
+    style: {
+      logo:
+        process.env.OIDC_PROVIDER_LOGO ||
+        "https://grail.computer/assets/icon.svg",
+    },
+  }
+}
+
+// Email magic links, sent through Resend. Without AUTH_RESEND_KEY the link is
+// printed to the server console instead (development only).
+function emailProvider(): Provider | null {
+  if (!process.env.AUTH_EMAIL_FROM) return null
+  if (!process.env.AUTH_RESEND_KEY && isProduction) {
+    logger.warn("AUTH_EMAIL_FROM is set but AUTH_RESEND_KEY is missing")
+    return null
+  }
+
+  return Resend({
+    id: "email",
+    name: "Email",
+    from: process.env.AUTH_EMAIL_FROM,
+    apiKey: process.env.AUTH_RESEND_KEY,
+    ...(!process.env.AUTH_RESEND_KEY && {
+      sendVerificationRequest({ identifier, url }) {
+        logger.info(`📧 Sign-in link for ${identifier}: ${url}`)
+      },
+    }),
+  })
+}
+
+// Sign in with just an email address, for local development without an
+// identity provider. Anyone can sign in as any user with it, so it takes
+// both an explicit opt-in and NODE_ENV=development.
+function devCredentialsProvider(): Provider | null {
+  if (
+    process.env.AUTH_DEV_CREDENTIALS !== "true" ||
+    process.env.NODE_ENV !== "development"
+  ) {
+    return null
+  }
+
+  return Credentials({
+    id: "dev-credentials",
+    name: "Development login",
+    credentials: {
+      email: { label: "Email", type: "email" },
+      name: { label: "Name", type: "text" },
+    },
+    async authorize(credentials) {
+      const email = String(credentials?.email || "")
+        .trim()
+        .toLowerCase()
+      if (!email.includes("@")) return null
+
+      const name = String(credentials?.name || "").trim() || null
+      return db.user.upsert({
+        where: { email },
+        create: { email, name, emailVerified: new Date() },
+        update: {},
+      })
+    },
+  })
+}
+
+// Providers are enabled by their environment variables:
+//   OIDC:   AUTH_CLIENT_ID, AUTH_CLIENT_SECRET, OIDC_ISSUER_URL
+//   GitHub: AUTH_GITHUB_ID, AUTH_GITHUB_SECRET
+//   Google: AUTH_GOOGLE_ID, AUTH_GOOGLE_SECRET
+//   Email:  AUTH_EMAIL_FROM, AUTH_RESEND_KEY
+//   Dev:    AUTH_DEV_CREDENTIALS=true, only with NODE_ENV=development
+export function buildAuthProviders(): Provider[] {
+  const providers: (Provider | null)[] = [
+    oidcProvider(),
+    process.env.AUTH_GITHUB_ID
+      ? GitHub({
+          clientId: process.env.AUTH_GITHUB_ID,
+          clientSecret: process.env.AUTH_GITHUB_SECRET,
+        })
+      : null,
+    process.env.AUTH_GOOGLE_ID
+      ? Google({
+          clientId: process.env.AUTH_GOOGLE_ID,
+          clientSecret: process.env.AUTH_GOOGLE_SECRET,
+        })
+      : null,
+    emailProvider(),
+    devCredentialsProvider(),
+  ]
+
+  return providers.filter((provider): provider is Provider => !!provider)
+}
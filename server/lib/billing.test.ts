@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { subscriptionFixture } from "../test/stripe"
+
+const { db, tx } = vi.hoisted(() => {
+  const tx = {
+    entitlement: {
+      deleteMany: vi.fn(),
+      findUnique: vi.fn(),
+      upsert: vi.fn(),
+    },
+  }
+  const db = {
+    customer: { findUnique: vi.fn(), upsert: vi.fn() },
+    subscription: { findUnique: vi.fn(), upsert: vi.fn() },
+    $transaction: vi.fn((fn: (client: typeof tx) => unknown) => fn(tx)),
+  }
+  return { db, tx }
+})
+vi.mock("./db", () => ({ db }))
+vi.mock("./audit", () => ({ audit: vi.fn(), diffRecords: vi.fn() }))
+
+const { syncSubscription } = await import("./billing")
+
+const customer = { id: "customer_1", userId: "user_1" }
+const local = { id: "subscription_1" }
+
+describe("syncSubscription", () => {
+  beforeEach(() => {
+    db.customer.findUnique.mockResolvedValue(customer)
+    db.subscription.findUnique.mockResolvedValue(null)
+    db.subscription.upsert.mockResolvedValue(local)
+    tx.entitlement.findUnique.mockResolvedValue(null)
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("mirrors the subscription and grants its plan's entitlement", async () => {
+    await syncSubscription(subscriptionFixture())
+
+    expect(db.subscription.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { stripeSubscriptionId: "sub_123" },
+        update: expect.objectContaining({
+          status: "active",
+          stripePriceId: "price_pro",
+        }),
+      })
+    )
+    expect(tx.entitlement.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        create: expect.objectContaining({
+          userId: "user_1",
+          feature: "pro",
+          subscriptionId: "subscription_1",
+        }),
+      })
+    )
+  })
+
+  it("removes the subscription's entitlements when it lapses", async () => {
+    await syncSubscription(subscriptionFixture({ status: "canceled" }))
+
+    expect(tx.entitlement.deleteMany).toHaveBeenCalledWith({
+      where: { subscriptionId: "subscription_1" },
+    })
+    expect(tx.entitlement.upsert).not.toHaveBeenCalled()
+  })
+
+  it("leaves a manual grant of the same feature alone", async () => {
+    tx.entitlement.findUnique.mockResolvedValue({
+      id: "entitlement_1",
+      subscriptionId: null,
+    })
+
+    await syncSubscription(subscriptionFixture())
+
+    expect(tx.entitlement.upsert).not.toHaveBeenCalled()
+    // Only rows tied to this subscription are ever deleted
+    expect(tx.entitlement.deleteMany).toHaveBeenCalledWith({
+      where: expect.objectContaining({ subscriptionId: "subscription_1" }),
+    })
+  })
+
+  it("links the customer from metadata when checkout hasn't yet", async () => {
+    db.customer.findUnique.mockResolvedValue(null)
+    db.customer.upsert.mockResolvedValue(customer)
+
+    await syncSubscription(subscriptionFixture())
+
+    expect(db.customer.upsert).toHaveBeenCalledWith({
+      where: { userId: "user_1" },
+      create: { userId: "user_1", stripeCustomerId: "cus_123" },
+      update: { stripeCustomerId: "cus_123" },
+    })
+    expect(db.subscription.upsert).toHaveBeenCalled()
+  })
+
+  it("skips subscriptions of unknown customers", async () => {
+    db.customer.findUnique.mockResolvedValue(null)
+
+    await syncSubscription(subscriptionFixture({ metadata: {} }))
+
+    expect(db.subscription.upsert).not.toHaveBeenCalled()
+  })
+})
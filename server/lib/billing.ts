@@ -0,0 +1,238 @@
+import type { BillingStatus } from "@/shared/types"
+import Stripe from "stripe"
+import { audit, diffRecords } from "./audit"
+import { db } from "./db"
+import { logger } from "./logger"
+import { getStripe } from "./stripe"
+
+// Features unlocked by each plan. Prices are matched by ID (written to .env by
+// scripts/update-stripe-products.mjs) or by their lookup key.
+export const PLANS = [
+  {
+    entitlement: "pro",
+    priceIds: [process.env.VITE_STRIPE_PRO_MONTHLY_PLAN_ID],
+    lookupKeys: ["pro_monthly"],
+  },
+] as const
+
+export type EntitlementKey = (typeof PLANS)[number]["entitlement"]
+
+// Subscription statuses that grant access. past_due keeps access while Stripe
+// retries the payment; Stripe moves it to canceled/unpaid if retries fail.
+const ACTIVE_STATUSES = ["active", "trialing", "past_due"]
+
+function entitlementForPrice(price: Stripe.Price): EntitlementKey | null {
+  const plan = PLANS.find(
+    (plan) =>
+      (plan.priceIds as readonly (string | undefined)[]).includes(price.id) ||
+      (price.lookup_key &&
+        (plan.lookupKeys as readonly string[]).includes(price.lookup_key))
+  )
+  return plan?.entitlement ?? null
+}
+
+export function stripeId(value: string | { id: string } | null): string | null {
+  if (!value) return null
+  return typeof value === "string" ? value : value.id
+}
+
+// Link a Stripe customer to a user (called when checkout completes)
+export async function linkStripeCustomer(
+  userId: string,
+  stripeCustomerId: string
+) {
+  return db.customer.upsert({
+    where: { userId },
+    create: { userId, stripeCustomerId },
+    update: { stripeCustomerId },
+  })
+}
+
+// Upsert the local copy of a Stripe subscription and recompute entitlements
+export async function syncSubscription(subscription: Stripe.Subscription) {
+  const stripeCustomerId = stripeId(subscription.customer)!
+  let customer = await db.customer.findUnique({ where: { stripeCustomerId } })
+
+  // Subscription events can arrive before checkout.session.completed
+  if (!customer && subscription.metadata?.userId) {
+    customer = await linkStripeCustomer(
+      subscription.metadata.userId,
+      stripeCustomerId
+    )
+  }
+
+  if (!customer) {
+    logger.warn(
+      `No user linked to Stripe customer ${stripeCustomerId}, skipping subscription ${subscription.id}`
+    )
+    return
+  }
+
+  const item = subscription.items.data[0]
+  const data = {
+    stripePriceId: item?.price.id ?? "",
+    status: subscription.status,
+    currentPeriodEnd: item ? new Date(item.current_period_end * 1000) : null,
+    cancelAtPeriodEnd: subscription.cancel_at_period_end,
+  }
+
+  const previous = await db.subscription.findUnique({
+    where: { stripeSubscriptionId: subscription.id },
+  })
+  const local = await db.subscription.upsert({
+    where: { stripeSubscriptionId: subscription.id },
+    create: {
+      ...data,
+      customerId: customer.id,
+      stripeSubscriptionId: subscription.id,
+    },
+    update: data,
+  })
+
+  const entitlement = item ? entitlementForPrice(item.price) : null
+  const isActive = ACTIVE_STATUSES.includes(subscription.status)
+
+  await db.$transaction(async (tx) => {
+    // Drop entitlements this subscription no longer grants
+    await tx.entitlement.deleteMany({
+      where: {
+        subscriptionId: local.id,
+        ...(isActive && entitlement ? { feature: { not: entitlement } } : {}),
+      },
+    })
+
+    // A manual grant of the same feature (no subscription) is left alone,
+    // so it survives the subscription lapsing
+    const existing =
+      isActive && entitlement
+        ? await tx.entitlement.findUnique({
+            where: {
+              userId_feature: { userId: customer.userId, feature: entitlement },
+            },
+          })
+        : null
+    const isManualGrant = !!existing && existing.subscriptionId === null
+
+    if (isActive && entitlement && !isManualGrant) {
+      const grant = {
+        subscriptionId: local.id,
+        expiresAt: data.cancelAtPeriodEnd ? data.currentPeriodEnd : null,
+      }
+      await tx.entitlement.upsert({
+        where: {
+          userId_feature: { userId: customer.userId, feature: entitlement },
+        },
+        create: { ...grant, userId: customer.userId, feature: entitlement },
+        update: grant,
+      })
+    }
+  })
+
+  // Stripe sends several events per change; only log actual changes
+  const diff = diffRecords(previous, local)
+  if (diff) {
+    await audit(
+      previous
+        ? "billing.subscription_updated"
+        : "billing.subscription_created",
+      {
+        model: "Subscription",
+        recordId: local.id,
+        diff,
+        metadata: {
+          userId: customer.userId,
+          stripeSubscriptionId: subscription.id,
+        },
+      }
+    )
+  }
+}
+
+export async function hasEntitlement(
+  userId: string,
+  feature: string
+): Promise<boolean> {
+  const entitlement = await db.entitlement.findFirst({
+    where: {
+      userId,
+      feature,
+      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+    },
+    select: { id: true },
+  })
+  return !!entitlement
+}
+
+// True while the user has a subscription that grants access, whatever plan
+export async function hasActiveSubscription(userId: string): Promise<boolean> {
+  const subscription = await db.subscription.findFirst({
+    where: { customer: { userId }, status: { in: ACTIVE_STATUSES } },
+    select: { id: true },
+  })
+  return !!subscription
+}
+
+export async function getEntitlements(userId: string): Promise<string[]> {
+  const entitlements = await db.entitlement.findMany({
+    where: {
+      userId,
+      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+    },
+    select: { feature: true },
+  })
+  return entitlements.map((entitlement) => entitlement.feature)
+}
+
+// Resolve the Stripe price for a plan, preferring the ID configured in .env
+export async function getPriceIdForPlan(plan: string): Promise<string | null> {
+  const config = PLANS.find((candidate) => candidate.entitlement === plan)
+  if (!config) return null
+
+  const configured = config.priceIds.find(Boolean)
+  if (configured) return configured
+
+  const prices = await getStripe().prices.list({
+    lookup_keys: [...config.lookupKeys],
+    active: true,
+    limit: 1,
+  })
+  return prices.data[0]?.id ?? null
+}
+
+// Return the user's Stripe customer ID, creating the customer on first use
+export async function getOrCreateStripeCustomer(user: {
+  id: string
+  email?: string | null
+  name?: string | null
+}): Promise<string> {
+  const existing = await db.customer.findUnique({ where: { userId: user.id } })
+  if (existing) return existing.stripeCustomerId
+
+  const customer = await getStripe().customers.create({
+    email: user.email ?? undefined,
+    name: user.name ?? undefined,
+    metadata: { userId: user.id },
+  })
+  await linkStripeCustomer(user.id, customer.id)
+  return customer.id
+}
+
+export async function getBillingStatus(userId: string): Promise<BillingStatus> {
+  const [entitlements, subscription] = await Promise.all([
+    getEntitlements(userId),
+    db.subscription.findFirst({
+      where: { customer: { userId } },
+      orderBy: { updatedAt: "desc" },
+    }),
+  ])
+
+  return {
+    entitlements,
+    subscription: subscription && {
+      status: subscription.status,
+      priceId: subscription.stripePriceId,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    },
+  }
+}
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest"
+import { serve } from "../test/http"
+import { bodyParsers } from "./body-parsers"
+
+const request = serve((app) => {
+  app.use(
+    bodyParsers({
+      default: 20,
+      routes: { "/uploads": "1kb", "/uploads/raw": false },
+    })
+  )
+  app.post("*", (req, res) => res.json({ body: req.body ?? null }))
+})
+
+function post(path: string, body: unknown) {
+  return request(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  })
+}
+
+describe("bodyParsers", () => {
+  it("parses JSON bodies within the limit", async () => {
+    const res = await post("/notes", { a: 1 })
+
+    expect(await res.json()).toEqual({ body: { a: 1 } })
+  })
+
+  it("answers 413 for bodies over the default limit", async () => {
+    const res = await post("/notes", { text: "x".repeat(50) })
+
+    expect(res.status).toBe(413)
+  })
+
+  it("uses the limit of the longest matching prefix", async () => {
+    expect((await post("/uploads/1", { text: "x".repeat(50) })).status).toBe(
+      200
+    )
+    expect(await (await post("/uploads/raw", { a: 1 })).json()).toEqual({
+      body: null,
+    })
+  })
+
+  it("parses urlencoded bodies", async () => {
+    const res = await request("/notes", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "a=1",
+    })
+
+    expect(await res.json()).toEqual({ body: { a: "1" } })
+  })
+})
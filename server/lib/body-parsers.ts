@@ -0,0 +1,52 @@
+import express, { NextFunction, Request, Response } from "express"
+
+// Maximum body size, e.g. "1mb" or a number of bytes. `false` leaves the
+// body unparsed, for routes that read the raw stream themselves.
+export type BodyLimit = string | number | false
+
+export interface BodyParserOptions {
+  // Limit for paths without a more specific entry
+  default: BodyLimit
+  // Limits by path prefix, relative to where the middleware is mounted.
+  // The longest matching prefix wins.
+  routes?: Record<string, BodyLimit>
+}
+
+function createParsers(limit: string | number) {
+  const json = express.json({ limit })
+  const urlencoded = express.urlencoded({ extended: false, limit })
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    json(req, res, (err) => {
+      if (err) return next(err)
+      urlencoded(req, res, next)
+    })
+  }
+}
+
+function matches(path: string, prefix: string) {
+  return path === prefix || path.startsWith(prefix.replace(/\/$/, "") + "/")
+}
+
+// JSON and urlencoded body parsing with per-route size limits. Bodies over
+// the limit get a 413 problem response.
+export function bodyParsers(options: BodyParserOptions) {
+  const routes = Object.entries(options.routes ?? {}).sort(
+    ([a], [b]) => b.length - a.length
+  )
+  const parsers = new Map<string | number, ReturnType<typeof createParsers>>()
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    const limit =
+      routes.find(([prefix]) => matches(req.path, prefix))?.[1] ??
+      options.default
+    if (limit === false) return next()
+
+    let parse = parsers.get(limit)
+    if (!parse) {
+      parse = createParsers(limit)
+      parsers.set(limit, parse)
+    }
+    parse(req, res, next)
+  }
+}
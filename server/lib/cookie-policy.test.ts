@@ -0,0 +1,65 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import {
+  buildAuthCookies,
+  getEmbedMode,
+  shouldUseSecureCookies,
+} from "./cookie-policy"
+
+describe("cookie policy", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("defaults to embedded mode", () => {
+    vi.stubEnv("EMBED_MODE", "")
+
+    expect(getEmbedMode()).toBe("embedded")
+  })
+
+  it("always uses secure SameSite=None cookies when embedded", () => {
+    vi.stubEnv("EMBED_MODE", "embedded")
+    vi.stubEnv("NEXTAUTH_URL", "http://localhost:5000")
+
+    const cookies = buildAuthCookies()
+    expect(shouldUseSecureCookies()).toBe(true)
+    expect(cookies.sessionToken).toMatchObject({
+      name: "__Secure-next-auth.session-token",
+      options: { sameSite: "none", secure: true },
+    })
+    expect(cookies.csrfToken?.name).toBe("__Host-next-auth.csrf-token")
+  })
+
+  it("follows the NEXTAUTH_URL protocol when standalone", () => {
+    vi.stubEnv("EMBED_MODE", "standalone")
+
+    vi.stubEnv("NEXTAUTH_URL", "https://app.example.com")
+    expect(shouldUseSecureCookies()).toBe(true)
+
+    vi.stubEnv("NEXTAUTH_URL", "http://localhost:5000")
+    expect(shouldUseSecureCookies()).toBe(false)
+  })
+
+  it("falls back to NODE_ENV without a NEXTAUTH_URL", () => {
+    vi.stubEnv("EMBED_MODE", "standalone")
+    vi.stubEnv("NEXTAUTH_URL", "")
+
+    vi.stubEnv("NODE_ENV", "production")
+    expect(shouldUseSecureCookies()).toBe(true)
+
+    vi.stubEnv("NODE_ENV", "development")
+    expect(shouldUseSecureCookies()).toBe(false)
+  })
+
+  it("drops the cookie prefixes and uses SameSite=Lax over http", () => {
+    vi.stubEnv("EMBED_MODE", "standalone")
+    vi.stubEnv("NEXTAUTH_URL", "http://localhost:5000")
+
+    const cookies = buildAuthCookies()
+    expect(cookies.sessionToken).toMatchObject({
+      name: "next-auth.session-token",
+      options: { sameSite: "lax", secure: false, httpOnly: true, path: "/" },
+    })
+    expect(cookies.csrfToken?.name).toBe("next-auth.csrf-token")
+    expect(cookies.state?.options?.maxAge).toBe(60 * 15)
+  })
+})
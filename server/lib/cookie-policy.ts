@@ -0,0 +1,68 @@
+import type { NextAuthConfig } from "next-auth"
+import { logger } from "./logger"
+
+// "embedded": the app runs inside a cross-site iframe (e.g. the Grail preview),
+//   so cookies must be SameSite=None; Secure.
+// "standalone": the app is the top-level site, so cookies use SameSite=Lax and
+//   are only Secure when served over https.
+export type EmbedMode = "embedded" | "standalone"
+
+export function getEmbedMode(): EmbedMode {
+  return process.env.EMBED_MODE === "standalone" ? "standalone" : "embedded"
+}
+
+// Public URL of the app, parsed from NEXTAUTH_URL
+export function getAppUrl(): URL | null {
+  if (!process.env.NEXTAUTH_URL) return null
+  try {
+    return new URL(process.env.NEXTAUTH_URL)
+  } catch {
+    logger.warn(`Invalid NEXTAUTH_URL: ${process.env.NEXTAUTH_URL}`)
+    return null
+  }
+}
+
+export function shouldUseSecureCookies(): boolean {
+  if (getEmbedMode() === "embedded") return true
+  const appUrl = getAppUrl()
+  if (appUrl) return appUrl.protocol === "https:"
+  return process.env.NODE_ENV === "production"
+}
+
+// Cookie names and options for Auth.js. Secure cookies get the __Secure-
+// prefix, and the CSRF cookie the stricter __Host- prefix (no Domain, Path=/).
+export function buildAuthCookies(): NonNullable<NextAuthConfig["cookies"]> {
+  const secure = shouldUseSecureCookies()
+  const sameSite = getEmbedMode() === "embedded" ? "none" : "lax"
+  const securePrefix = secure ? "__Secure-" : ""
+  const hostPrefix = secure ? "__Host-" : ""
+
+  const options = { httpOnly: true, sameSite, path: "/", secure } as const
+
+  return {
+    sessionToken: {
+      name: `${securePrefix}next-auth.session-token`,
+      options,
+    },
+    callbackUrl: {
+      name: `${securePrefix}next-auth.callback-url`,
+      options,
+    },
+    csrfToken: {
+      name: `${hostPrefix}next-auth.csrf-token`,
+      options,
+    },
+    pkceCodeVerifier: {
+      name: `${securePrefix}next-auth.pkce.code_verifier`,
+      options: { ...options, maxAge: 60 * 15 },
+    },
+    state: {
+      name: `${securePrefix}next-auth.state`,
+      options: { ...options, maxAge: 60 * 15 },
+    },
+    nonce: {
+      name: `${securePrefix}next-auth.nonce`,
+      options,
+    },
+  }
+}
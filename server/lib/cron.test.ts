@@ -0,0 +1,171 @@
+import { Prisma } from "@prisma/client"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+
+interface Row {
+  id: string
+  task: string
+  scheduledAt: Date
+  instance: string
+  status: string
+  startedAt: Date
+}
+
+// An in-memory CronRun table and advisory lock shared by every "instance"
+const { db, store } = vi.hoisted(() => {
+  const store = { rows: [] as Row[], locked: false }
+  const cronRun = {
+    create: vi.fn(),
+    findFirst: vi.fn(),
+    update: vi.fn(),
+  }
+  const db = {
+    cronRun,
+    $transaction: vi.fn(async (fn: (tx: unknown) => Promise<unknown>) => {
+      let holdsLock = false
+      const tx = {
+        cronRun,
+        $queryRaw: async () => {
+          holdsLock = !store.locked
+          store.locked = true
+          return [{ locked: holdsLock }]
+        },
+      }
+      try {
+        return await fn(tx)
+      } finally {
+        if (holdsLock) store.locked = false
+      }
+    }),
+  }
+  return { db, store }
+})
+vi.mock("./db", () => ({ db }))
+
+const { CronScheduler, defineCron } = await import("./cron")
+
+const handler = vi.fn(async () => {})
+const task = defineCron({ name: "report", schedule: "* * * * *", handler })
+
+// Start a scheduler, as another instance would, without stopping the ones
+// already started in this process
+function startInstance() {
+  const scheduler = new CronScheduler([task])
+  ;(globalThis as { cronScheduler?: unknown }).cronScheduler = undefined
+  scheduler.start()
+  return scheduler
+}
+
+describe("CronScheduler", () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    store.rows = []
+    store.locked = false
+
+    db.cronRun.create.mockImplementation(async ({ data }) => {
+      // Let other instances interleave, as a round trip would
+      await Promise.resolve()
+      const taken = store.rows.some(
+        (row) =>
+          row.task === data.task &&
+          row.scheduledAt.getTime() === data.scheduledAt.getTime()
+      )
+      if (taken) {
+        throw new Prisma.PrismaClientKnownRequestError("Unique constraint", {
+          code: "P2002",
+          clientVersion: "test",
+        })
+      }
+      const row = {
+        ...data,
+        id: `run_${store.rows.length + 1}`,
+        status: "running",
+        startedAt: new Date(),
+      }
+      store.rows.push(row)
+      return row
+    })
+    db.cronRun.findFirst.mockImplementation(async ({ where }) => {
+      await Promise.resolve()
+      return (
+        store.rows.find(
+          (row) =>
+            row.task === where.task &&
+            row.status === where.status &&
+            row.scheduledAt < where.scheduledAt.lt &&
+            row.startedAt > where.startedAt.gt
+        ) ?? null
+      )
+    })
+    db.cronRun.update.mockImplementation(async ({ where, data }) => {
+      const row = store.rows.find((row) => row.id === where.id)!
+      Object.assign(row, data)
+      return row
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.clearAllMocks()
+  })
+
+  it("runs each tick once across instances", async () => {
+    const instances = [startInstance(), startInstance()]
+    await vi.advanceTimersToNextTimerAsync()
+    await Promise.all(instances.map((instance) => instance.stop()))
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(store.rows).toEqual([
+      expect.objectContaining({ task: "report", status: "succeeded" }),
+    ])
+  })
+
+  it("runs the task after releasing the lock", async () => {
+    handler.mockImplementationOnce(async () => {
+      expect(store.locked).toBe(false)
+    })
+
+    const scheduler = startInstance()
+    await vi.advanceTimersToNextTimerAsync()
+    await scheduler.stop()
+
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(store.rows[0].status).toBe("succeeded")
+  })
+
+  it("skips ticks while the previous run is still going", async () => {
+    let finish = () => {}
+    handler.mockImplementationOnce(
+      () => new Promise<void>((resolve) => (finish = resolve))
+    )
+
+    const scheduler = startInstance()
+    await vi.advanceTimersToNextTimerAsync()
+    expect(handler).toHaveBeenCalledTimes(1)
+
+    // The next tick, a minute later
+    await vi.advanceTimersToNextTimerAsync()
+    expect(handler).toHaveBeenCalledTimes(1)
+    expect(store.rows).toHaveLength(1)
+
+    finish()
+    await scheduler.stop()
+    expect(store.rows[0].status).toBe("succeeded")
+  })
+
+  it("runs a tick when an earlier run was abandoned past its timeout", async () => {
+    store.rows.push({
+      id: "run_0",
+      task: "report",
+      scheduledAt: new Date(Date.now() - 60 * 60 * 1000),
+      instance: "dead",
+      status: "running",
+      startedAt: new Date(Date.now() - 60 * 60 * 1000),
+    })
+
+    const scheduler = startInstance()
+    await vi.advanceTimersToNextTimerAsync()
+    await scheduler.stop()
+
+    expect(handler).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,256 @@
+import { Prisma } from "@prisma/client"
+import { CronExpressionParser } from "cron-parser"
+import os from "os"
+import { db } from "./db"
+import { Logger, logger } from "./logger"
+import { metrics } from "./metrics"
+import { withTimeout } from "./shutdown"
+
+// Periodic tasks. Define one in server/cron/ and add it to the list in
+// server/cron/index.ts:
+//   export const nightlyCleanup = defineCron({
+//     name: "cleanup",
+//     schedule: "0 3 * * *", // 03:00 every day
+//     handler: async ({ log }) => { ... },
+//   })
+// Every instance runs the scheduler, but each tick runs on one instance
+// only (see runTask). Ticks missed while no instance was up are skipped.
+
+const log = logger.child({ source: "cron" })
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1
+const MAX_ERROR_LENGTH = 4000
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000
+
+export interface CronContext {
+  // The tick being run
+  scheduledAt: Date
+  // Aborted when the task exceeds its timeout
+  signal: AbortSignal
+  log: Logger
+}
+
+export interface CronTask {
+  name: string
+  // Cron expression: minute hour day-of-month month day-of-week
+  schedule: string
+  // IANA time zone the schedule is in (default CRON_TIMEZONE or UTC)
+  timezone?: string
+  // Default 10 minutes
+  timeoutMs?: number
+  handler: (context: CronContext) => Promise<void>
+}
+
+function timeoutOf(task: CronTask) {
+  return task.timeoutMs ?? DEFAULT_TIMEOUT_MS
+}
+
+function timezoneOf(task: CronTask) {
+  return task.timezone ?? process.env.CRON_TIMEZONE ?? "UTC"
+}
+
+// First tick of `task` after `after`
+export function nextRun(task: CronTask, after: Date): Date {
+  return CronExpressionParser.parse(task.schedule, {
+    currentDate: after,
+    tz: timezoneOf(task),
+  })
+    .next()
+    .toDate()
+}
+
+// Throws on an invalid expression, so mistakes show up on startup
+export function defineCron(task: CronTask): CronTask {
+  nextRun(task, new Date())
+  return task
+}
+
+// Record the tick as started by this instance; null if another instance
+// already ran it
+async function claimTick(
+  tx: Prisma.TransactionClient,
+  task: CronTask,
+  scheduledAt: Date,
+  instance: string
+) {
+  try {
+    return await tx.cronRun.create({
+      data: { task: task.name, scheduledAt, instance },
+    })
+  } catch (err) {
+    if (
+      err instanceof Prisma.PrismaClientKnownRequestError &&
+      err.code === "P2002"
+    ) {
+      return null
+    }
+    throw err
+  }
+}
+
+function errorMessage(error: unknown): string {
+  const message =
+    error instanceof Error ? error.stack ?? error.message : String(error)
+  return message.slice(0, MAX_ERROR_LENGTH)
+}
+
+async function execute(
+  task: CronTask,
+  runId: string,
+  scheduledAt: Date,
+  taskLog: Logger
+) {
+  const timeoutMs = timeoutOf(task)
+  const controller = new AbortController()
+  const start = Date.now()
+
+  let error: unknown
+  try {
+    const result = await withTimeout(
+      task.handler({ scheduledAt, signal: controller.signal, log: taskLog }),
+      timeoutMs
+    )
+    if (result === "timeout") {
+      controller.abort()
+      error = new Error(`Timed out after ${timeoutMs}ms`)
+    }
+  } catch (err) {
+    error = err
+  }
+
+  const durationMs = Date.now() - start
+  const status = error === undefined ? "succeeded" : "failed"
+  if (error === undefined) {
+    taskLog.info(`Scheduled task finished in ${durationMs}ms`)
+  } else {
+    taskLog.error("Scheduled task failed", { err: error, durationMs })
+  }
+  metrics.cronRuns.inc({ task: task.name, result: status })
+  metrics.cronDuration.observe({ task: task.name }, durationMs / 1000)
+
+  await db.cronRun.update({
+    where: { id: runId },
+    data: {
+      status,
+      finishedAt: new Date(),
+      durationMs,
+      error: error === undefined ? null : errorMessage(error),
+    },
+  })
+}
+
+// Run one tick on at most one instance. The tick is claimed in a short
+// transaction holding a Postgres advisory lock on the task, so instances
+// can't both pass the checks below at once: the first inserts the tick's
+// CronRun row (unique on task and scheduledAt), the others see it and skip.
+// A tick is also skipped while an earlier tick's run is still going, so
+// slow tasks don't pile up. The task itself runs after the lock is released.
+async function runTask(task: CronTask, scheduledAt: Date, instance: string) {
+  const taskLog = log.child({ task: task.name })
+
+  try {
+    const claim = await db.$transaction(async (tx) => {
+      const [{ locked }] = await tx.$queryRaw<{ locked: boolean }[]>`
+        SELECT pg_try_advisory_xact_lock(hashtext(${`cron:${task.name}`})) AS "locked"`
+      // Another instance is claiming this tick right now
+      if (!locked) return { skip: "claimed" as const }
+
+      // Runs left "running" by an instance that died stop counting once
+      // they're past the timeout
+      const running = await tx.cronRun.findFirst({
+        where: {
+          task: task.name,
+          status: "running",
+          scheduledAt: { lt: scheduledAt },
+          startedAt: { gt: new Date(Date.now() - timeoutOf(task)) },
+        },
+        select: { id: true },
+      })
+      if (running) return { skip: "running" as const }
+
+      const run = await claimTick(tx, task, scheduledAt, instance)
+      return run ? { run } : { skip: "claimed" as const }
+    })
+
+    if ("skip" in claim) {
+      if (claim.skip === "running") {
+        taskLog.warn("Skipping tick, the previous run is still going")
+      } else {
+        taskLog.debug("Skipping tick, already run by another instance")
+      }
+      return
+    }
+
+    await execute(task, claim.run.id, scheduledAt, taskLog)
+  } catch (err) {
+    taskLog.error("Failed to run scheduled task", { err })
+  }
+}
+
+// server/index.ts and every hot-reloaded backend bundle have their own copy
+// of this module; the scheduler that is running is tracked globally
+const globalForCron = globalThis as unknown as {
+  cronScheduler: CronScheduler | undefined
+}
+
+// Runs each task on its schedule. Started by registerRoutes() in
+// server/backend.ts.
+export class CronScheduler {
+  readonly instance = `${os.hostname()}:${process.pid}`
+  private tasks: CronTask[]
+  private timers = new Map<string, NodeJS.Timeout>()
+  private running = new Set<Promise<void>>()
+  private stopped = true
+
+  constructor(tasks: CronTask[]) {
+    this.tasks = tasks
+  }
+
+  start() {
+    // After a hot reload the previous bundle's scheduler has normally been
+    // stopped by its shutdown hook already; make sure its timers never fire
+    // next to ours
+    const previous = globalForCron.cronScheduler
+    if (previous && previous !== this) previous.clearTimers()
+    globalForCron.cronScheduler = this
+
+    this.stopped = false
+    this.tasks.forEach((task) => this.scheduleNext(task, new Date()))
+    log.info("Scheduler started", {
+      tasks: this.tasks.map((task) => `${task.name} (${task.schedule})`),
+    })
+  }
+
+  // Stop scheduling and wait for running tasks
+  async stop() {
+    this.clearTimers()
+    if (globalForCron.cronScheduler === this) {
+      globalForCron.cronScheduler = undefined
+    }
+    await Promise.allSettled(Array.from(this.running))
+  }
+
+  private clearTimers() {
+    this.stopped = true
+    this.timers.forEach((timer) => clearTimeout(timer))
+    this.timers.clear()
+  }
+
+  private scheduleNext(task: CronTask, after: Date) {
+    if (this.stopped) return
+    const at = nextRun(task, after)
+    const delay = Math.min(Math.max(0, at.getTime() - Date.now()), MAX_TIMER_MS)
+
+    const timer = setTimeout(() => {
+      // Woken early because of the timer limit
+      if (Date.now() < at.getTime()) return this.scheduleNext(task, after)
+
+      this.scheduleNext(task, at)
+      const run = runTask(task, at, this.instance)
+      this.running.add(run)
+      run.finally(() => this.running.delete(run))
+    }, delay)
+    this.timers.set(task.name, timer)
+  }
+}
@@ -0,0 +1,156 @@
+import { readdirSync, readFileSync } from "fs"
+import path from "path"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+
+type AllOperations = (params: {
+  model?: string
+  operation: string
+  args: unknown
+  query: (args: unknown) => Promise<unknown>
+}) => Promise<unknown>
+
+const extension = vi.hoisted(() => ({
+  $allOperations: undefined as AllOperations | undefined,
+}))
+
+vi.mock("@prisma/client", () => ({
+  PrismaClient: class {
+    $extends(ext: { query: { $allOperations: AllOperations } }) {
+      extension.$allOperations = ext.query.$allOperations
+      return this
+    }
+  },
+}))
+
+await import("./db")
+
+function run(query: (args: unknown) => Promise<unknown>) {
+  return extension.$allOperations!({
+    model: "User",
+    operation: "findMany",
+    args: {},
+    query,
+  })
+}
+
+function prismaError(code: string) {
+  return Object.assign(new Error(`Prisma error ${code}`), { code })
+}
+
+describe("db retries", () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.spyOn(console, "warn").mockImplementation(() => {})
+    vi.spyOn(console, "error").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it("retries connection errors with exponential backoff", async () => {
+    const query = vi
+      .fn()
+      .mockRejectedValueOnce(prismaError("P1001"))
+      .mockRejectedValueOnce(new Error("Connection refused"))
+      .mockResolvedValue(["row"])
+
+    const result = run(query)
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(query).toHaveBeenCalledTimes(2)
+    await vi.advanceTimersByTimeAsync(2000)
+
+    await expect(result).resolves.toEqual(["row"])
+    expect(query).toHaveBeenCalledTimes(3)
+  })
+
+  it("does not retry query errors", async () => {
+    const query = vi.fn().mockRejectedValue(prismaError("P2002"))
+
+    await expect(run(query)).rejects.toMatchObject({ code: "P2002" })
+    expect(query).toHaveBeenCalledTimes(1)
+  })
+
+  it("gives up after three retries", async () => {
+    const query = vi.fn().mockRejectedValue(prismaError("P1001"))
+
+    const result = run(query)
+    const assertion = expect(result).rejects.toMatchObject({ code: "P1001" })
+    await vi.runAllTimersAsync()
+
+    await assertion
+    expect(query).toHaveBeenCalledTimes(4)
+  })
+})
+
+const SCALAR_TYPES = new Set([
+  "String",
+  "Int",
+  "BigInt",
+  "Float",
+  "Decimal",
+  "Boolean",
+  "DateTime",
+  "Json",
+  "Bytes",
+])
+
+// Table name -> column names declared by prisma/schema.prisma
+function schemaTables() {
+  const schema = readFileSync(path.resolve("prisma/schema.prisma"), "utf8")
+  const tables = new Map<string, Set<string>>()
+
+  for (const [, model, body] of schema.matchAll(
+    /^model (\w+) \{\n([\s\S]*?)\n\}/gm
+  )) {
+    const table = body.match(/@@map\("(\w+)"\)/)?.[1] ?? model
+    const columns = new Set<string>()
+    for (const line of body.split("\n")) {
+      const field = line.trim().match(/^(\w+)\s+(\w+)/)
+      if (!field || !SCALAR_TYPES.has(field[2])) continue
+      columns.add(line.match(/@map\("(\w+)"\)/)?.[1] ?? field[1])
+    }
+    tables.set(table, columns)
+  }
+  return tables
+}
+
+// Table name -> column names created by prisma/migrations, in order
+function migratedTables() {
+  const dir = path.resolve("prisma/migrations")
+  const tables = new Map<string, Set<string>>()
+
+  for (const name of readdirSync(dir).sort()) {
+    if (name.endsWith(".toml")) continue
+    const sql = readFileSync(path.join(dir, name, "migration.sql"), "utf8")
+
+    for (const [, table, body] of sql.matchAll(
+      /CREATE TABLE "(\w+)" \(([^;]*)\);/g
+    )) {
+      const columns = [...body.matchAll(/^\s+"(\w+)" /gm)].map((m) => m[1])
+      tables.set(table, new Set(columns))
+    }
+    for (const [, table, body] of sql.matchAll(
+      /ALTER TABLE "(\w+)" ([^;]*);/g
+    )) {
+      for (const [, column] of body.matchAll(/ADD COLUMN\s+"(\w+)"/g)) {
+        tables.get(table)?.add(column)
+      }
+    }
+  }
+  return tables
+}
+
+describe("migrations", () => {
+  it("create every table and column in the schema", () => {
+    const migrated = migratedTables()
+
+    for (const [table, columns] of schemaTables()) {
+      expect(migrated.has(table), `missing table ${table}`).toBe(true)
+      expect([...migrated.get(table)!].sort(), table).toEqual(
+        [...columns].sort()
+      )
+    }
+  })
+})
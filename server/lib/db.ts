@@ -1,10 +1,16 @@
 import { PrismaClient } from "@prisma/client"
+import { auditWrite, isAuditedWrite } from "./audit"
+import { logger } from "./logger"
+import { metrics } from "./metrics"
+import { backoffDelay } from "./utils"
 
 // Type to ensure db is only used in server-side code
 export type ServerOnlyPrismaClient = PrismaClient & {
   _isServerOnly: true
 }
 
+const log = logger.child({ source: "prisma" })
+
 const globalForPrisma = globalThis as unknown as {
   prisma: ServerOnlyPrismaClient | undefined
 }
@@ -54,31 +60,35 @@ const retryOperation = async <T>(
       // Only retry connection errors
       if (!isConnectionError(error) || attempt === maxRetries) {
         if (attempt > 0) {
-          console.error(
+          log.error(
             `Database operation "${context}" failed after ${
               attempt + 1
-            } attempts:`,
-            error
+            } attempts`,
+            { err: error, operation: context, attempts: attempt + 1 }
           )
         }
         throw error
       }
 
-      // Log retry attempt for debugging
-      const delay = baseDelay * Math.pow(2, attempt)
+      // Log retry attempt for debugging (includes the request ID, if any)
+      const delay = backoffDelay(attempt, baseDelay)
       const errorMessage =
         error instanceof Error ? error.message : String(error)
       const errorCode = (error as any)?.code
-      console.warn(
+      log.warn(
         `Database connection error on attempt ${attempt + 1}/${
           maxRetries + 1
         } for "${context}". Retrying in ${delay}ms...`,
         {
           error: errorMessage,
           code: errorCode,
+          operation: context,
+          attempt: attempt + 1,
+          delayMs: delay,
         }
       )
 
+      metrics.dbRetries.inc({ operation: context })
       await new Promise((resolve) => setTimeout(resolve, delay))
     }
   }
@@ -87,22 +97,30 @@ const retryOperation = async <T>(
 }
 
 const createPrismaClient = () => {
-  const client = new PrismaClient() as ServerOnlyPrismaClient
-  client._isServerOnly = true
-
-  // Add middleware to intercept ALL database operations (including those from PrismaAdapter)
-  client.$use(async (params, next) => {
-    const operation = params.model
-      ? `${params.model}.${params.action}`
-      : params.action || "unknown"
-
-    return retryOperation(
-      () => next(params),
-      3, // maxRetries
-      1000, // baseDelay
-      operation // context for logging
-    )
-  })
+  const base = new PrismaClient() as ServerOnlyPrismaClient
+  base._isServerOnly = true
+
+  // Intercept ALL database operations (including those from PrismaAdapter).
+  // Query extensions replace the $use middleware removed in Prisma 6.14.
+  const client = base.$extends({
+    query: {
+      async $allOperations({ model, operation, args, query }) {
+        const context = model ? `${model}.${operation}` : operation
+        const run = () =>
+          retryOperation(
+            () => query(args),
+            3, // maxRetries
+            1000, // baseDelay
+            context // context for logging
+          )
+
+        // Optional audit log of every write (AUDIT_PRISMA_WRITES)
+        return model && isAuditedWrite(model, operation)
+          ? auditWrite(base, { model, operation, args }, run)
+          : run()
+      },
+    },
+  }) as unknown as ServerOnlyPrismaClient
 
   // Browser safety check wrapper
   return new Proxy(client, {
@@ -120,6 +138,6 @@ const createPrismaClient = () => {
 
 export const db = globalForPrisma.prisma ?? createPrismaClient()
 
-if (process.env.NODE_ENV !== "production") {
-  globalForPrisma.prisma = db
-}
+// Shared by server/index.ts (which disconnects it on shutdown) and every
+// hot-reloaded backend bundle
+globalForPrisma.prisma = db
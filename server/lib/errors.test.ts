@@ -0,0 +1,135 @@
+import { Prisma } from "@prisma/client"
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+import {
+  ConflictError,
+  HttpError,
+  NotFoundError,
+  toHttpError,
+  ValidationError,
+} from "./errors"
+
+function prismaError(code: string, meta?: Record<string, unknown>) {
+  return new Prisma.PrismaClientKnownRequestError("Query failed", {
+    code,
+    clientVersion: Prisma.prismaVersion.client,
+    meta,
+  })
+}
+
+describe("toHttpError", () => {
+  it("keeps HttpErrors", () => {
+    const error = new NotFoundError("User not found")
+
+    expect(toHttpError(error)).toBe(error)
+  })
+
+  it("maps unique violations to 409 with field errors", () => {
+    const error = toHttpError(
+      prismaError("P2002", { modelName: "User", target: ["email"] })
+    )
+
+    expect(error).toBeInstanceOf(ConflictError)
+    expect(error).toMatchObject({
+      status: 409,
+      code: "unique_violation",
+      message: "A user with this email already exists",
+      fieldErrors: { email: ["Already in use"] },
+    })
+  })
+
+  it("maps missing records to 404", () => {
+    const error = toHttpError(prismaError("P2025", { modelName: "ApiKey" }))
+
+    expect(error).toMatchObject({ status: 404, message: "ApiKey not found" })
+  })
+
+  it("keeps the status of exposed body-parser errors", () => {
+    const error = toHttpError(
+      Object.assign(new Error("request entity too large"), {
+        status: 413,
+        expose: true,
+      })
+    )
+
+    expect(error).toMatchObject({
+      status: 413,
+      message: "request entity too large",
+    })
+  })
+
+  it("turns anything else into a 500", () => {
+    const cause = new Error("connect ECONNREFUSED 10.0.0.1:5432")
+    const error = toHttpError(cause)
+
+    expect(error.status).toBe(500)
+    expect(error.message).toBe("Internal Server Error")
+    expect(error.cause).toBe(cause)
+  })
+})
+
+describe("errorHandler", () => {
+  const request = serve((app) => {
+    app.get("/missing", () => {
+      throw new NotFoundError("Note not found")
+    })
+    app.get("/invalid", () => {
+      throw new ValidationError({ title: ["Required"] })
+    })
+    app.get("/limited", () => {
+      throw new HttpError(429, "Slow down", {
+        headers: { "Retry-After": "60" },
+      })
+    })
+    app.get("/broken", () => {
+      throw new Error("secret connection string")
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("responds with problem+json", async () => {
+    const res = await request("/missing")
+
+    expect(res.status).toBe(404)
+    expect(res.headers.get("content-type")).toMatch(
+      /^application\/problem\+json/
+    )
+    expect(await res.json()).toEqual({
+      type: "about:blank",
+      title: "Not Found",
+      status: 404,
+      detail: "Note not found",
+      instance: "/missing",
+      code: "not_found",
+    })
+  })
+
+  it("includes field errors", async () => {
+    const res = await request("/invalid")
+
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({
+      code: "validation_failed",
+      fieldErrors: { title: ["Required"] },
+    })
+  })
+
+  it("sets the error's headers", async () => {
+    const res = await request("/limited")
+
+    expect(res.status).toBe(429)
+    expect(res.headers.get("retry-after")).toBe("60")
+  })
+
+  it("hides the message of unexpected errors", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {})
+
+    const res = await request("/broken")
+
+    expect(res.status).toBe(500)
+    expect(await res.text()).not.toContain("secret")
+  })
+})
@@ -0,0 +1,214 @@
+import { PROBLEM_CONTENT_TYPE, ProblemDetails } from "@/shared/errors"
+import { Prisma } from "@prisma/client"
+import { ErrorRequestHandler, Request, Response } from "express"
+import { STATUS_CODES } from "http"
+import { logger } from "./logger"
+
+export interface HttpErrorOptions {
+  code?: string
+  type?: string
+  fieldErrors?: Record<string, string[]>
+  // Extra response headers, e.g. { "Retry-After": "60" }
+  headers?: Record<string, string>
+  cause?: unknown
+}
+
+// Throw from route handlers and middleware to send an error response:
+//   throw new NotFoundError("User not found")
+// The message is sent to the client as the problem's `detail`.
+export class HttpError extends Error {
+  readonly status: number
+  readonly code?: string
+  readonly type: string
+  readonly fieldErrors?: Record<string, string[]>
+  readonly headers?: Record<string, string>
+
+  constructor(status: number, detail?: string, options: HttpErrorOptions = {}) {
+    super(detail ?? STATUS_CODES[status] ?? "Error", { cause: options.cause })
+    this.name = new.target.name
+    this.status = status
+    this.code = options.code
+    this.type = options.type ?? "about:blank"
+    this.fieldErrors = options.fieldErrors
+    this.headers = options.headers
+  }
+}
+
+export class BadRequestError extends HttpError {
+  constructor(detail = "Bad request", options?: HttpErrorOptions) {
+    super(400, detail, options)
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(
+    fieldErrors: Record<string, string[]>,
+    detail = "The request contains invalid fields"
+  ) {
+    super(400, detail, { code: "validation_failed", fieldErrors })
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(
+    detail = "Please sign in to access this resource",
+    options?: HttpErrorOptions
+  ) {
+    super(401, detail, { code: "unauthenticated", ...options })
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(
+    detail = "You do not have access to this resource",
+    options?: HttpErrorOptions
+  ) {
+    super(403, detail, { code: "forbidden", ...options })
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(detail = "Not found", options?: HttpErrorOptions) {
+    super(404, detail, { code: "not_found", ...options })
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(detail = "Conflict", options?: HttpErrorOptions) {
+    super(409, detail, { code: "conflict", ...options })
+  }
+}
+
+export class PayloadTooLargeError extends HttpError {
+  constructor(detail = "Payload too large", options?: HttpErrorOptions) {
+    super(413, detail, { code: "payload_too_large", ...options })
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  constructor(retryAfterSeconds: number, options?: HttpErrorOptions) {
+    super(429, "Too many requests, please try again later", {
+      code: "rate_limited",
+      ...options,
+      headers: {
+        "Retry-After": String(retryAfterSeconds),
+        ...options?.headers,
+      },
+    })
+  }
+}
+
+function prismaTarget(meta: Record<string, unknown> | undefined): string[] {
+  const target = meta?.target
+  if (Array.isArray(target)) return target.map(String)
+  return typeof target === "string" ? [target] : []
+}
+
+// Map Prisma's known request errors to the HTTP error a client should see
+function fromPrismaError(
+  error: Prisma.PrismaClientKnownRequestError
+): HttpError | null {
+  const model =
+    typeof error.meta?.modelName === "string" ? error.meta.modelName : "Record"
+
+  switch (error.code) {
+    // Unique constraint failed
+    case "P2002": {
+      const fields = prismaTarget(error.meta)
+      const subject = fields.length > 0 ? fields.join(", ") : "value"
+      return new ConflictError(
+        `A ${model.toLowerCase()} with this ${subject} already exists`,
+        {
+          code: "unique_violation",
+          fieldErrors: Object.fromEntries(
+            fields.map((field) => [field, ["Already in use"]])
+          ),
+          cause: error,
+        }
+      )
+    }
+    // Foreign key constraint failed
+    case "P2003":
+    // Required relation would be violated
+    case "P2014":
+      return new ConflictError("A related record is missing or still in use", {
+        code: "relation_violation",
+        cause: error,
+      })
+    // Record to update/delete not found
+    case "P2025":
+      return new NotFoundError(`${model} not found`, { cause: error })
+    // Value too long for the column
+    case "P2000":
+      return new BadRequestError("A value is too long", {
+        code: "value_too_long",
+        cause: error,
+      })
+    default:
+      return null
+  }
+}
+
+// Normalize anything thrown by a route into an HttpError. Unknown errors
+// become a 500 whose details are only logged, never sent to the client.
+export function toHttpError(error: unknown): HttpError {
+  if (error instanceof HttpError) return error
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    const mapped = fromPrismaError(error)
+    if (mapped) return mapped
+  }
+
+  // Errors from body-parser and other http-errors based middleware
+  const { status, expose, message } = (error ?? {}) as {
+    status?: unknown
+    expose?: unknown
+    message?: unknown
+  }
+  if (typeof status === "number" && expose === true) {
+    return new HttpError(
+      status,
+      typeof message === "string" ? message : undefined,
+      { cause: error }
+    )
+  }
+
+  return new HttpError(500, "Internal Server Error", { cause: error })
+}
+
+export function toProblem(
+  error: HttpError,
+  req: Request,
+  res: Response
+): ProblemDetails {
+  const requestId = res.getHeader("X-Request-Id")
+
+  return {
+    type: error.type,
+    title: STATUS_CODES[error.status] ?? "Error",
+    status: error.status,
+    detail: error.message,
+    instance: req.originalUrl,
+    requestId: typeof requestId === "string" ? requestId : undefined,
+    code: error.code,
+    fieldErrors: error.fieldErrors,
+  }
+}
+
+// Express error handler that responds with application/problem+json
+export const errorHandler: ErrorRequestHandler = (err, req, res, next) => {
+  const error = toHttpError(err)
+
+  if (error.status >= 500) {
+    logger.error(`Error in ${req.method} ${req.originalUrl}`, { err })
+  }
+
+  // Too late for an error response; let Express close the connection
+  if (res.headersSent) return next(err)
+
+  res
+    .status(error.status)
+    .set(error.headers ?? {})
+    .type(PROBLEM_CONTENT_TYPE)
+    .json(toProblem(error, req, res))
+}
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest"
+import { ImageVariant, normalizeVariant } from "./images"
+
+function variant(overrides: Partial<ImageVariant>): ImageVariant {
+  return { fit: "cover", format: "webp", quality: 75, ...overrides }
+}
+
+describe("normalizeVariant", () => {
+  it("snaps the width and the scaled height to allowed sizes", () => {
+    expect(normalizeVariant(variant({ width: 300, height: 200 }))).toEqual(
+      variant({ width: 384, height: 256 })
+    )
+  })
+
+  it("snaps a height that scaling leaves between allowed sizes", () => {
+    const { height } = normalizeVariant(variant({ width: 640, height: 333 }))
+    expect(height).toBe(384)
+  })
+
+  it("snaps a height given alone", () => {
+    expect(normalizeVariant(variant({ height: 100 }))).toEqual(
+      variant({ height: 128 })
+    )
+  })
+
+  it("only ever produces a few qualities", () => {
+    const qualities = new Set(
+      Array.from({ length: 100 }, (_, index) =>
+        normalizeVariant(variant({ width: 64, quality: index + 1 }))
+      ).map(({ quality }) => quality)
+    )
+    expect(Array.from(qualities)).toEqual([50, 75, 90])
+  })
+})
@@ -0,0 +1,146 @@
+import {
+  ImageFit,
+  ImageFormat,
+  snapImageQuality,
+  snapImageSize,
+} from "@/shared/images"
+import sharp from "sharp"
+import { Readable } from "stream"
+import { HttpError } from "./errors"
+import { logger } from "./logger"
+import { getStorage } from "./storage"
+
+// On-demand image variants (resize, crop, convert) of uploaded files. Each
+// variant is generated once and cached in storage next to the original, under
+// variants/<file key>/.
+
+export type OutputFormat = Exclude<ImageFormat, "auto">
+
+export const OUTPUT_CONTENT_TYPES: Record<OutputFormat, string> = {
+  avif: "image/avif",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+}
+
+// Formats sharp can read
+const SOURCE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/avif",
+  "image/gif",
+  "image/tiff",
+]
+
+export interface ImageVariant {
+  width?: number
+  height?: number
+  fit: ImageFit
+  format: OutputFormat
+  quality: number
+}
+
+export function isTransformableImage(contentType: string): boolean {
+  return SOURCE_TYPES.includes(contentType)
+}
+
+// Resolve "auto" from the Accept header, falling back to PNG for sources
+// that may have transparency and JPEG otherwise
+export function negotiateFormat(
+  requested: ImageFormat,
+  accept: string | undefined,
+  sourceType: string
+): OutputFormat {
+  if (requested !== "auto") return requested
+  if (accept?.includes("image/avif")) return "avif"
+  if (accept?.includes("image/webp")) return "webp"
+  return sourceType === "image/jpeg" ? "jpeg" : "png"
+}
+
+// Round the size and quality up to allowed ones (see IMAGE_SIZES). With both
+// width and height the height is scaled along with the width before it is
+// snapped, so the aspect ratio is roughly kept.
+export function normalizeVariant(variant: ImageVariant): ImageVariant {
+  const { width, height } = variant
+  const quality = snapImageQuality(variant.quality)
+  if (!width) {
+    return { ...variant, height: height && snapImageSize(height), quality }
+  }
+
+  const snapped = snapImageSize(width)
+  return {
+    ...variant,
+    width: snapped,
+    height: height && snapImageSize(Math.round((height * snapped) / width)),
+    quality,
+  }
+}
+
+function variantPrefix(fileKey: string) {
+  return `variants/${fileKey}/`
+}
+
+function variantKey(fileKey: string, variant: ImageVariant) {
+  const { width = "auto", height = "auto", fit, quality, format } = variant
+  const name = `${width}x${height}-${fit}-q${quality}.${format}`
+  return variantPrefix(fileKey) + name
+}
+
+async function readAll(stream: Readable): Promise<Buffer> {
+  const chunks: Buffer[] = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+export async function transformImage(
+  source: Buffer,
+  variant: ImageVariant
+): Promise<Buffer> {
+  try {
+    return await sharp(source)
+      // Apply the EXIF orientation before it is stripped
+      .rotate()
+      .resize({
+        width: variant.width,
+        height: variant.height,
+        fit: variant.fit,
+        withoutEnlargement: true,
+      })
+      .toFormat(variant.format, { quality: variant.quality })
+      .toBuffer()
+  } catch (err) {
+    throw new HttpError(415, "The file is not a supported image", {
+      code: "unsupported_image",
+      cause: err,
+    })
+  }
+}
+
+// The variant of the image stored under `fileKey`, generated on first
+// request. null when the original is missing.
+export async function getImageVariant(
+  fileKey: string,
+  variant: ImageVariant
+): Promise<{ body: Readable; size: number } | null> {
+  const storage = getStorage()
+  const key = variantKey(fileKey, variant)
+
+  const cached = await storage.get(key)
+  if (cached) return cached
+
+  const original = await storage.get(fileKey)
+  if (!original) return null
+
+  const image = await transformImage(await readAll(original.body), variant)
+  // A failed cache write only costs a regeneration next time
+  await storage
+    .put(key, image, { contentType: OUTPUT_CONTENT_TYPES[variant.format] })
+    .catch((err) => logger.warn("Failed to cache image variant", { err, key }))
+
+  return { body: Readable.from([image]), size: image.length }
+}
+
+export async function deleteImageVariants(fileKey: string) {
+  await getStorage().deletePrefix(variantPrefix(fileKey))
+}
@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+
+const { db } = vi.hoisted(() => ({
+  db: {
+    job: {
+      fields: { maxAttempts: "maxAttempts" },
+      update: vi.fn(),
+      updateMany: vi.fn(),
+    },
+    $queryRaw: vi.fn(),
+    $transaction: vi.fn(),
+  },
+}))
+vi.mock("./db", () => ({ db }))
+
+const { defineJob, JobWorker } = await import("./jobs")
+
+const MINUTE = 60 * 1000
+
+function jobRow(name: string) {
+  return {
+    id: "job_1",
+    name,
+    payload: {},
+    status: "running",
+    attempts: 1,
+    maxAttempts: 3,
+  }
+}
+
+describe("JobWorker", () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date("2026-10-18T12:00:00Z"))
+    db.$queryRaw.mockResolvedValue([])
+    db.$transaction.mockResolvedValue([{ count: 0 }, { count: 0 }])
+    db.job.update.mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.clearAllMocks()
+  })
+
+  it("recovers stale jobs after each job's own timeout plus a margin", async () => {
+    const worker = new JobWorker({
+      jobs: [
+        defineJob({ name: "quick", timeoutMs: MINUTE, handler: vi.fn() }),
+        defineJob({ name: "slow", timeoutMs: 60 * MINUTE, handler: vi.fn() }),
+      ],
+    })
+    worker.start()
+    await vi.advanceTimersByTimeAsync(0)
+    await worker.stop()
+
+    const where = db.job.updateMany.mock.calls[1][0].where
+    const cutoff = (name: string) =>
+      where.OR.find((entry: { name: string }) => entry.name === name).lockedAt
+        .lt
+    expect(Date.now() - cutoff("quick").getTime()).toBe(6 * MINUTE)
+    expect(Date.now() - cutoff("slow").getTime()).toBe(65 * MINUTE)
+  })
+
+  it("waits for a timed-out handler to stop before retrying the job", async () => {
+    let finishHandler = () => {}
+    const handler = vi.fn(
+      () => new Promise<void>((resolve) => (finishHandler = resolve))
+    )
+    const job = defineJob({ name: "hang", timeoutMs: MINUTE, handler })
+    db.$queryRaw.mockResolvedValueOnce([jobRow("hang")])
+
+    const worker = new JobWorker({ jobs: [job] })
+    worker.start()
+    await vi.advanceTimersByTimeAsync(0)
+    expect(handler).toHaveBeenCalledTimes(1)
+    const { signal } = handler.mock.calls[0][1]
+
+    // Past the timeout the handler is told to stop, but the job stays
+    // locked, with its lock extended, until it does
+    await vi.advanceTimersByTimeAsync(5 * MINUTE)
+    expect(signal.aborted).toBe(true)
+    expect(db.job.update).toHaveBeenCalledWith({
+      where: { id: "job_1" },
+      data: { lockedAt: expect.any(Date) },
+    })
+    expect(db.job.update).not.toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ status: "pending" }),
+      })
+    )
+
+    finishHandler()
+    await vi.advanceTimersByTimeAsync(0)
+    await worker.stop()
+
+    expect(db.job.update).toHaveBeenLastCalledWith({
+      where: { id: "job_1" },
+      data: expect.objectContaining({
+        status: "pending",
+        lastError: expect.stringContaining("Timed out after 60000ms"),
+      }),
+    })
+  })
+})
@@ -0,0 +1,399 @@
+import type { Job, Prisma } from "@prisma/client"
+import crypto from "crypto"
+import os from "os"
+import type { ZodType } from "zod"
+import { db } from "./db"
+import { ConflictError, NotFoundError } from "./errors"
+import { Logger, logger } from "./logger"
+import { metrics } from "./metrics"
+import { withTimeout } from "./shutdown"
+import { backoffDelay } from "./utils"
+
+// Background jobs stored in the Job table. Define a job in server/jobs/,
+// add it to the list in server/jobs/index.ts and enqueue it anywhere:
+//   export const sendWelcomeEmail = defineJob({
+//     name: "email.welcome",
+//     schema: z.object({ userId: z.string() }),
+//     handler: async ({ userId }) => { ... },
+//   })
+//   await enqueue(sendWelcomeEmail, { userId }, { delayMs: 60_000 })
+// Jobs run at least once: a worker that dies mid-job leaves it to be run
+// again, so handlers should be idempotent.
+
+const log = logger.child({ source: "jobs" })
+
+// Longest wait between retries
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000
+// Running jobs still locked this long after their timeout are assumed to be
+// orphaned by a crashed worker and run again. A live worker keeps a job
+// locked while a timed-out handler winds down (see JobWorker.run).
+const STALE_LOCK_MARGIN_MS = 5 * 60 * 1000
+const MAX_ERROR_LENGTH = 4000
+
+export interface JobContext {
+  id: string
+  // 1 on the first run
+  attempt: number
+  maxAttempts: number
+  // Aborted when the job exceeds its timeout
+  signal: AbortSignal
+  log: Logger
+}
+
+export interface JobDefinition<P = unknown> {
+  name: string
+  // Validates the payload when enqueueing and before running
+  schema?: ZodType<P, any, any>
+  maxAttempts: number
+  // First retry delay, doubled on every further attempt
+  retryDelayMs: number
+  timeoutMs: number
+  handler: (payload: P, context: JobContext) => Promise<void>
+}
+
+type JobDefinitionInput<P> = Pick<JobDefinition<P>, "name" | "handler"> &
+  Partial<JobDefinition<P>>
+
+export function defineJob<P>(
+  definition: JobDefinitionInput<P>
+): JobDefinition<P> {
+  return {
+    maxAttempts: 5,
+    retryDelayMs: 10 * 1000,
+    timeoutMs: 5 * 60 * 1000,
+    ...definition,
+  }
+}
+
+// Throw from a handler to fail the job right away instead of retrying it
+export class UnrecoverableJobError extends Error {
+  constructor(message: string, options?: { cause?: unknown }) {
+    super(message, options)
+    this.name = "UnrecoverableJobError"
+  }
+}
+
+export interface EnqueueOptions {
+  // Run at this time, or after delayMs (default: as soon as possible)
+  runAt?: Date
+  delayMs?: number
+  maxAttempts?: number
+}
+
+export async function enqueue<P>(
+  definition: JobDefinition<P>,
+  payload: P,
+  options: EnqueueOptions = {}
+): Promise<Job> {
+  const data = definition.schema ? definition.schema.parse(payload) : payload
+  return db.job.create({
+    data: {
+      name: definition.name,
+      payload: data as Prisma.InputJsonValue,
+      maxAttempts: options.maxAttempts ?? definition.maxAttempts,
+      runAt: options.runAt ?? new Date(Date.now() + (options.delayMs ?? 0)),
+    },
+  })
+}
+
+// Run a failed job again, with a fresh set of attempts
+export async function retryJob(id: string): Promise<Job> {
+  const { count } = await db.job.updateMany({
+    where: { id, status: "failed" },
+    data: { status: "pending", attempts: 0, runAt: new Date() },
+  })
+  if (count === 0) {
+    const job = await db.job.findUnique({ where: { id } })
+    if (!job) {
+      throw new NotFoundError("Job not found")
+    }
+    throw new ConflictError(
+      `Only failed jobs can be retried (job is ${job.status})`
+    )
+  }
+  return db.job.findUniqueOrThrow({ where: { id } })
+}
+
+// Mark up to `limit` due jobs as running for this worker. SKIP LOCKED lets
+// concurrent workers claim different jobs without blocking each other.
+async function claimJobs(
+  names: string[],
+  limit: number,
+  workerId: string
+): Promise<Job[]> {
+  const now = new Date()
+  return db.$queryRaw<Job[]>`
+    UPDATE "Job" SET
+      "status" = 'running',
+      "attempts" = "attempts" + 1,
+      "lockedAt" = ${now},
+      "lockedBy" = ${workerId},
+      "updatedAt" = ${now}
+    WHERE "id" IN (
+      SELECT "id" FROM "Job"
+      WHERE "status" = 'pending' AND "runAt" <= ${now}
+        AND "name" = ANY(${names}::text[])
+      ORDER BY "runAt"
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`
+}
+
+// Return jobs orphaned by a crashed worker to the queue. The cutoff is each
+// definition's timeout plus the margin, so only jobs of `definitions` are
+// checked.
+async function recoverStaleJobs(definitions: JobDefinition<any>[]) {
+  const now = Date.now()
+  const where = {
+    status: "running",
+    OR: definitions.map((definition) => ({
+      name: definition.name,
+      lockedAt: {
+        lt: new Date(now - definition.timeoutMs - STALE_LOCK_MARGIN_MS),
+      },
+    })),
+  }
+  const lastError = "The worker stopped while running the job"
+  const released = { lockedAt: null, lockedBy: null, lastError }
+
+  const [failed, requeued] = await db.$transaction([
+    db.job.updateMany({
+      where: { ...where, attempts: { gte: db.job.fields.maxAttempts } },
+      data: { ...released, status: "failed" },
+    }),
+    db.job.updateMany({
+      where,
+      data: { ...released, status: "pending", runAt: new Date() },
+    }),
+  ])
+  if (failed.count + requeued.count > 0) {
+    log.warn("Recovered stale jobs", {
+      failed: failed.count,
+      requeued: requeued.count,
+    })
+  }
+}
+
+function errorMessage(error: unknown): string {
+  const message =
+    error instanceof Error ? error.stack ?? error.message : String(error)
+  return message.slice(0, MAX_ERROR_LENGTH)
+}
+
+export interface JobWorkerOptions {
+  jobs: JobDefinition<any>[]
+  // Jobs run at the same time (default JOB_CONCURRENCY or 5)
+  concurrency?: number
+  // How often to look for due jobs while idle (default 1s)
+  pollIntervalMs?: number
+}
+
+// Polls the Job table and runs due jobs. Started by registerRoutes() in
+// server/backend.ts, or by server/worker.ts (npm run worker).
+export class JobWorker {
+  readonly id = `${os.hostname()}:${process.pid}:${crypto
+    .randomBytes(3)
+    .toString("hex")}`
+  private definitions: Map<string, JobDefinition<any>>
+  private concurrency: number
+  private pollIntervalMs: number
+  private running = new Set<Promise<void>>()
+  private timer: NodeJS.Timeout | undefined
+  private stopped = true
+  private polling = false
+  private nextRecovery = 0
+
+  constructor(options: JobWorkerOptions) {
+    this.definitions = new Map(options.jobs.map((job) => [job.name, job]))
+    this.concurrency =
+      options.concurrency ?? parseInt(process.env.JOB_CONCURRENCY || "5", 10)
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000
+  }
+
+  start() {
+    if (!this.stopped) return
+    this.stopped = false
+    log.info("Job worker started", {
+      worker: this.id,
+      jobs: Array.from(this.definitions.keys()),
+      concurrency: this.concurrency,
+    })
+    this.schedule(0)
+  }
+
+  // Stop claiming jobs and wait for the running ones to finish
+  async stop() {
+    this.stopped = true
+    clearTimeout(this.timer)
+    await Promise.allSettled(Array.from(this.running))
+    log.info("Job worker stopped", { worker: this.id })
+  }
+
+  private schedule(delayMs: number) {
+    clearTimeout(this.timer)
+    if (this.stopped) return
+    this.timer = setTimeout(() => this.poll(), delayMs)
+  }
+
+  private async poll() {
+    if (this.stopped || this.polling) return
+    this.polling = true
+
+    let claimed = 0
+    try {
+      if (Date.now() >= this.nextRecovery) {
+        this.nextRecovery = Date.now() + 60 * 1000
+        await recoverStaleJobs(Array.from(this.definitions.values()))
+      }
+
+      const free = this.concurrency - this.running.size
+      if (free > 0 && this.definitions.size > 0) {
+        const jobs = await claimJobs(
+          Array.from(this.definitions.keys()),
+          free,
+          this.id
+        )
+        claimed = jobs.length
+        jobs.forEach((job) => this.track(this.run(job)))
+      }
+    } catch (err) {
+      log.error("Failed to poll for jobs", { err })
+    } finally {
+      this.polling = false
+    }
+
+    // Keep going while there is work and room for it
+    const full = this.running.size >= this.concurrency
+    this.schedule(claimed > 0 && !full ? 0 : this.pollIntervalMs)
+  }
+
+  private track(run: Promise<void>) {
+    this.running.add(run)
+    run.finally(() => {
+      this.running.delete(run)
+      // A slot is free; look for the next job
+      this.schedule(0)
+    })
+  }
+
+  private async run(job: Job) {
+    const definition = this.definitions.get(job.name)!
+    const jobLog = log.child({ job: job.name, jobId: job.id })
+    const controller = new AbortController()
+    const start = Date.now()
+
+    let error: unknown
+    try {
+      const payload = definition.schema
+        ? definition.schema.parse(job.payload)
+        : job.payload
+      const handling = definition.handler(payload, {
+        id: job.id,
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts,
+        signal: controller.signal,
+        log: jobLog,
+      })
+      const result = await withTimeout(handling, definition.timeoutMs)
+      if (result === "timeout") {
+        controller.abort()
+        error = new Error(`Timed out after ${definition.timeoutMs}ms`)
+        // Retrying now would run the job twice at once
+        await this.waitForHandler(job, handling, jobLog)
+      }
+    } catch (err) {
+      error = err
+    }
+
+    metrics.jobDuration.observe({ job: job.name }, (Date.now() - start) / 1000)
+    try {
+      await this.finish(job, definition, error, jobLog)
+    } catch (err) {
+      // The job stays locked and is recovered as stale later
+      jobLog.error("Failed to record job result", { err })
+    }
+  }
+
+  // Wait for a timed-out handler to stop, keeping the job locked meanwhile
+  // so no worker recovers it as stale while it still runs
+  private async waitForHandler(
+    job: Job,
+    handling: Promise<void>,
+    jobLog: Logger
+  ) {
+    jobLog.warn("Job timed out, waiting for its handler to stop")
+    const heartbeat = setInterval(() => {
+      db.job
+        .update({ where: { id: job.id }, data: { lockedAt: new Date() } })
+        .catch((err) => jobLog.error("Failed to extend job lock", { err }))
+    }, STALE_LOCK_MARGIN_MS / 2)
+    try {
+      await handling.catch(() => {})
+    } finally {
+      clearInterval(heartbeat)
+    }
+  }
+
+  private async finish(
+    job: Job,
+    definition: JobDefinition<any>,
+    error: unknown,
+    jobLog: Logger
+  ) {
+    const released = { lockedAt: null, lockedBy: null }
+
+    if (error === undefined) {
+      await db.job.update({
+        where: { id: job.id },
+        data: {
+          ...released,
+          status: "completed",
+          completedAt: new Date(),
+          lastError: null,
+        },
+      })
+      metrics.jobsProcessed.inc({ job: job.name, result: "completed" })
+      return
+    }
+
+    const retry =
+      job.attempts < job.maxAttempts &&
+      !(error instanceof UnrecoverableJobError) &&
+      // Invalid payloads won't get better
+      (error as Error)?.name !== "ZodError"
+
+    if (retry) {
+      const delay = backoffDelay(
+        job.attempts - 1,
+        definition.retryDelayMs,
+        MAX_RETRY_DELAY_MS
+      )
+      jobLog.warn(
+        `Job failed on attempt ${job.attempts}/${job.maxAttempts}, retrying in ${delay}ms`,
+        { err: error }
+      )
+      await db.job.update({
+        where: { id: job.id },
+        data: {
+          ...released,
+          status: "pending",
+          runAt: new Date(Date.now() + delay),
+          lastError: errorMessage(error),
+        },
+      })
+    } else {
+      jobLog.error(`Job failed after ${job.attempts} attempt(s)`, {
+        err: error,
+      })
+      await db.job.update({
+        where: { id: job.id },
+        data: { ...released, status: "failed", lastError: errorMessage(error) },
+      })
+    }
+    metrics.jobsProcessed.inc({
+      job: job.name,
+      result: retry ? "retry" : "failed",
+    })
+  }
+}
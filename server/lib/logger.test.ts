@@ -0,0 +1,73 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { logger } from "./logger"
+import { requestContext } from "./request-context"
+
+function lines(spy: { mock: { calls: unknown[][] } }) {
+  return spy.mock.calls.map(([line]) => JSON.parse(String(line)))
+}
+
+describe("logger", () => {
+  let log: ReturnType<typeof vi.spyOn>
+  let error: ReturnType<typeof vi.spyOn>
+
+  beforeEach(() => {
+    vi.stubEnv("LOG_FORMAT", "json")
+    vi.stubEnv("LOG_LEVEL", "")
+    log = vi.spyOn(console, "log").mockImplementation(() => {})
+    error = vi.spyOn(console, "error").mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  it("writes one JSON object per line", () => {
+    logger.info("Checkout started", { userId: "user_1" })
+
+    expect(lines(log)).toEqual([
+      {
+        time: expect.any(String),
+        level: "info",
+        msg: "Checkout started",
+        source: "express",
+        userId: "user_1",
+      },
+    ])
+  })
+
+  it("skips levels below LOG_LEVEL", () => {
+    logger.debug("Hidden")
+    vi.stubEnv("LOG_LEVEL", "debug")
+    logger.debug("Shown")
+
+    expect(lines(log).map((line) => line.msg)).toEqual(["Shown"])
+  })
+
+  it("adds child bindings and serializes errors", () => {
+    const failure = Object.assign(new Error("Card declined"), {
+      code: "card_declined",
+    })
+
+    logger.child({ source: "stripe" }).error("Sync failed", { err: failure })
+
+    expect(lines(error)[0]).toMatchObject({
+      level: "error",
+      source: "stripe",
+      err: { name: "Error", message: "Card declined", code: "card_declined" },
+    })
+  })
+
+  it("adds the request ID inside a request", () => {
+    const res = { setHeader: vi.fn() }
+    const req = { get: () => "req-123" }
+
+    requestContext(req as any, res as any, () => logger.info("Inside"))
+    logger.info("Outside")
+
+    const [inside, outside] = lines(log)
+    expect(res.setHeader).toHaveBeenCalledWith("X-Request-Id", "req-123")
+    expect(inside.requestId).toBe("req-123")
+    expect(outside.requestId).toBeUndefined()
+  })
+})
@@ -0,0 +1,145 @@
+import { getRequestId } from "./request-context"
+
+// Structured logger. Every line has a level, a source and, inside a request,
+// its requestId. Output is one JSON object per line in production and a
+// readable line in development; override with LOG_FORMAT=json|pretty.
+// LOG_LEVEL=debug|info|warn|error sets the minimum level (default info).
+//
+//   logger.info("Checkout started", { userId, plan })
+//   logger.error("Sync failed", { err })
+//   const log = logger.child({ source: "stripe" })
+
+export type LogLevel = "debug" | "info" | "warn" | "error"
+export type LogFields = Record<string, unknown>
+
+const LEVELS: Record<LogLevel, number> = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+}
+
+// Read on every call: server/index.ts imports this before .env is loaded
+export function isLevelEnabled(level: LogLevel): boolean {
+  const min = process.env.LOG_LEVEL?.toLowerCase() as LogLevel | undefined
+  return LEVELS[level] >= LEVELS[min && min in LEVELS ? min : "info"]
+}
+
+function useJson(): boolean {
+  if (process.env.LOG_FORMAT) return process.env.LOG_FORMAT === "json"
+  return process.env.NODE_ENV === "production"
+}
+
+function serializeError(error: Error): LogFields {
+  return {
+    name: error.name,
+    message: error.message,
+    code: (error as { code?: unknown }).code,
+    stack: error.stack,
+  }
+}
+
+function serialize(fields: LogFields): LogFields {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      value instanceof Error ? serializeError(value) : value,
+    ])
+  )
+}
+
+function stringify(value: unknown): string {
+  try {
+    return JSON.stringify(value)
+  } catch {
+    return String(value)
+  }
+}
+
+// Drop dependency and Node internals frames from dev stack traces
+function shortStack(stack: string): string {
+  return stack
+    .split("\n")
+    .filter((line) => !line.includes("node_modules"))
+    .filter((line) => !line.includes("internal"))
+    .join("\n")
+}
+
+function formatPretty(
+  level: LogLevel,
+  message: string,
+  { source, ...fields }: LogFields
+): string {
+  const time = new Date().toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: true,
+  })
+  const label = level === "info" ? "" : `${level.toUpperCase()} `
+  let line = `${time} [${source ?? "express"}] ${label}${message}`
+
+  const stacks: string[] = []
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue
+    if (value instanceof Error) {
+      line += ` ${key}=${stringify(value.message)}`
+      if (value.stack) stacks.push(shortStack(value.stack))
+    } else {
+      line += ` ${key}=${typeof value === "string" ? value : stringify(value)}`
+    }
+  }
+
+  return [line, ...stacks].join("\n")
+}
+
+function write(level: LogLevel, message: string, fields: LogFields) {
+  const output = useJson()
+    ? stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...serialize(fields),
+      })
+    : formatPretty(level, message, fields)
+
+  if (level === "error") console.error(output)
+  else if (level === "warn") console.warn(output)
+  else console.log(output)
+}
+
+export class Logger {
+  constructor(private readonly bindings: LogFields = {}) {}
+
+  // Logger that adds `bindings` to every line, e.g. { source: "vite" }
+  child(bindings: LogFields): Logger {
+    return new Logger({ ...this.bindings, ...bindings })
+  }
+
+  debug(message: string, fields?: LogFields) {
+    this.log("debug", message, fields)
+  }
+
+  info(message: string, fields?: LogFields) {
+    this.log("info", message, fields)
+  }
+
+  warn(message: string, fields?: LogFields) {
+    this.log("warn", message, fields)
+  }
+
+  error(message: string, fields?: LogFields) {
+    this.log("error", message, fields)
+  }
+
+  log(level: LogLevel, message: string, fields: LogFields = {}) {
+    if (!isLevelEnabled(level)) return
+    write(level, message, {
+      ...this.bindings,
+      requestId: getRequestId(),
+      ...fields,
+    })
+  }
+}
+
+export const logger = new Logger({ source: "express" })
@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+
+const { enqueue } = vi.hoisted(() => ({ enqueue: vi.fn() }))
+
+vi.mock("./db", () => ({ db: {} }))
+vi.mock("./jobs", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("./jobs")>()),
+  enqueue,
+}))
+
+const { UnrecoverableJobError } = await import("./jobs")
+const { closeMail, getMailTransport, queueMail } = await import("./mail")
+
+function stubEnv(env: Record<string, string>) {
+  Object.entries(env).forEach(([name, value]) => vi.stubEnv(name, value))
+}
+
+const NO_PROVIDER = {
+  SMTP_URL: "",
+  RESEND_API_KEY: "",
+  POSTMARK_SERVER_TOKEN: "",
+}
+
+describe("getMailTransport", () => {
+  afterEach(() => {
+    closeMail()
+    vi.unstubAllEnvs()
+  })
+
+  it("uses the configured provider", () => {
+    stubEnv({
+      ...NO_PROVIDER,
+      NODE_ENV: "production",
+      MAIL_TRANSPORT: "",
+      RESEND_API_KEY: "re_test",
+    })
+    expect(getMailTransport().name).toBe("resend")
+  })
+
+  it("refuses to fall back to the file transport in production", () => {
+    stubEnv({ ...NO_PROVIDER, NODE_ENV: "production", MAIL_TRANSPORT: "" })
+    expect(() => getMailTransport()).toThrow(UnrecoverableJobError)
+    expect(() => getMailTransport()).toThrow(/No mail transport configured/)
+  })
+
+  it("uses the file transport in production only when asked to", () => {
+    stubEnv({ ...NO_PROVIDER, NODE_ENV: "production", MAIL_TRANSPORT: "file" })
+    expect(getMailTransport().name).toBe("file")
+  })
+
+  it("falls back to the file transport in development", () => {
+    stubEnv({ ...NO_PROVIDER, NODE_ENV: "development", MAIL_TRANSPORT: "" })
+    expect(getMailTransport().name).toBe("file")
+  })
+})
+
+describe("queueMail", () => {
+  afterEach(() => {
+    closeMail()
+    vi.unstubAllEnvs()
+    enqueue.mockReset()
+  })
+
+  const message = { to: "ada@example.com", subject: "Hi", html: "", text: "" }
+
+  it("queues the message for the mail.send job", async () => {
+    stubEnv({ ...NO_PROVIDER, NODE_ENV: "development", MAIL_TRANSPORT: "" })
+    await queueMail(message)
+    expect(enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "mail.send" }),
+      { ...message, to: ["ada@example.com"] },
+      undefined
+    )
+  })
+
+  it("fails instead of queueing when mail isn't configured", async () => {
+    stubEnv({ ...NO_PROVIDER, NODE_ENV: "production", MAIL_TRANSPORT: "" })
+    await expect(queueMail(message)).rejects.toThrow(
+      /No mail transport configured/
+    )
+    expect(enqueue).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,37 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+import { metricsHandler } from "./metrics"
+
+const request = serve((app) => app.get("/metrics", metricsHandler))
+
+describe("GET /metrics", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("is disabled in production without METRICS_TOKEN", async () => {
+    vi.stubEnv("NODE_ENV", "production")
+    vi.stubEnv("METRICS_TOKEN", "")
+
+    expect((await request("/metrics")).status).toBe(404)
+  })
+
+  it("requires the token when it is set", async () => {
+    vi.stubEnv("NODE_ENV", "production")
+    vi.stubEnv("METRICS_TOKEN", "secret")
+
+    expect((await request("/metrics")).status).toBe(401)
+    const res = await request("/metrics", {
+      headers: { Authorization: "Bearer secret" },
+    })
+    expect(res.status).toBe(200)
+    expect(res.headers.get("Content-Type")).toMatch(/^text\/plain/)
+  })
+
+  it("is open in development without a token", async () => {
+    vi.stubEnv("NODE_ENV", "development")
+    vi.stubEnv("METRICS_TOKEN", "")
+
+    expect((await request("/metrics")).status).toBe(200)
+  })
+})
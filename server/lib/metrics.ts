@@ -0,0 +1,239 @@
+import { NextFunction, Request, Response } from "express"
+
+// Minimal Prometheus metrics registry, rendered at /metrics in the text
+// exposition format. Counters and histograms are keyed by their label values.
+
+type Labels = Record<string, string>
+
+function labelKey(labels: Labels): string {
+  return Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(",")
+}
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+}
+
+function series(name: string, key: string, value: number): string {
+  return `${name}${key ? `{${key}}` : ""} ${value}`
+}
+
+interface Metric {
+  render(): string[]
+}
+
+export class Counter implements Metric {
+  private values = new Map<string, number>()
+
+  constructor(readonly name: string, readonly help: string) {}
+
+  inc(labels: Labels = {}, amount = 1) {
+    const key = labelKey(labels)
+    this.values.set(key, (this.values.get(key) ?? 0) + amount)
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} counter`,
+      ...Array.from(this.values, ([key, value]) =>
+        series(this.name, key, value)
+      ),
+    ]
+  }
+}
+
+export class Gauge implements Metric {
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    private readonly collect: () => number
+  ) {}
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} gauge`,
+      series(this.name, "", this.collect()),
+    ]
+  }
+}
+
+export class Histogram implements Metric {
+  private values = new Map<
+    string,
+    { buckets: number[]; sum: number; count: number }
+  >()
+
+  constructor(
+    readonly name: string,
+    readonly help: string,
+    readonly buckets: number[]
+  ) {}
+
+  observe(labels: Labels, value: number) {
+    const key = labelKey(labels)
+    let entry = this.values.get(key)
+    if (!entry) {
+      entry = { buckets: this.buckets.map(() => 0), sum: 0, count: 0 }
+      this.values.set(key, entry)
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry!.buckets[i]++
+    })
+    entry.sum += value
+    entry.count++
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} histogram`,
+    ]
+
+    this.values.forEach((entry, key) => {
+      const prefix = key ? `${key},` : ""
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket{${prefix}le="${bound}"} ${entry.buckets[i]}`
+        )
+      })
+      lines.push(`${this.name}_bucket{${prefix}le="+Inf"} ${entry.count}`)
+      lines.push(series(`${this.name}_sum`, key, entry.sum))
+      lines.push(series(`${this.name}_count`, key, entry.count))
+    })
+
+    return lines
+  }
+}
+
+function createMetrics() {
+  return {
+    httpRequests: new Counter(
+      "http_requests_total",
+      "HTTP requests by method, route and status code"
+    ),
+    httpRequestDuration: new Histogram(
+      "http_request_duration_seconds",
+      "HTTP request latency by method and route",
+      [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    ),
+    dbRetries: new Counter(
+      "db_operation_retries_total",
+      "Database operations retried after a connection error"
+    ),
+    rateLimited: new Counter(
+      "rate_limit_rejections_total",
+      "Requests rejected with 429 by rate limiter"
+    ),
+    jobsProcessed: new Counter(
+      "jobs_processed_total",
+      "Background jobs run by job name and result"
+    ),
+    jobDuration: new Histogram(
+      "job_duration_seconds",
+      "Background job run time by job name",
+      [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300]
+    ),
+    cronRuns: new Counter(
+      "cron_runs_total",
+      "Scheduled task runs by task and result"
+    ),
+    cronDuration: new Histogram(
+      "cron_duration_seconds",
+      "Scheduled task run time by task",
+      [0.1, 0.5, 1, 5, 10, 30, 60, 300, 600]
+    ),
+    emailsSent: new Counter(
+      "emails_sent_total",
+      "Emails handed to the mail transport by transport and result"
+    ),
+    backendReloads: new Counter(
+      "backend_reloads_total",
+      "Hot reloads of the backend bundle by result"
+    ),
+    uptime: new Gauge("process_uptime_seconds", "Process uptime", () =>
+      Math.round(process.uptime())
+    ),
+  }
+}
+
+// server/index.ts and the hot-reloaded backend bundle each load their own
+// copy of this module, so the registry lives on globalThis to be shared
+const globalForMetrics = globalThis as unknown as {
+  metrics: ReturnType<typeof createMetrics> | undefined
+}
+
+export const metrics = (globalForMetrics.metrics ??= createMetrics())
+
+export function renderMetrics(): string {
+  const lines = Object.values(metrics).flatMap((metric: Metric) =>
+    metric.render()
+  )
+  return lines.join("\n") + "\n"
+}
+
+function joinPath(base: string, path: string): string {
+  return (base + path).replace(/\/+$/, "") || "/"
+}
+
+// Records request counts and latency for /api routes. Routes are labelled
+// by their pattern ("/api/admin/users/:id"), or "unmatched", to keep the
+// number of series bounded.
+export function requestMetrics(
+  req: Request,
+  res: Response,
+  next: NextFunction
+) {
+  if (!req.path.startsWith("/api")) return next()
+
+  const start = process.hrtime.bigint()
+
+  // Express sets req.route when a route matches; record its full pattern
+  // then, since req.baseUrl is reset once an error leaves the router
+  let route: Request["route"]
+  let pattern = "unmatched"
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value
+      if (typeof value?.path === "string") {
+        pattern = joinPath(req.baseUrl, value.path)
+      }
+    },
+  })
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9
+    const labels = { method: req.method, route: pattern }
+
+    metrics.httpRequests.inc({ ...labels, status: String(res.statusCode) })
+    metrics.httpRequestDuration.observe(labels, seconds)
+  })
+
+  next()
+}
+
+// GET /metrics. When METRICS_TOKEN is set, scrapers must send it as
+// `Authorization: Bearer <token>`. In production the token is required:
+// without it the endpoint answers 404 rather than exposing route and job
+// names to anyone.
+export function metricsHandler(req: Request, res: Response) {
+  const token = process.env.METRICS_TOKEN
+  if (!token && process.env.NODE_ENV === "production") {
+    return res.status(404).type("text/plain").send("Not Found\n")
+  }
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return res.status(401).type("text/plain").send("Unauthorized\n")
+  }
+
+  res
+    .type("text/plain; version=0.0.4; charset=utf-8")
+    .set("Cache-Control", "no-store")
+    .send(renderMetrics())
+}
@@ -0,0 +1,152 @@
+import { EventEmitter } from "events"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+
+const { clients, db } = vi.hoisted(() => ({
+  clients: [] as any[],
+  db: {
+    $executeRaw: vi.fn(),
+    notification: { create: vi.fn(), findUnique: vi.fn() },
+  },
+}))
+vi.mock("./db", () => ({ db }))
+vi.mock("pg", async () => {
+  const { EventEmitter } = await import("events")
+  class Client extends EventEmitter {
+    connect = vi.fn(async () => {})
+    query = vi.fn(async () => {})
+    end = vi.fn(async () => {})
+    constructor() {
+      super()
+      clients.push(this)
+    }
+  }
+  return { default: { Client } }
+})
+
+const { notify, NotificationHub } = await import("./notifications")
+
+const notification = {
+  id: "n_1",
+  userId: "user_1",
+  type: "billing.payment_failed",
+  title: "Your payment failed",
+}
+
+function subscriber() {
+  return { send: vi.fn(), resync: vi.fn(), close: vi.fn() }
+}
+
+// Simulate a NOTIFY arriving on the LISTEN connection
+function publish(client: EventEmitter, userId: string) {
+  client.emit("notification", {
+    channel: "notifications",
+    payload: JSON.stringify({ id: notification.id, userId }),
+  })
+}
+
+describe("notify", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+    vi.restoreAllMocks()
+  })
+
+  it("stores the notification and announces it on the channel", async () => {
+    db.notification.create.mockResolvedValue(notification)
+
+    await notify("user_1", { type: notification.type, title: "Hi" })
+
+    expect(db.notification.create).toHaveBeenCalledWith({
+      data: { userId: "user_1", type: notification.type, title: "Hi" },
+    })
+    const [, channel, payload] = db.$executeRaw.mock.calls[0]
+    expect(channel).toBe("notifications")
+    expect(JSON.parse(payload)).toEqual({ id: "n_1", userId: "user_1" })
+  })
+
+  it("keeps the notification when publishing fails", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {})
+    db.notification.create.mockResolvedValue(notification)
+    db.$executeRaw.mockRejectedValue(new Error("Connection lost"))
+
+    await expect(
+      notify("user_1", { type: notification.type, title: "Hi" })
+    ).resolves.toBe(notification)
+  })
+})
+
+describe("NotificationHub", () => {
+  let hub: InstanceType<typeof NotificationHub>
+
+  beforeEach(() => {
+    clients.length = 0
+    hub = new NotificationHub()
+    db.notification.findUnique.mockResolvedValue(notification)
+  })
+
+  afterEach(async () => {
+    await hub.close()
+    vi.clearAllMocks()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it("listens once and delivers to every stream of the user", async () => {
+    const first = subscriber()
+    const second = subscriber()
+    const other = subscriber()
+    hub.subscribe("user_1", first)
+    hub.subscribe("user_1", second)
+    hub.subscribe("user_2", other)
+
+    await vi.waitFor(() =>
+      expect(clients[0].query).toHaveBeenCalledWith("LISTEN notifications")
+    )
+    publish(clients[0], "user_1")
+
+    await vi.waitFor(() => expect(second.send).toHaveBeenCalled())
+    expect(first.send).toHaveBeenCalledWith(notification)
+    expect(other.send).not.toHaveBeenCalled()
+    expect(clients).toHaveLength(1)
+  })
+
+  it("skips users without streams on this instance", async () => {
+    const unsubscribe = hub.subscribe("user_1", subscriber())
+    await vi.waitFor(() => expect(clients[0].query).toHaveBeenCalled())
+    unsubscribe()
+
+    publish(clients[0], "user_1")
+    await new Promise((resolve) => setImmediate(resolve))
+
+    expect(db.notification.findUnique).not.toHaveBeenCalled()
+  })
+
+  it("reconnects and asks streams to resync after the connection drops", async () => {
+    vi.useFakeTimers()
+    vi.spyOn(console, "warn").mockImplementation(() => {})
+    const stream = subscriber()
+    hub.subscribe("user_1", stream)
+    await vi.waitFor(() => expect(clients[0].query).toHaveBeenCalled())
+
+    clients[0].emit("error", new Error("Connection terminated"))
+    await vi.runOnlyPendingTimersAsync()
+
+    expect(clients).toHaveLength(2)
+    expect(clients[1].query).toHaveBeenCalledWith("LISTEN notifications")
+    expect(stream.resync).toHaveBeenCalledTimes(1)
+  })
+
+  it("closes its streams and connection", async () => {
+    const stream = subscriber()
+    hub.subscribe("user_1", stream)
+    await vi.waitFor(() => expect(clients[0].query).toHaveBeenCalled())
+
+    await hub.close()
+
+    expect(stream.close).toHaveBeenCalled()
+    expect(clients[0].end).toHaveBeenCalled()
+
+    const late = subscriber()
+    hub.subscribe("user_1", late)
+    expect(late.close).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,201 @@
+import type { Notification, Prisma } from "@prisma/client"
+import pg from "pg"
+import { db } from "./db"
+import { logger } from "./logger"
+import { backoffDelay } from "./utils"
+
+// In-app notifications. notify() stores one and announces it with Postgres
+// NOTIFY; every server instance LISTENs and pushes it to the user's open
+// event streams (see routes/notifications.ts), so it can be called from any
+// process, including the job worker:
+//   await notify(userId, {
+//     type: "billing.payment_failed",
+//     title: "Your payment failed",
+//     url: "/pricing",
+//   })
+
+const log = logger.child({ source: "notifications" })
+
+const CHANNEL = "notifications"
+const MAX_RECONNECT_DELAY_MS = 30 * 1000
+
+export interface NotificationInput {
+  type: string
+  title: string
+  body?: string
+  url?: string
+  data?: Prisma.InputJsonValue
+}
+
+// Sent on the channel; instances load the notification itself only when
+// the user has a stream open there (NOTIFY payloads are limited to 8000
+// bytes)
+interface NotificationEvent {
+  id: string
+  userId: string
+}
+
+export async function notify(
+  userId: string,
+  input: NotificationInput
+): Promise<Notification> {
+  const notification = await db.notification.create({
+    data: { userId, ...input },
+  })
+
+  const event: NotificationEvent = { id: notification.id, userId }
+  try {
+    await db.$executeRaw`SELECT pg_notify(${CHANNEL}, ${JSON.stringify(event)})`
+  } catch (err) {
+    // Stored anyway; clients see it when they next load the list
+    log.warn("Failed to publish notification", { err, id: notification.id })
+  }
+  return notification
+}
+
+export interface NotificationSubscriber {
+  send(notification: Notification): void
+  // Notifications may have been missed while the hub was reconnecting
+  resync(): void
+  // The hub is closing (hot reload or shutdown)
+  close(): void
+}
+
+// Delivers notifications published by any instance to the subscribers
+// (open event streams) on this one. Connects to Postgres on the first
+// subscription and reconnects when the connection drops.
+export class NotificationHub {
+  private subscribers = new Map<string, Set<NotificationSubscriber>>()
+  private client: pg.Client | undefined
+  private connecting: Promise<void> | undefined
+  private reconnectTimer: NodeJS.Timeout | undefined
+  private reconnectAttempt = 0
+  private connectedBefore = false
+  private closed = false
+
+  subscribe(userId: string, subscriber: NotificationSubscriber): () => void {
+    if (this.closed) {
+      subscriber.close()
+      return () => {}
+    }
+    this.listen()
+
+    let userSubscribers = this.subscribers.get(userId)
+    if (!userSubscribers) {
+      userSubscribers = new Set()
+      this.subscribers.set(userId, userSubscribers)
+    }
+    userSubscribers.add(subscriber)
+
+    return () => {
+      userSubscribers!.delete(subscriber)
+      if (userSubscribers!.size === 0) this.subscribers.delete(userId)
+    }
+  }
+
+  // End every subscription and the Postgres connection
+  async close() {
+    this.closed = true
+    clearTimeout(this.reconnectTimer)
+    this.forEachSubscriber((subscriber) => subscriber.close())
+    this.subscribers.clear()
+
+    const client = this.client
+    this.client = undefined
+    await client?.end().catch(() => {})
+  }
+
+  private listen() {
+    if (this.client || this.connecting || this.reconnectTimer) return
+    this.connecting = this.connect().finally(() => {
+      this.connecting = undefined
+    })
+  }
+
+  private async connect() {
+    const client = new pg.Client({ connectionString: process.env.DATABASE_URL })
+    client.on("notification", (message) => {
+      if (message.channel === CHANNEL && message.payload) {
+        this.deliver(message.payload).catch((err) =>
+          log.error("Failed to deliver notification", { err })
+        )
+      }
+    })
+    client.on("error", (err) => {
+      log.warn("Notification listener connection failed", { err })
+      this.reconnect(client)
+    })
+    client.on("end", () => this.reconnect(client))
+
+    try {
+      await client.connect()
+      await client.query(`LISTEN ${CHANNEL}`)
+    } catch (err) {
+      log.warn("Failed to listen for notifications", { err })
+      this.reconnect(client)
+      return
+    }
+
+    if (this.closed) {
+      await client.end().catch(() => {})
+      return
+    }
+    this.client = client
+    this.reconnectAttempt = 0
+    if (this.connectedBefore) {
+      this.forEachSubscriber((subscriber) => subscriber.resync())
+    }
+    this.connectedBefore = true
+  }
+
+  private reconnect(client: pg.Client) {
+    if (this.client && this.client !== client) return
+    this.client = undefined
+    client.removeAllListeners()
+    client.on("error", () => {})
+    client.end().catch(() => {})
+    if (this.closed || this.reconnectTimer) return
+
+    // Subscribers are told to resync once connected again
+    const delay = backoffDelay(
+      this.reconnectAttempt++,
+      1000,
+      MAX_RECONNECT_DELAY_MS
+    )
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined
+      if (this.subscribers.size > 0) this.listen()
+    }, delay)
+  }
+
+  private forEachSubscriber(fn: (subscriber: NotificationSubscriber) => void) {
+    this.subscribers.forEach((userSubscribers) => userSubscribers.forEach(fn))
+  }
+
+  private async deliver(payload: string) {
+    const event: NotificationEvent = JSON.parse(payload)
+    const userSubscribers = this.subscribers.get(event.userId)
+    if (!userSubscribers?.size) return
+
+    const notification = await db.notification.findUnique({
+      where: { id: event.id },
+    })
+    if (!notification) return
+    userSubscribers.forEach((subscriber) => subscriber.send(notification))
+  }
+}
+
+let hub: NotificationHub | undefined
+
+export function getNotificationHub(): NotificationHub {
+  hub ??= new NotificationHub()
+  return hub
+}
+
+// Ends open event streams, which reconnect to the next backend bundle
+// (registered with lifecycle.onShutdown)
+export async function closeNotificationHub() {
+  const current = hub
+  hub = undefined
+  await current?.close()
+}
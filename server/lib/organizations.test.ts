@@ -0,0 +1,221 @@
+import { Prisma } from "@prisma/client"
+import { afterEach, describe, expect, it, vi } from "vitest"
+
+const { db, tx } = vi.hoisted(() => {
+  const tx = {
+    invitation: {
+      create: vi.fn(),
+      deleteMany: vi.fn(),
+      updateMany: vi.fn(),
+    },
+    membership: { upsert: vi.fn() },
+  }
+  return {
+    tx,
+    db: {
+      $transaction: vi.fn((fn: (client: typeof tx) => unknown) => fn(tx)),
+      invitation: { findUnique: vi.fn() },
+      membership: { count: vi.fn(), findFirst: vi.fn() },
+      organization: { create: vi.fn() },
+    },
+  }
+})
+vi.mock("./db", () => ({ db }))
+
+const {
+  acceptInvitation,
+  assertCanManageRole,
+  assertKeepsOwner,
+  createInvitation,
+  createOrganization,
+  hashInvitationToken,
+  slugify,
+} = await import("./organizations")
+
+function uniqueViolation() {
+  return new Prisma.PrismaClientKnownRequestError("Unique constraint", {
+    code: "P2002",
+    clientVersion: Prisma.prismaVersion.client,
+  })
+}
+
+afterEach(() => {
+  vi.clearAllMocks()
+})
+
+describe("organizations", () => {
+  it("derives slugs from names", () => {
+    expect(slugify("Café Déjà Vu, Inc.")).toBe("cafe-deja-vu-inc")
+    expect(slugify("!!!")).toBe("org")
+  })
+
+  it("makes the creator the owner", async () => {
+    db.organization.create.mockResolvedValue({ id: "org_1" })
+
+    await createOrganization("user_1", { name: "Acme" })
+
+    expect(db.organization.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: {
+          name: "Acme",
+          slug: "acme",
+          memberships: { create: { userId: "user_1", role: "owner" } },
+        },
+      })
+    )
+  })
+
+  it("adds a suffix when the derived slug is taken", async () => {
+    db.organization.create
+      .mockRejectedValueOnce(uniqueViolation())
+      .mockResolvedValue({ id: "org_1" })
+
+    await createOrganization("user_1", { name: "Acme" })
+
+    const slug = db.organization.create.mock.calls[1][0].data.slug
+    expect(slug).toMatch(/^acme-[0-9a-f]{6}$/)
+  })
+
+  it("rejects an explicit slug that is taken", async () => {
+    db.organization.create.mockRejectedValue(uniqueViolation())
+
+    await expect(
+      createOrganization("user_1", { name: "Acme", slug: "acme" })
+    ).rejects.toMatchObject({ status: 409, code: "slug_taken" })
+  })
+
+  it("lets only owners manage owners", () => {
+    expect(() => assertCanManageRole("admin", "member")).not.toThrow()
+    expect(() => assertCanManageRole("admin", "owner")).toThrow(
+      "Only owners can manage owners"
+    )
+    expect(() => assertCanManageRole("member", "member")).toThrow(
+      "Only admins can manage members"
+    )
+  })
+
+  it("keeps at least one owner", async () => {
+    db.membership.count.mockResolvedValue(0)
+
+    await expect(assertKeepsOwner("org_1", "user_1")).rejects.toMatchObject({
+      code: "last_owner",
+    })
+    expect(db.membership.count).toHaveBeenCalledWith({
+      where: {
+        organizationId: "org_1",
+        role: "owner",
+        userId: { not: "user_1" },
+      },
+    })
+
+    db.membership.count.mockResolvedValue(1)
+    await expect(assertKeepsOwner("org_1", "user_1")).resolves.toBeUndefined()
+  })
+})
+
+describe("invitations", () => {
+  const invitation = {
+    id: "inv_1",
+    organizationId: "org_1",
+    email: "Ada@example.com",
+    role: "admin",
+    acceptedAt: null,
+    expiresAt: new Date(Date.now() + 60_000),
+  }
+  const ada = { id: "user_2", email: "ada@example.com" }
+
+  it("stores only the token's hash and replaces pending invitations", async () => {
+    db.membership.findFirst.mockResolvedValue(null)
+    tx.invitation.create.mockImplementation(({ data }) => data)
+
+    const { token, invitation } = await createInvitation("org_1", "user_1", {
+      email: "ada@example.com",
+      role: "member",
+    })
+
+    expect(invitation.tokenHash).toBe(hashInvitationToken(token))
+    expect(invitation).not.toHaveProperty("token")
+    expect(tx.invitation.deleteMany).toHaveBeenCalledWith({
+      where: {
+        organizationId: "org_1",
+        email: "ada@example.com",
+        acceptedAt: null,
+      },
+    })
+  })
+
+  it("does not invite existing members", async () => {
+    db.membership.findFirst.mockResolvedValue({ userId: "user_2" })
+
+    await expect(
+      createInvitation("org_1", "user_1", {
+        email: "ada@example.com",
+        role: "member",
+      })
+    ).rejects.toMatchObject({ code: "already_member" })
+  })
+
+  it("adds the invited user with the invitation's role", async () => {
+    db.invitation.findUnique.mockResolvedValue(invitation)
+    tx.invitation.updateMany.mockResolvedValue({ count: 1 })
+    tx.membership.upsert.mockResolvedValue({ role: "admin" })
+
+    await acceptInvitation(ada, "token")
+
+    expect(db.invitation.findUnique).toHaveBeenCalledWith({
+      where: { tokenHash: hashInvitationToken("token") },
+    })
+    expect(tx.invitation.updateMany).toHaveBeenCalledWith({
+      where: { id: "inv_1", acceptedAt: null },
+      data: { acceptedAt: expect.any(Date) },
+    })
+    expect(tx.membership.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        create: { organizationId: "org_1", userId: "user_2", role: "admin" },
+        update: {},
+      })
+    )
+  })
+
+  it("rejects unknown, used and expired invitations", async () => {
+    db.invitation.findUnique.mockResolvedValueOnce(null)
+    await expect(acceptInvitation(ada, "token")).rejects.toMatchObject({
+      code: "invitation_invalid",
+    })
+
+    db.invitation.findUnique.mockResolvedValueOnce({
+      ...invitation,
+      acceptedAt: new Date(),
+    })
+    await expect(acceptInvitation(ada, "token")).rejects.toMatchObject({
+      code: "invitation_invalid",
+    })
+
+    db.invitation.findUnique.mockResolvedValueOnce({
+      ...invitation,
+      expiresAt: new Date(Date.now() - 1000),
+    })
+    await expect(acceptInvitation(ada, "token")).rejects.toMatchObject({
+      code: "invitation_expired",
+    })
+  })
+
+  it("only lets the invited address accept", async () => {
+    db.invitation.findUnique.mockResolvedValue(invitation)
+
+    await expect(
+      acceptInvitation({ id: "user_3", email: "eve@example.com" }, "token")
+    ).rejects.toMatchObject({ status: 403, code: "invitation_email_mismatch" })
+    expect(db.$transaction).not.toHaveBeenCalled()
+  })
+
+  it("accepts an invitation only once when requests race", async () => {
+    db.invitation.findUnique.mockResolvedValue(invitation)
+    tx.invitation.updateMany.mockResolvedValue({ count: 0 })
+
+    await expect(acceptInvitation(ada, "token")).rejects.toMatchObject({
+      code: "invitation_invalid",
+    })
+    expect(tx.membership.upsert).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,237 @@
+import { hasOrgRole, OrgRole } from "@/shared/organizations"
+import { Prisma } from "@prisma/client"
+import crypto from "crypto"
+import { db } from "./db"
+import { ConflictError, ForbiddenError, NotFoundError } from "./errors"
+
+// Organizations (teams) and their memberships. Each request acts on one
+// organization: the session's active one, or the one in the
+// X-Organization-Id header. requireOrgMember() in middleware/auth.ts
+// resolves it into req.org.
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+export function slugify(name: string): string {
+  return (
+    name
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40)
+      .replace(/-+$/, "") || "org"
+  )
+}
+
+function isUniqueViolation(err: unknown) {
+  return (
+    err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002"
+  )
+}
+
+// Create an organization owned by `userId`. Without an explicit slug one is
+// derived from the name, with a random suffix if it is taken.
+export async function createOrganization(
+  userId: string,
+  input: { name: string; slug?: string }
+) {
+  const create = (slug: string) =>
+    db.organization.create({
+      data: {
+        name: input.name,
+        slug,
+        memberships: { create: { userId, role: "owner" } },
+      },
+      include: { memberships: { where: { userId } } },
+    })
+
+  if (input.slug) {
+    try {
+      return await create(input.slug)
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        throw new ConflictError(`The slug "${input.slug}" is already taken`, {
+          code: "slug_taken",
+        })
+      }
+      throw err
+    }
+  }
+
+  const base = slugify(input.name)
+  for (let attempt = 0; ; attempt++) {
+    const suffix =
+      attempt === 0 ? "" : `-${crypto.randomBytes(3).toString("hex")}`
+    try {
+      return await create(base + suffix)
+    } catch (err) {
+      if (!isUniqueViolation(err) || attempt >= 4) throw err
+    }
+  }
+}
+
+export function getMembership(userId: string, organizationId: string) {
+  return db.membership.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    include: { organization: true },
+  })
+}
+
+// The membership of the organization the user is working in: the preferred
+// one if they still belong to it, otherwise their oldest. null when the
+// user has no organization.
+export async function findActiveMembership(
+  userId: string,
+  preferredOrganizationId?: string | null
+) {
+  if (preferredOrganizationId) {
+    const membership = await getMembership(userId, preferredOrganizationId)
+    if (membership) return membership
+  }
+  return db.membership.findFirst({
+    where: { userId },
+    orderBy: { createdAt: "asc" },
+    include: { organization: true },
+  })
+}
+
+export function assertOrgRole(role: string, minimum: OrgRole) {
+  if (!hasOrgRole(role, minimum)) {
+    throw new ForbiddenError(
+      `This requires the ${minimum} role in the organization`,
+      { code: "insufficient_org_role" }
+    )
+  }
+}
+
+// Throws unless `actorRole` may give or take away `role`: admins manage
+// members and admins, only owners manage owners
+export function assertCanManageRole(actorRole: OrgRole, role: string) {
+  const required = role === "owner" ? "owner" : "admin"
+  if (!hasOrgRole(actorRole, required)) {
+    throw new ForbiddenError(
+      required === "owner"
+        ? "Only owners can manage owners"
+        : "Only admins can manage members",
+      { code: "insufficient_org_role" }
+    )
+  }
+}
+
+// Throws if the change would leave the organization without an owner
+export async function assertKeepsOwner(organizationId: string, userId: string) {
+  const owners = await db.membership.count({
+    where: { organizationId, role: "owner", userId: { not: userId } },
+  })
+  if (owners === 0) {
+    throw new ConflictError("An organization needs at least one owner", {
+      code: "last_owner",
+    })
+  }
+}
+
+// --------------------------------------------------
+// Invitations
+// --------------------------------------------------
+
+export function hashInvitationToken(token: string): string {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Create (or renew) the invitation for `email`. The plaintext token is
+// only returned here, to be emailed.
+export async function createInvitation(
+  organizationId: string,
+  invitedById: string,
+  input: { email: string; role: OrgRole }
+) {
+  const existing = await db.membership.findFirst({
+    where: {
+      organizationId,
+      user: { email: { equals: input.email, mode: "insensitive" } },
+    },
+  })
+  if (existing) {
+    throw new ConflictError(`${input.email} is already a member`, {
+      code: "already_member",
+    })
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url")
+  const data = {
+    role: input.role,
+    tokenHash: hashInvitationToken(token),
+    invitedById,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+  }
+
+  // Inviting the same address again replaces the pending invitation, so
+  // only the newest link works
+  const invitation = await db.$transaction(async (tx) => {
+    await tx.invitation.deleteMany({
+      where: { organizationId, email: input.email, acceptedAt: null },
+    })
+    return tx.invitation.create({
+      data: { ...data, organizationId, email: input.email },
+    })
+  })
+  return { token, invitation }
+}
+
+// Add the user to the invitation's organization. Their email must be the
+// one that was invited.
+export async function acceptInvitation(
+  user: { id: string; email?: string | null },
+  token: string
+) {
+  const invitation = await db.invitation.findUnique({
+    where: { tokenHash: hashInvitationToken(token) },
+  })
+  if (!invitation || invitation.acceptedAt) {
+    throw new NotFoundError("This invitation is invalid or was already used", {
+      code: "invitation_invalid",
+    })
+  }
+  if (invitation.expiresAt < new Date()) {
+    throw new NotFoundError("This invitation has expired", {
+      code: "invitation_expired",
+    })
+  }
+  if (invitation.email.toLowerCase() !== user.email?.toLowerCase()) {
+    throw new ForbiddenError(
+      `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+      { code: "invitation_email_mismatch" }
+    )
+  }
+
+  return db.$transaction(async (tx) => {
+    // Mark it used first, so concurrent accepts can't both succeed
+    const { count } = await tx.invitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null },
+      data: { acceptedAt: new Date() },
+    })
+    if (count === 0) {
+      throw new NotFoundError("This invitation was already used", {
+        code: "invitation_invalid",
+      })
+    }
+
+    // Someone who is already a member keeps their role
+    return tx.membership.upsert({
+      where: {
+        organizationId_userId: {
+          organizationId: invitation.organizationId,
+          userId: user.id,
+        },
+      },
+      create: {
+        organizationId: invitation.organizationId,
+        userId: user.id,
+        role: invitation.role,
+      },
+      update: {},
+      include: { organization: true },
+    })
+  })
+}
@@ -0,0 +1,131 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+
+const { db } = vi.hoisted(() => ({
+  db: {
+    $queryRaw: vi.fn(),
+    rateLimitBucket: { deleteMany: vi.fn() },
+  },
+}))
+vi.mock("./db", () => ({ db }))
+
+const { MemoryStore, PrismaStore, rateLimit } = await import("./rate-limit")
+
+describe("MemoryStore", () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it("counts requests per key and starts a new window when one expires", async () => {
+    vi.useFakeTimers()
+    const store = new MemoryStore()
+
+    expect((await store.increment("a", 1000)).count).toBe(1)
+    expect((await store.increment("a", 1000)).count).toBe(2)
+    expect((await store.increment("b", 1000)).count).toBe(1)
+
+    vi.advanceTimersByTime(1000)
+    const hit = await store.increment("a", 1000)
+    expect(hit).toEqual({ count: 1, resetAt: new Date(Date.now() + 1000) })
+  })
+})
+
+describe("PrismaStore", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("upserts the bucket and cleans up expired ones", async () => {
+    const resetAt = new Date(Date.now() + 1000)
+    db.$queryRaw.mockResolvedValue([{ count: 3, resetAt }])
+    db.rateLimitBucket.deleteMany.mockResolvedValue({ count: 0 })
+    const store = new PrismaStore()
+
+    expect(await store.increment("api:ip:1.2.3.4", 1000)).toEqual({
+      count: 3,
+      resetAt,
+    })
+    await store.increment("api:ip:1.2.3.4", 1000)
+
+    expect(db.$queryRaw.mock.calls[0]).toContain("api:ip:1.2.3.4")
+    expect(db.rateLimitBucket.deleteMany).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe("rateLimit", () => {
+  const failing = {
+    increment: () => Promise.reject(new Error("Database unavailable")),
+  }
+
+  const request = serve((app) => {
+    const ok = (_req: unknown, res: any) => res.json({ ok: true })
+    app.get(
+      "/limited",
+      rateLimit({
+        name: "test",
+        windowMs: 60_000,
+        limit: 2,
+        store: new MemoryStore(),
+        skip: (req) => req.get("X-Skip") === "1",
+      }),
+      ok
+    )
+    app.get(
+      "/by-user",
+      (req: any, _res, next) => {
+        req.user = { id: String(req.query.user) }
+        next()
+      },
+      rateLimit({
+        name: "users",
+        windowMs: 60_000,
+        limit: 1,
+        keyBy: "user",
+        store: new MemoryStore(),
+      }),
+      ok
+    )
+    app.get(
+      "/unavailable",
+      rateLimit({ name: "down", windowMs: 1000, limit: 1, store: failing }),
+      ok
+    )
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("sets RateLimit headers and answers 429 over the limit", async () => {
+    const first = await request("/limited")
+    expect(first.status).toBe(200)
+    expect(first.headers.get("ratelimit-policy")).toBe("2;w=60")
+    expect(first.headers.get("ratelimit-remaining")).toBe("1")
+
+    await request("/limited")
+    const limited = await request("/limited")
+    expect(limited.status).toBe(429)
+    expect(limited.headers.get("ratelimit-remaining")).toBe("0")
+    expect(limited.headers.get("retry-after")).toBe("60")
+  })
+
+  it("does not count skipped requests", async () => {
+    const res = await request("/limited", { headers: { "X-Skip": "1" } })
+
+    expect(res.status).toBe(200)
+    expect(res.headers.get("ratelimit-limit")).toBeNull()
+  })
+
+  it("counts each user separately", async () => {
+    expect((await request("/by-user?user=a")).status).toBe(200)
+    expect((await request("/by-user?user=a")).status).toBe(429)
+    expect((await request("/by-user?user=b")).status).toBe(200)
+  })
+
+  it("lets requests through when the store fails", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {})
+
+    expect((await request("/unavailable")).status).toBe(200)
+    expect((await request("/unavailable")).status).toBe(200)
+  })
+})
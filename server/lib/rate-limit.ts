@@ -0,0 +1,161 @@
+import { NextFunction, Response } from "express"
+import type { AuthenticatedRequest } from "../middleware/auth"
+import { db } from "./db"
+import { TooManyRequestsError } from "./errors"
+import { logger } from "./logger"
+import { metrics } from "./metrics"
+
+// Fixed-window rate limiting. Apply per router, after requireAuth when
+// limiting by user or API key:
+//   router.use(requireAuth, rateLimit({ name: "billing", keyBy: "user", windowMs: 60_000, limit: 20 }))
+// Responses carry RateLimit-Limit/-Remaining/-Reset headers; requests over
+// the limit get a 429 problem with Retry-After.
+
+export interface RateLimitHit {
+  count: number
+  resetAt: Date
+}
+
+export interface RateLimitStore {
+  // Count one request for `key` in its current window
+  increment(key: string, windowMs: number): Promise<RateLimitHit>
+}
+
+// Counters in process memory. Each instance enforces its own limit, and
+// counters reset on restart.
+export class MemoryStore implements RateLimitStore {
+  private buckets = new Map<string, RateLimitHit>()
+  private nextSweep = 0
+
+  async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+    const now = Date.now()
+    this.sweep(now)
+
+    let bucket = this.buckets.get(key)
+    if (!bucket || bucket.resetAt.getTime() <= now) {
+      bucket = { count: 0, resetAt: new Date(now + windowMs) }
+      this.buckets.set(key, bucket)
+    }
+    bucket.count++
+    return { ...bucket }
+  }
+
+  // Drop expired buckets, at most once a minute
+  private sweep(now: number) {
+    if (now < this.nextSweep) return
+    this.nextSweep = now + 60 * 1000
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.resetAt.getTime() <= now) this.buckets.delete(key)
+    })
+  }
+}
+
+// Counters in Postgres (the RateLimitBucket model), shared by all instances.
+// Costs one upsert per request.
+export class PrismaStore implements RateLimitStore {
+  private nextCleanup = 0
+
+  async increment(key: string, windowMs: number): Promise<RateLimitHit> {
+    const now = new Date()
+    const resetAt = new Date(now.getTime() + windowMs)
+
+    // Starts a new window when the stored one has expired
+    const [hit] = await db.$queryRaw<RateLimitHit[]>`
+      INSERT INTO "RateLimitBucket" ("key", "count", "resetAt")
+      VALUES (${key}, 1, ${resetAt})
+      ON CONFLICT ("key") DO UPDATE SET
+        "count" = CASE WHEN "RateLimitBucket"."resetAt" <= ${now}
+          THEN 1 ELSE "RateLimitBucket"."count" + 1 END,
+        "resetAt" = CASE WHEN "RateLimitBucket"."resetAt" <= ${now}
+          THEN EXCLUDED."resetAt" ELSE "RateLimitBucket"."resetAt" END
+      RETURNING "count", "resetAt"`
+
+    this.cleanup(now)
+    return hit
+  }
+
+  // Delete expired buckets, at most every 5 minutes per instance
+  private cleanup(now: Date) {
+    if (now.getTime() < this.nextCleanup) return
+    this.nextCleanup = now.getTime() + 5 * 60 * 1000
+    db.rateLimitBucket
+      .deleteMany({ where: { resetAt: { lt: now } } })
+      .catch((err) => logger.warn("Rate limit cleanup failed", { err }))
+  }
+}
+
+let defaultStore: RateLimitStore | undefined
+
+// RATE_LIMIT_STORE=postgres shares limits across instances; the default
+// in-memory store is enough for a single instance
+export function getDefaultRateLimitStore(): RateLimitStore {
+  return (defaultStore ??=
+    process.env.RATE_LIMIT_STORE === "postgres"
+      ? new PrismaStore()
+      : new MemoryStore())
+}
+
+// What requests are counted by. "user" and "apiKey" fall back to the next
+// broader key (API key -> user -> IP) for requests without one.
+export type RateLimitKey =
+  | "ip"
+  | "user"
+  | "apiKey"
+  | ((req: AuthenticatedRequest) => string)
+
+export interface RateLimitOptions {
+  // Keeps this limiter's counters apart from others using the same store
+  name: string
+  windowMs: number
+  // Requests allowed per key and window
+  limit: number
+  keyBy?: RateLimitKey
+  store?: RateLimitStore
+  skip?: (req: AuthenticatedRequest) => boolean
+}
+
+function requestKey(req: AuthenticatedRequest, keyBy: RateLimitKey): string {
+  if (typeof keyBy === "function") return keyBy(req)
+  if (keyBy === "apiKey" && req.apiKey) return `key:${req.apiKey.id}`
+  if (keyBy !== "ip" && req.user) return `user:${req.user.id}`
+  return `ip:${req.ip}`
+}
+
+export function rateLimit(options: RateLimitOptions) {
+  const { name, windowMs, limit, keyBy = "ip" } = options
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`
+
+  return async (
+    req: AuthenticatedRequest,
+    res: Response,
+    next: NextFunction
+  ) => {
+    if (options.skip?.(req)) return next()
+
+    const store = options.store ?? getDefaultRateLimitStore()
+    let hit: RateLimitHit
+    try {
+      hit = await store.increment(`${name}:${requestKey(req, keyBy)}`, windowMs)
+    } catch (err) {
+      // Fail open: an unavailable store shouldn't take the API down
+      logger.warn("Rate limit store unavailable", { err, limiter: name })
+      return next()
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((new Date(hit.resetAt).getTime() - Date.now()) / 1000)
+    )
+    res.setHeader("RateLimit-Policy", policy)
+    res.setHeader("RateLimit-Limit", String(limit))
+    res.setHeader("RateLimit-Remaining", String(Math.max(0, limit - hit.count)))
+    res.setHeader("RateLimit-Reset", String(resetSeconds))
+
+    if (hit.count > limit) {
+      metrics.rateLimited.inc({ limiter: name })
+      return next(new TooManyRequestsError(resetSeconds))
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from "vitest"
+
+// The lists are built on first use, so set the env before importing
+vi.stubEnv("LOG_REDACT_FIELDS", "otp")
+vi.stubEnv("LOG_REDACT_HEADERS", "X-Session-Id")
+const { isSensitiveField, redactFields, redactHeaders } = await import(
+  "./redact"
+)
+
+describe("redactFields", () => {
+  it("matches sensitive names regardless of case and separators", () => {
+    expect(isSensitiveField("password")).toBe(true)
+    expect(isSensitiveField("accessToken")).toBe(true)
+    expect(isSensitiveField("Access-Token")).toBe(true)
+    expect(isSensitiveField("client_secret")).toBe(true)
+    expect(isSensitiveField("email")).toBe(false)
+  })
+
+  it("redacts nested fields and keeps the rest", () => {
+    expect(
+      redactFields({
+        email: "ada@example.com",
+        card: { cardNumber: "4242424242424242", expMonth: 12 },
+        keys: [{ apiKey: "sk_live_1" }],
+      })
+    ).toEqual({
+      email: "ada@example.com",
+      card: { cardNumber: "[REDACTED]", expMonth: 12 },
+      keys: [{ apiKey: "[REDACTED]" }],
+    })
+  })
+
+  it("redacts the fields in LOG_REDACT_FIELDS", () => {
+    expect(redactFields({ otp: "123456" })).toEqual({ otp: "[REDACTED]" })
+  })
+
+  it("truncates long strings and arrays", () => {
+    const result = redactFields({
+      note: "x".repeat(600),
+      ids: Array.from({ length: 25 }, (_, i) => i),
+    }) as { note: string; ids: unknown[] }
+
+    expect(result.note).toHaveLength(501)
+    expect(result.ids).toHaveLength(21)
+    expect(result.ids[20]).toBe("… 5 more")
+  })
+
+  it("summarizes buffers and deep objects", () => {
+    const deep = { a: { b: { c: { d: { e: { f: 1 } } } } } }
+
+    expect(redactFields(Buffer.from("abc"))).toBe("[Buffer 3 bytes]")
+    expect(redactFields(deep)).toEqual({
+      a: { b: { c: { d: { e: "[Object]" } } } },
+    })
+  })
+})
+
+describe("redactHeaders", () => {
+  it("redacts credential headers and those in LOG_REDACT_HEADERS", () => {
+    expect(
+      redactHeaders({
+        authorization: "Bearer sk_test",
+        cookie: "session=abc",
+        "x-session-id": "s_1",
+        accept: "application/json",
+      })
+    ).toEqual({
+      authorization: "[REDACTED]",
+      cookie: "[REDACTED]",
+      "x-session-id": "[REDACTED]",
+      accept: "application/json",
+    })
+  })
+})
@@ -0,0 +1,103 @@
+import type { IncomingHttpHeaders } from "http"
+
+// Redaction of secrets before request data is logged. Both lists can be
+// extended with comma-separated env vars:
+//   LOG_REDACT_FIELDS=otp,pin        body/query fields (matched by substring)
+//   LOG_REDACT_HEADERS=x-session-id  headers (matched by exact name)
+
+const REDACTED = "[REDACTED]"
+
+const DEFAULT_FIELDS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "apikey",
+  "authorization",
+  "cookie",
+  "cardnumber",
+  "cvc",
+  "ssn",
+]
+
+const DEFAULT_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "stripe-signature",
+]
+
+// Keep log lines bounded for large payloads
+const MAX_DEPTH = 5
+const MAX_STRING_LENGTH = 500
+const MAX_ARRAY_ITEMS = 20
+
+function envList(name: string): string[] {
+  return (process.env[name] ?? "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+// "access_token", "accessToken" and "Access-Token" all become "accesstoken"
+function normalize(key: string): string {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, "")
+}
+
+// Built on first use: server/index.ts imports this before .env is loaded
+let lists: { fields: string[]; headers: Set<string> } | undefined
+
+function redactionLists() {
+  return (lists ??= {
+    fields: [...DEFAULT_FIELDS, ...envList("LOG_REDACT_FIELDS")].map(normalize),
+    headers: new Set([...DEFAULT_HEADERS, ...envList("LOG_REDACT_HEADERS")]),
+  })
+}
+
+export function isSensitiveField(key: string): boolean {
+  const name = normalize(key)
+  return redactionLists().fields.some((field) => name.includes(field))
+}
+
+// Copy of a body or query object with sensitive fields replaced and large
+// values truncated
+export function redactFields(value: unknown, depth = 0): unknown {
+  if (typeof value === "string") {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}…`
+      : value
+  }
+  if (value === null || typeof value !== "object") return value
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? "[Array]" : "[Object]"
+
+  if (Array.isArray(value)) {
+    const items = value
+      .slice(0, MAX_ARRAY_ITEMS)
+      .map((item) => redactFields(item, depth + 1))
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`… ${value.length - MAX_ARRAY_ITEMS} more`)
+    }
+    return items
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      isSensitiveField(key) ? REDACTED : redactFields(item, depth + 1),
+    ])
+  )
+}
+
+export function redactHeaders(
+  headers: IncomingHttpHeaders
+): Record<string, string | string[] | undefined> {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      redactionLists().headers.has(name.toLowerCase()) ? REDACTED : value,
+    ])
+  )
+}
@@ -0,0 +1,56 @@
+import { AsyncLocalStorage } from "async_hooks"
+import { randomUUID } from "crypto"
+import { NextFunction, Request, Response } from "express"
+
+export interface RequestContext {
+  requestId: string
+  ip?: string
+  // Who is making the request, set by requireAuth/optionalAuth
+  actor?: {
+    userId: string
+    apiKeyId?: string
+  }
+}
+
+// server/index.ts and the hot-reloaded backend bundle each load their own
+// copy of this module, so the storage lives on globalThis to be shared
+const globalForContext = globalThis as unknown as {
+  requestContext: AsyncLocalStorage<RequestContext> | undefined
+}
+
+const storage = (globalForContext.requestContext ??=
+  new AsyncLocalStorage<RequestContext>())
+
+// Context of the request being handled, or undefined outside a request
+// (startup, timers, background work)
+export function getRequestContext(): RequestContext | undefined {
+  return storage.getStore()
+}
+
+export function getRequestId(): string | undefined {
+  return storage.getStore()?.requestId
+}
+
+// Record the authenticated user for the rest of the request (audit log)
+export function setRequestActor(actor: RequestContext["actor"]) {
+  const context = storage.getStore()
+  if (context) context.actor = actor
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+// Assign each request an ID, reusing the caller's X-Request-Id if it looks
+// sane, echo it in the response and make it available to everything that
+// runs for the request via getRequestId() (the logger adds it to each line).
+export function requestContext(
+  req: Request,
+  res: Response,
+  next: NextFunction
+) {
+  const incoming = req.get("X-Request-Id")
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID()
+
+  res.setHeader("X-Request-Id", requestId)
+  storage.run({ requestId, ip: req.ip }, next)
+}
@@ -0,0 +1,239 @@
+import express from "express"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { z } from "zod"
+import { serve } from "../test/http"
+
+type Row = Record<string, any>
+
+// In-memory stand-in for the File delegate, enough for equality filters
+const { files, delegate } = vi.hoisted(() => {
+  const files: Row[] = []
+  const matches = (row: Row, where: Row = {}) =>
+    Object.entries(where).every(
+      ([name, value]) => typeof value === "object" || row[name] === value
+    )
+  const pick = (row: Row, select?: Row) =>
+    select
+      ? Object.fromEntries(Object.keys(select).map((name) => [name, row[name]]))
+      : row
+  const delegate = {
+    findFirst: vi.fn(async ({ where, select }: Row) => {
+      const row = files.find((candidate) => matches(candidate, where))
+      return row ? pick(row, select) : null
+    }),
+    findMany: vi.fn(async ({ where, select }: Row) =>
+      files.filter((row) => matches(row, where)).map((row) => pick(row, select))
+    ),
+    count: vi.fn(
+      async ({ where }: Row) =>
+        files.filter((row) => matches(row, where)).length
+    ),
+    create: vi.fn(async ({ data, select }: Row) => {
+      const row = { id: `file_${files.length + 1}`, ...data }
+      files.push(row)
+      return pick(row, select)
+    }),
+    update: vi.fn(async ({ where, data, select }: Row) => {
+      const row = files.find((candidate) => candidate.id === where.id)!
+      Object.assign(row, data)
+      return pick(row, select)
+    }),
+    delete: vi.fn(async ({ where }: Row) => {
+      files.splice(
+        files.findIndex((row) => row.id === where.id),
+        1
+      )
+    }),
+  }
+  return { files, delegate }
+})
+vi.mock("./db", () => ({ db: { file: delegate } }))
+vi.mock("../middleware/auth", () => ({ requireAuth: vi.fn() }))
+
+const { createResourceRouter } = await import("./resource-router")
+
+// The caller is whoever X-User-Id names
+function asUser(req: any, _res: unknown, next: () => void) {
+  req.user = { id: req.get("X-User-Id") }
+  next()
+}
+
+const schemas = {
+  create: z.object({
+    name: z.string(),
+    contentType: z.string(),
+    size: z.number().int(),
+    key: z.string(),
+  }),
+}
+
+const request = serve((app) => {
+  app.use(express.json())
+  app.use(
+    "/owned",
+    createResourceRouter("File", {
+      owner: "userId",
+      hidden: ["key"],
+      middleware: [asUser],
+      schemas,
+    })
+  )
+  app.use(
+    "/scoped",
+    createResourceRouter("File", {
+      scope: (req) => ({ userId: req.user!.id, status: "ready" }),
+      middleware: [asUser],
+      schemas,
+    })
+  )
+})
+
+function as(userId: string, init: RequestInit = {}) {
+  return {
+    ...init,
+    headers: {
+      "Content-Type": "application/json",
+      "X-User-Id": userId,
+      ...init.headers,
+    },
+  }
+}
+
+function fileRow(overrides: Row): Row {
+  return {
+    name: "report.pdf",
+    contentType: "application/pdf",
+    size: 10,
+    status: "ready",
+    key: "uploads/secret",
+    createdAt: new Date("2026-10-01T00:00:00Z"),
+    ...overrides,
+  }
+}
+
+describe("createResourceRouter", () => {
+  beforeEach(() => {
+    files.push(
+      fileRow({ id: "mine", userId: "alice" }),
+      fileRow({ id: "theirs", userId: "bob" }),
+      fileRow({ id: "pending", userId: "alice", status: "pending" })
+    )
+  })
+
+  afterEach(() => {
+    files.length = 0
+    vi.clearAllMocks()
+  })
+
+  describe("records outside the owner", () => {
+    it("are not found on get", async () => {
+      expect((await request("/owned/theirs", as("alice"))).status).toBe(404)
+    })
+
+    it("are not found on update, and left unchanged", async () => {
+      const res = await request(
+        "/owned/theirs",
+        as("alice", { method: "PATCH", body: JSON.stringify({ name: "x" }) })
+      )
+
+      expect(res.status).toBe(404)
+      expect(delegate.update).not.toHaveBeenCalled()
+      expect(files.find((row) => row.id === "theirs")!.name).toBe("report.pdf")
+    })
+
+    it("are not found on delete, and kept", async () => {
+      const res = await request(
+        "/owned/theirs",
+        as("alice", { method: "DELETE" })
+      )
+
+      expect(res.status).toBe(404)
+      expect(delegate.delete).not.toHaveBeenCalled()
+      expect(files.some((row) => row.id === "theirs")).toBe(true)
+    })
+
+    it("are left out of lists", async () => {
+      const res = await request("/owned", as("alice"))
+      const { items, total } = await res.json()
+
+      expect(items.map((item: Row) => item.id).sort()).toEqual([
+        "mine",
+        "pending",
+      ])
+      expect(total).toBe(2)
+    })
+  })
+
+  describe("records outside the scope", () => {
+    it("are not found on get, update and delete", async () => {
+      const patch = { method: "PATCH", body: JSON.stringify({ name: "x" }) }
+
+      expect((await request("/scoped/pending", as("alice"))).status).toBe(404)
+      expect(
+        (await request("/scoped/pending", as("alice", patch))).status
+      ).toBe(404)
+      expect(
+        (await request("/scoped/pending", as("alice", { method: "DELETE" })))
+          .status
+      ).toBe(404)
+      expect(delegate.update).not.toHaveBeenCalled()
+      expect(delegate.delete).not.toHaveBeenCalled()
+    })
+
+    it("are found within it", async () => {
+      expect((await request("/scoped/mine", as("alice"))).status).toBe(200)
+    })
+  })
+
+  it("assigns created records to the caller, whatever the body says", async () => {
+    const res = await request(
+      "/owned",
+      as("alice", {
+        method: "POST",
+        body: JSON.stringify({
+          name: "new.txt",
+          contentType: "text/plain",
+          size: 1,
+          key: "uploads/new",
+          userId: "bob",
+        }),
+      })
+    )
+
+    expect(res.status).toBe(201)
+    expect(files[files.length - 1].userId).toBe("alice")
+  })
+
+  describe("hidden fields", () => {
+    it("are not returned", async () => {
+      const record = await (await request("/owned/mine", as("alice"))).json()
+
+      expect(record.id).toBe("mine")
+      expect(record).not.toHaveProperty("key")
+    })
+
+    it("can't be selected", async () => {
+      const res = await request("/owned?fields=id,key", as("alice"))
+
+      expect(res.status).toBe(400)
+      expect(delegate.findMany).not.toHaveBeenCalled()
+    })
+
+    it("can't be selected on get", async () => {
+      expect(
+        (await request("/owned/mine?fields=key", as("alice"))).status
+      ).toBe(400)
+    })
+
+    it("can't be filtered or sorted by", async () => {
+      expect(
+        (await request("/owned?key=uploads/secret", as("alice"))).status
+      ).toBe(400)
+      expect(
+        (await request("/owned?key[contains]=secret", as("alice"))).status
+      ).toBe(400)
+      expect((await request("/owned?sort=key", as("alice"))).status).toBe(400)
+      expect(delegate.findMany).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,418 @@
+import { Prisma } from "@prisma/client"
+import { RequestHandler, Response, Router } from "express"
+import { z, ZodObject, ZodRawShape, ZodTypeAny } from "zod"
+import { AuthenticatedRequest, requireAuth } from "../middleware/auth"
+import { db } from "./db"
+import { NotFoundError, ValidationError } from "./errors"
+import { asyncHandler } from "./utils"
+import { validate } from "./validate"
+
+// REST endpoints over a Prisma model, for entities that need nothing more
+// than list/get/create/update/delete:
+//
+//   apiRouter.use(
+//     "/notes",
+//     createResourceRouter("Note", {
+//       owner: "userId",
+//       schemas: { create: createNoteSchema },
+//     })
+//   )
+//
+// GET    /         list: ?page=&pageSize= ({ items, total, page, pageSize })
+//                  or ?limit=&cursor= ({ items, nextCursor }),
+//                  ?sort=-createdAt,title, ?fields=id,title and filters,
+//                  e.g. ?status=open&createdAt[gte]=2026-01-01&title[contains]=x
+// GET    /:id      one record
+// POST   /         create (201) from the `create` schema
+// PATCH  /:id      update from the `update` schema
+// DELETE /:id      delete (204)
+//
+// Records outside the scope (other users' with `owner`) respond 404.
+
+export type ResourceOperation = "list" | "get" | "create" | "update" | "delete"
+
+type Data = Record<string, any>
+
+export interface ResourceHooks<Create, Update> {
+  // May change the data or throw an HttpError to reject it
+  beforeCreate?(data: Create, req: AuthenticatedRequest): Data | Promise<Data>
+  afterCreate?(record: Data, req: AuthenticatedRequest): void | Promise<void>
+  beforeUpdate?(
+    data: Update,
+    req: AuthenticatedRequest,
+    existing: Data
+  ): Data | Promise<Data>
+  afterUpdate?(
+    record: Data,
+    req: AuthenticatedRequest,
+    previous: Data
+  ): void | Promise<void>
+  beforeDelete?(existing: Data, req: AuthenticatedRequest): void | Promise<void>
+  afterDelete?(existing: Data, req: AuthenticatedRequest): void | Promise<void>
+}
+
+export interface ResourceRouterOptions<
+  C extends ZodTypeAny,
+  U extends ZodTypeAny
+> {
+  schemas: {
+    create: C
+    // Defaults to every field of `create` being optional
+    update?: U
+  }
+  // Field holding the owner's user ID: records are limited to req.user.id's
+  // and new records are assigned to them
+  owner?: string
+  // Other scoping, merged into every query and into created records, e.g.
+  // (req) => ({ organizationId: req.org!.id }) after requireOrgMember()
+  scope?: (req: AuthenticatedRequest) => Data
+  // Runs before every route (default: requireAuth)
+  middleware?: RequestHandler[]
+  // Endpoints to create (default: all)
+  operations?: ResourceOperation[]
+  // Never returned, e.g. secrets (default: none)
+  hidden?: string[]
+  // Allowed in ?sort= and as filters (default: every returned scalar field
+  // except Json and lists)
+  sortable?: string[]
+  filterable?: string[]
+  // Default ?sort= (default: "-createdAt" if the model has it, else the ID)
+  defaultSort?: string
+  maxPageSize?: number
+  hooks?: ResourceHooks<z.infer<C>, z.infer<U>>
+}
+
+type ModelField = Prisma.DMMF.Field
+
+const RESERVED_PARAMS = [
+  "page",
+  "pageSize",
+  "limit",
+  "cursor",
+  "sort",
+  "fields",
+]
+const FILTER_OPERATORS = ["gt", "gte", "lt", "lte", "ne", "in", "contains"]
+const UNSORTABLE_TYPES = ["Json", "Bytes"]
+
+function lowerFirst(value: string) {
+  return value.charAt(0).toLowerCase() + value.slice(1)
+}
+
+function splitList(value: string | undefined): string[] {
+  return (value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+// Query string value to the field's type; undefined when it doesn't parse
+function coerceValue(field: ModelField, value: string): unknown {
+  if (value === "null" && !field.isRequired) return null
+  switch (field.type) {
+    case "Int":
+    case "Float":
+    case "Decimal": {
+      const number = Number(value)
+      return value.trim() !== "" && Number.isFinite(number) ? number : undefined
+    }
+    case "BigInt":
+      return /^-?\d+$/.test(value) ? BigInt(value) : undefined
+    case "Boolean":
+      return value === "true" ? true : value === "false" ? false : undefined
+    case "DateTime": {
+      const date = new Date(value)
+      return isNaN(date.getTime()) ? undefined : date
+    }
+    default:
+      return value
+  }
+}
+
+export function createResourceRouter<
+  C extends ZodTypeAny,
+  U extends ZodTypeAny = C
+>(model: Prisma.ModelName, options: ResourceRouterOptions<C, U>): Router {
+  const definition = Prisma.dmmf.datamodel.models.find(
+    (candidate) => candidate.name === model
+  )
+  if (!definition) {
+    throw new Error(`Unknown Prisma model "${model}"`)
+  }
+  const delegate = (db as any)[lowerFirst(model)]
+
+  const fields = new Map<string, ModelField>()
+  definition.fields.forEach((field) => {
+    if (field.kind !== "object" && !options.hidden?.includes(field.name)) {
+      fields.set(field.name, field)
+    }
+  })
+  const idField = definition.fields.find((field) => field.isId)?.name ?? "id"
+  const comparable = Array.from(fields.values())
+    .filter((field) => !field.isList && !UNSORTABLE_TYPES.includes(field.type))
+    .map((field) => field.name)
+  const sortable = options.sortable ?? comparable
+  const filterable = options.filterable ?? comparable
+  const defaultSort =
+    options.defaultSort ?? (fields.has("createdAt") ? "-createdAt" : idField)
+  const maxPageSize = options.maxPageSize ?? 100
+
+  const createSchema = options.schemas.create
+  const updateSchema: ZodTypeAny =
+    options.schemas.update ??
+    (createSchema instanceof ZodObject
+      ? (createSchema as ZodObject<ZodRawShape>).partial()
+      : createSchema)
+  const listQuerySchema = z
+    .object({
+      page: z.coerce.number().int().min(1).default(1),
+      pageSize: z.coerce.number().int().min(1).max(maxPageSize).default(20),
+      limit: z.coerce.number().int().min(1).max(maxPageSize).optional(),
+      cursor: z.string().optional(),
+      sort: z.string().optional(),
+      fields: z.string().optional(),
+    })
+    // Everything else is a filter
+    .passthrough()
+  const paramsSchema = z.object({ id: z.string().min(1) })
+
+  const hooks = options.hooks ?? {}
+  const operations = options.operations ?? [
+    "list",
+    "get",
+    "create",
+    "update",
+    "delete",
+  ]
+
+  function scopeOf(req: AuthenticatedRequest): Data {
+    return {
+      ...options.scope?.(req),
+      ...(options.owner ? { [options.owner]: req.user!.id } : {}),
+    }
+  }
+
+  // The ID as stored (IDs may be numbers); undefined when it can't be one
+  function parseId(value: string): unknown {
+    const field = fields.get(idField)
+    const id = field ? coerceValue(field, value) : value
+    return id === null ? undefined : id
+  }
+
+  function select(requested?: string): Data {
+    const names = requested ? splitList(requested) : Array.from(fields.keys())
+    const unknown = names.filter((name) => !fields.has(name))
+    if (unknown.length > 0) {
+      throw new ValidationError({
+        "query.fields": [`Unknown fields: ${unknown.join(", ")}`],
+      })
+    }
+    // The ID is always included, for cursors and links
+    return Object.fromEntries([idField, ...names].map((name) => [name, true]))
+  }
+
+  function orderBy(sort = defaultSort): Data[] {
+    const order = splitList(sort).map((item) => {
+      const name = item.replace(/^-/, "")
+      if (!sortable.includes(name)) {
+        throw new ValidationError({
+          "query.sort": [`Cannot sort by "${name}"`],
+        })
+      }
+      return { [name]: item.startsWith("-") ? "desc" : "asc" }
+    })
+    // Stable order for pagination
+    if (!order.some((item) => idField in item)) {
+      order.push({ [idField]: "asc" })
+    }
+    return order
+  }
+
+  function filters(query: Data): Data {
+    const where: Data = {}
+    const fieldErrors: Record<string, string[]> = {}
+    const fail = (name: string, message: string) =>
+      (fieldErrors[`query.${name}`] ??= []).push(message)
+
+    Object.entries(query).forEach(([name, value]) => {
+      if (RESERVED_PARAMS.includes(name)) return
+      const field = fields.get(name)
+      if (!field || !filterable.includes(name)) {
+        return fail(name, `Cannot filter by "${name}"`)
+      }
+
+      const coerce = (raw: unknown) => {
+        const coerced =
+          typeof raw === "string" ? coerceValue(field, raw) : undefined
+        if (coerced === undefined) fail(name, `Invalid value for ${name}`)
+        return coerced
+      }
+
+      // ?status=open or ?createdAt[gte]=...&createdAt[lt]=...
+      if (typeof value !== "object" || value === null) {
+        where[name] = coerce(value)
+        return
+      }
+      const condition: Data = {}
+      Object.entries(value as Data).forEach(([operator, raw]) => {
+        if (!FILTER_OPERATORS.includes(operator)) {
+          return fail(name, `Unknown operator "${operator}"`)
+        }
+        if (operator === "in") {
+          condition.in = splitList(String(raw)).map(coerce)
+        } else if (operator === "ne") {
+          condition.not = coerce(raw)
+        } else if (operator === "contains") {
+          if (field.type !== "String") {
+            return fail(name, `"contains" only applies to text fields`)
+          }
+          condition.contains = String(raw)
+          condition.mode = "insensitive"
+        } else {
+          condition[operator] = coerce(raw)
+        }
+      })
+      where[name] = condition
+    })
+
+    if (Object.keys(fieldErrors).length > 0) {
+      throw new ValidationError(fieldErrors)
+    }
+    return where
+  }
+
+  // The record if it is within the request's scope, else 404
+  async function findScoped(req: AuthenticatedRequest, selection?: Data) {
+    const id = parseId(req.params.id)
+    const record =
+      id !== undefined &&
+      (await delegate.findFirst({
+        where: { ...scopeOf(req), [idField]: id },
+        select: selection,
+      }))
+    if (!record) {
+      throw new NotFoundError(`${model} not found`)
+    }
+    return record as Data
+  }
+
+  const router = Router()
+  const middleware = options.middleware ?? [requireAuth]
+  if (middleware.length > 0) router.use(...middleware)
+
+  if (operations.includes("list")) {
+    router.get(
+      "/",
+      validate({ query: listQuerySchema }),
+      asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+        const query = req.query as z.infer<typeof listQuerySchema>
+        const where = { ...filters(query), ...scopeOf(req) }
+        const args = {
+          where,
+          select: select(query.fields),
+          orderBy: orderBy(query.sort),
+        }
+
+        if (query.limit !== undefined || query.cursor !== undefined) {
+          const limit = query.limit ?? 20
+          const cursor = query.cursor ? parseId(query.cursor) : null
+          if (cursor === undefined) {
+            throw new ValidationError({ "query.cursor": ["Invalid cursor"] })
+          }
+          const records: Data[] = await delegate.findMany({
+            ...args,
+            // One extra to tell whether there is another page
+            take: limit + 1,
+            ...(cursor ? { cursor: { [idField]: cursor }, skip: 1 } : {}),
+          })
+          const items = records.slice(0, limit)
+          return res.json({
+            items,
+            nextCursor:
+              records.length > limit ? items[items.length - 1][idField] : null,
+          })
+        }
+
+        const { page, pageSize } = query
+        const [items, total] = await Promise.all([
+          delegate.findMany({
+            ...args,
+            skip: (page - 1) * pageSize,
+            take: pageSize,
+          }),
+          delegate.count({ where }),
+        ])
+        res.json({ items, total, page, pageSize })
+      })
+    )
+  }
+
+  if (operations.includes("get")) {
+    router.get(
+      "/:id",
+      validate({
+        params: paramsSchema,
+        query: z.object({ fields: z.string().optional() }),
+      }),
+      asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+        res.json(await findScoped(req, select(req.query.fields as string)))
+      })
+    )
+  }
+
+  if (operations.includes("create")) {
+    router.post(
+      "/",
+      validate({ body: createSchema }),
+      asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+        const data = hooks.beforeCreate
+          ? await hooks.beforeCreate(req.body, req)
+          : req.body
+        const record = await delegate.create({
+          // The scope wins, so clients can't create records for others
+          data: { ...data, ...scopeOf(req) },
+          select: select(),
+        })
+        await hooks.afterCreate?.(record, req)
+        res.status(201).json(record)
+      })
+    )
+  }
+
+  if (operations.includes("update")) {
+    router.patch(
+      "/:id",
+      validate({ params: paramsSchema, body: updateSchema }),
+      asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+        const existing = await findScoped(req, select())
+        const data = hooks.beforeUpdate
+          ? await hooks.beforeUpdate(req.body, req, existing)
+          : req.body
+        const record = await delegate.update({
+          where: { [idField]: existing[idField] },
+          // Scope fields can't be changed
+          data: { ...data, ...scopeOf(req) },
+          select: select(),
+        })
+        await hooks.afterUpdate?.(record, req, existing)
+        res.json(record)
+      })
+    )
+  }
+
+  if (operations.includes("delete")) {
+    router.delete(
+      "/:id",
+      validate({ params: paramsSchema }),
+      asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+        const existing = await findScoped(req, select())
+        await hooks.beforeDelete?.(existing, req)
+        await delegate.delete({ where: { [idField]: existing[idField] } })
+        await hooks.afterDelete?.(existing, req)
+        res.status(204).end()
+      })
+    )
+  }
+
+  return router
+}
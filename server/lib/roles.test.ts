@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+
+const { db } = vi.hoisted(() => ({
+  db: { user: { findUnique: vi.fn(), update: vi.fn() } },
+}))
+vi.mock("./db", () => ({ db }))
+
+const { getUserAccess } = await import("./roles")
+
+describe("getUserAccess", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+    vi.unstubAllEnvs()
+  })
+
+  it("returns null for unknown users", async () => {
+    db.user.findUnique.mockResolvedValue(null)
+
+    expect(await getUserAccess("user_1")).toBeNull()
+  })
+
+  it("returns the stored role and permissions", async () => {
+    db.user.findUnique.mockResolvedValue({
+      role: "user",
+      permissions: ["reports:read"],
+      email: "ada@example.com",
+    })
+
+    expect(await getUserAccess("user_1")).toEqual({
+      role: "user",
+      permissions: ["reports:read"],
+    })
+    expect(db.user.update).not.toHaveBeenCalled()
+  })
+
+  it("promotes ADMIN_EMAILS to admin", async () => {
+    vi.stubEnv("ADMIN_EMAILS", "root@example.com, Ada@Example.com")
+    db.user.findUnique.mockResolvedValue({
+      role: "user",
+      permissions: [],
+      email: "ada@example.com",
+    })
+
+    expect(await getUserAccess("user_1")).toMatchObject({ role: "admin" })
+    expect(db.user.update).toHaveBeenCalledWith({
+      where: { id: "user_1" },
+      data: { role: "admin" },
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import { isRole, Role } from "@/shared/auth"
+import { db } from "./db"
+
+export interface UserAccess {
+  role: Role
+  permissions: string[]
+}
+
+// Comma-separated emails that are made admins when they sign in
+function adminEmails(): string[] {
+  return (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+export async function getUserAccess(
+  userId: string
+): Promise<UserAccess | null> {
+  const user = await db.user.findUnique({
+    where: { id: userId },
+    select: { role: true, permissions: true, email: true },
+  })
+  if (!user) return null
+
+  if (
+    user.role !== "admin" &&
+    adminEmails().includes(user.email.toLowerCase())
+  ) {
+    await db.user.update({ where: { id: userId }, data: { role: "admin" } })
+    user.role = "admin"
+  }
+
+  return {
+    role: isRole(user.role) ? user.role : "user",
+    permissions: user.permissions,
+  }
+}
@@ -0,0 +1,100 @@
+import express from "express"
+import type { AddressInfo } from "net"
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { logger } from "./logger"
+import {
+  createRequestTracker,
+  drainServer,
+  markShuttingDown,
+  runShutdownHooks,
+  withTimeout,
+} from "./shutdown"
+
+describe("withTimeout", () => {
+  it("resolves with the promise or after the timeout", async () => {
+    expect(await withTimeout(Promise.resolve(), 1000)).toBe("done")
+    expect(await withTimeout(new Promise(() => {}), 10)).toBe("timeout")
+  })
+})
+
+describe("runShutdownHooks", () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it("runs every hook even when one fails", async () => {
+    const error = vi.spyOn(logger, "error").mockImplementation(() => {})
+    const hook = vi.fn()
+
+    await runShutdownHooks(
+      [
+        () => {
+          throw new Error("Worker stuck")
+        },
+        hook,
+      ],
+      1000
+    )
+
+    expect(hook).toHaveBeenCalled()
+    expect(error).toHaveBeenCalledWith("Shutdown hook failed", {
+      err: expect.any(Error),
+    })
+  })
+
+  it("stops waiting for hooks after the timeout", async () => {
+    const warn = vi.spyOn(logger, "warn").mockImplementation(() => {})
+
+    await runShutdownHooks([() => new Promise(() => {})], 10)
+
+    expect(warn).toHaveBeenCalledWith(
+      "Shutdown hooks did not finish within 10ms"
+    )
+  })
+})
+
+// Shutting down can't be undone, so these run last
+describe("draining", () => {
+  function startServer() {
+    const requests = createRequestTracker()
+    let release = () => {}
+    const released = new Promise<void>((resolve) => (release = resolve))
+
+    const app = express()
+    app.use(requests.middleware)
+    app.get("/slow", async (_req, res) => {
+      await released
+      res.send("done")
+    })
+
+    const server = app.listen(0)
+    const { port } = server.address() as AddressInfo
+    const response = fetch(`http://127.0.0.1:${port}/slow`)
+    // Wait until the request reached the handler
+    return vi
+      .waitFor(() => expect(requests.inFlight()).toBe(1))
+      .then(() => ({ server, requests, release, response }))
+  }
+
+  it("waits for in-flight requests", async () => {
+    const { server, requests, release, response } = await startServer()
+
+    markShuttingDown()
+    const drained = drainServer(server, 5000)
+    release()
+
+    const res = await response
+    expect(await res.text()).toBe("done")
+    expect(await drained).toBe("done")
+    expect(requests.inFlight()).toBe(0)
+  })
+
+  it("closes connections still open after the timeout", async () => {
+    const { server, requests, response } = await startServer()
+    const onTimeout = vi.fn(() => requests.inFlight())
+
+    expect(await drainServer(server, 50, onTimeout)).toBe("timeout")
+    expect(onTimeout).toHaveReturnedWith(1)
+    await expect(response).rejects.toThrow()
+  })
+})
@@ -0,0 +1,121 @@
+import type { RequestHandler } from "express"
+import type { Server } from "http"
+import { logger } from "./logger"
+
+export type ShutdownHook = () => void | Promise<void>
+
+// Passed to registerRoutes() in server/backend.ts so route modules can clean
+// up timers, connections or workers they start
+export interface BackendLifecycle {
+  // Run `hook` when this backend bundle is replaced by a hot reload, or
+  // when the server shuts down
+  onShutdown(hook: ShutdownHook): void
+}
+
+// server/index.ts and the hot-reloaded backend bundle each load their own
+// copy of this module, so the flag lives on globalThis to be shared
+const globalForShutdown = globalThis as unknown as {
+  shuttingDown: boolean | undefined
+  drainListeners: Set<() => void> | undefined
+}
+
+// True once SIGTERM/SIGINT was received; /api/ready then reports 503 so load
+// balancers stop routing new requests here
+export function isShuttingDown(): boolean {
+  return globalForShutdown.shuttingDown === true
+}
+
+export function markShuttingDown() {
+  globalForShutdown.shuttingDown = true
+  drainListeners().forEach((listener) => listener())
+}
+
+function drainListeners() {
+  globalForShutdown.drainListeners ??= new Set()
+  return globalForShutdown.drainListeners
+}
+
+// Call `listener` once shutdown starts. Long-lived responses (event
+// streams) end themselves with it; otherwise draining waits for them until
+// SHUTDOWN_TIMEOUT_MS. Returns a function that removes the listener.
+export function onDrain(listener: () => void): () => void {
+  drainListeners().add(listener)
+  return () => drainListeners().delete(listener)
+}
+
+// Resolve after `ms` at the latest, whether or not `promise` settled
+export function withTimeout(
+  promise: Promise<unknown>,
+  ms: number
+): Promise<"done" | "timeout"> {
+  let timer: NodeJS.Timeout | undefined
+  return Promise.race([
+    promise.then(() => "done" as const),
+    new Promise<"timeout">((resolve) => {
+      timer = setTimeout(() => resolve("timeout"), ms)
+    }),
+  ]).finally(() => clearTimeout(timer))
+}
+
+// Run hooks concurrently. Failures are logged so one broken hook doesn't
+// keep the others from running.
+export async function runShutdownHooks(
+  hooks: ShutdownHook[],
+  timeoutMs: number
+) {
+  if (hooks.length === 0) return
+
+  const result = await withTimeout(
+    Promise.allSettled(
+      hooks.map(async (hook) => {
+        try {
+          await hook()
+        } catch (err) {
+          logger.error("Shutdown hook failed", { err })
+        }
+      })
+    ),
+    timeoutMs
+  )
+
+  if (result === "timeout") {
+    logger.warn(`Shutdown hooks did not finish within ${timeoutMs}ms`)
+  }
+}
+
+// Counts in-flight requests so shutdown can report what it waits for. While
+// draining, keep-alive connections are closed once their response is sent,
+// otherwise server.close() waits for them to time out.
+export function createRequestTracker() {
+  let inFlight = 0
+
+  const middleware: RequestHandler = (req, res, next) => {
+    inFlight++
+    res.on("close", () => inFlight--)
+    res.on("finish", () => {
+      if (isShuttingDown()) req.socket.end()
+    })
+    if (isShuttingDown()) res.setHeader("Connection", "close")
+    next()
+  }
+
+  return { middleware, inFlight: () => inFlight }
+}
+
+// Stop accepting connections and wait for the open ones to finish. After
+// `timeoutMs`, `onTimeout` runs and the remaining connections are closed.
+export async function drainServer(
+  server: Server,
+  timeoutMs: number,
+  onTimeout?: () => void
+): Promise<"done" | "timeout"> {
+  const closed = new Promise<void>((resolve) => server.close(() => resolve()))
+  server.closeIdleConnections()
+
+  const result = await withTimeout(closed, timeoutMs)
+  if (result === "timeout") {
+    onTimeout?.()
+    server.closeAllConnections()
+  }
+  return result
+}
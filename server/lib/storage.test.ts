@@ -0,0 +1,40 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { closeStorage, getStorage, LocalDriver, S3Driver } from "./storage"
+
+const R2 = {
+  R2_ENDPOINT: "https://account.r2.cloudflarestorage.com",
+  R2_BUCKET_NAME: "bucket",
+  R2_ACCESS_KEY_ID: "key",
+  R2_SECRET_ACCESS_KEY: "secret",
+}
+
+function stubEnv(env: Record<string, string>) {
+  Object.entries(env).forEach(([name, value]) => vi.stubEnv(name, value))
+}
+
+describe("getStorage", () => {
+  afterEach(() => {
+    closeStorage()
+    vi.unstubAllEnvs()
+  })
+
+  it("uses R2 when it is configured", () => {
+    stubEnv({ NODE_ENV: "production", STORAGE_DRIVER: "", ...R2 })
+    expect(getStorage()).toBeInstanceOf(S3Driver)
+  })
+
+  it("refuses to fall back to local files in production", () => {
+    stubEnv({ NODE_ENV: "production", STORAGE_DRIVER: "", R2_ENDPOINT: "" })
+    expect(() => getStorage()).toThrow(/R2 storage is not configured/)
+  })
+
+  it("uses local files in production only when asked to", () => {
+    stubEnv({ NODE_ENV: "production", STORAGE_DRIVER: "local" })
+    expect(getStorage()).toBeInstanceOf(LocalDriver)
+  })
+
+  it("falls back to local files in development", () => {
+    stubEnv({ NODE_ENV: "development", STORAGE_DRIVER: "", R2_ENDPOINT: "" })
+    expect(getStorage()).toBeInstanceOf(LocalDriver)
+  })
+})
@@ -0,0 +1,453 @@
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3"
+import { Upload } from "@aws-sdk/lib-storage"
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner"
+import crypto from "crypto"
+import { createReadStream, createWriteStream } from "fs"
+import fs from "fs/promises"
+import path from "path"
+import { Readable, Transform } from "stream"
+import { pipeline } from "stream/promises"
+import { PayloadTooLargeError } from "./errors"
+
+// Object storage for uploaded files. Uses the R2 bucket provisioned with
+// the workspace (R2_* variables) and falls back to the local filesystem in
+// development; production requires R2 unless STORAGE_DRIVER=local. Files are
+// tracked in the File model; see routes/files.ts.
+
+export interface StoredObject {
+  size: number
+  contentType?: string
+}
+
+export interface PutOptions {
+  contentType: string
+  // Reject the upload once more bytes than this were received
+  maxBytes?: number
+}
+
+// A URL the browser PUTs the file to directly, bypassing this server
+export interface PresignedUpload {
+  url: string
+  method: "PUT"
+  // Headers the request must send exactly as given
+  headers: Record<string, string>
+  expiresAt: Date
+}
+
+export interface PresignOptions {
+  contentType: string
+  size: number
+  expiresInSeconds: number
+}
+
+export interface StorageDriver {
+  put(
+    key: string,
+    body: Readable | Buffer,
+    options: PutOptions
+  ): Promise<StoredObject>
+  // null when the object doesn't exist
+  get(key: string): Promise<(StoredObject & { body: Readable }) | null>
+  head(key: string): Promise<StoredObject | null>
+  delete(key: string): Promise<void>
+  // Delete every object whose key starts with `prefix` (ending in "/")
+  deletePrefix(prefix: string): Promise<void>
+  presignUpload(key: string, options: PresignOptions): Promise<PresignedUpload>
+  close?(): void
+}
+
+// Pass-through stream that counts bytes and fails once `maxBytes` is passed
+function byteCounter(maxBytes = Infinity) {
+  const counter = new Transform({
+    transform(chunk: Buffer, _encoding, callback) {
+      counter.bytes += chunk.length
+      if (counter.bytes > maxBytes) {
+        return callback(
+          new PayloadTooLargeError(`Files may be at most ${maxBytes} bytes`)
+        )
+      }
+      callback(null, chunk)
+    },
+  }) as Transform & { bytes: number }
+  counter.bytes = 0
+  return counter
+}
+
+// --------------------------------------------------
+// S3-compatible storage (Cloudflare R2)
+// --------------------------------------------------
+
+export interface S3DriverOptions {
+  endpoint: string
+  bucket: string
+  accessKeyId: string
+  secretAccessKey: string
+  region?: string
+}
+
+export class S3Driver implements StorageDriver {
+  private client: S3Client
+  private bucket: string
+
+  constructor(options: S3DriverOptions) {
+    this.bucket = options.bucket
+    this.client = new S3Client({
+      endpoint: options.endpoint,
+      // R2 ignores the region but the SDK requires one
+      region: options.region ?? "auto",
+      // Presigned URLs then point at the endpoint's origin (see getUploadOrigin)
+      forcePathStyle: true,
+      // Default checksums would be signed into presigned URLs, which the
+      // browser's upload then fails
+      requestChecksumCalculation: "WHEN_REQUIRED",
+      responseChecksumValidation: "WHEN_REQUIRED",
+      credentials: {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey,
+      },
+    })
+  }
+
+  async put(key: string, body: Readable | Buffer, options: PutOptions) {
+    const counter = byteCounter(options.maxBytes)
+    // Multipart upload, so streams of unknown length work
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: counter,
+        ContentType: options.contentType,
+      },
+    })
+
+    await Promise.all([
+      pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, counter),
+      upload.done(),
+    ]).catch(async (err) => {
+      await upload.abort().catch(() => {})
+      throw err
+    })
+    return { size: counter.bytes, contentType: options.contentType }
+  }
+
+  async get(key: string) {
+    try {
+      const object = await this.client.send(
+        new GetObjectCommand({ Bucket: this.bucket, Key: key })
+      )
+      return {
+        body: object.Body as Readable,
+        size: object.ContentLength ?? 0,
+        contentType: object.ContentType,
+      }
+    } catch (err) {
+      if (isNotFound(err)) return null
+      throw err
+    }
+  }
+
+  async head(key: string) {
+    try {
+      const object = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: key })
+      )
+      return {
+        size: object.ContentLength ?? 0,
+        contentType: object.ContentType,
+      }
+    } catch (err) {
+      if (isNotFound(err)) return null
+      throw err
+    }
+  }
+
+  async delete(key: string) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    )
+  }
+
+  async deletePrefix(prefix: string) {
+    let continuationToken: string | undefined
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        })
+      )
+      const objects = (page.Contents ?? []).map(({ Key }) => ({ Key }))
+      if (objects.length > 0) {
+        await this.client.send(
+          new DeleteObjectsCommand({
+            Bucket: this.bucket,
+            Delete: { Objects: objects, Quiet: true },
+          })
+        )
+      }
+      continuationToken = page.NextContinuationToken
+    } while (continuationToken)
+  }
+
+  // The signature covers the content type and length, so the browser can't
+  // upload something else than what was announced
+  async presignUpload(key: string, options: PresignOptions) {
+    const url = await getSignedUrl(
+      this.client,
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ContentType: options.contentType,
+        ContentLength: options.size,
+      }),
+      { expiresIn: options.expiresInSeconds }
+    )
+    return {
+      url,
+      method: "PUT" as const,
+      headers: { "Content-Type": options.contentType },
+      expiresAt: new Date(Date.now() + options.expiresInSeconds * 1000),
+    }
+  }
+
+  close() {
+    this.client.destroy()
+  }
+}
+
+function isNotFound(err: unknown): boolean {
+  const error = err as {
+    name?: string
+    $metadata?: { httpStatusCode?: number }
+  }
+  return (
+    error?.name === "NoSuchKey" ||
+    error?.name === "NotFound" ||
+    error?.$metadata?.httpStatusCode === 404
+  )
+}
+
+// --------------------------------------------------
+// Local filesystem storage (development)
+// --------------------------------------------------
+
+// What a local upload token allows: one PUT of `key`
+export interface LocalUploadGrant {
+  key: string
+  contentType: string
+  size: number
+  expires: number
+}
+
+export interface LocalDriverOptions {
+  // Directory objects are written to
+  root: string
+  // Route that accepts presigned uploads, see routes/files.ts
+  uploadUrl: string
+  // Signs upload tokens; a random secret invalidates tokens on restart
+  secret?: string
+}
+
+export class LocalDriver implements StorageDriver {
+  private root: string
+  private uploadUrl: string
+  private secret: string
+
+  constructor(options: LocalDriverOptions) {
+    this.root = path.resolve(options.root)
+    this.uploadUrl = options.uploadUrl
+    this.secret = options.secret ?? crypto.randomBytes(32).toString("hex")
+  }
+
+  private pathFor(key: string) {
+    const file = path.resolve(this.root, key)
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return file
+  }
+
+  async put(key: string, body: Readable | Buffer, options: PutOptions) {
+    const file = this.pathFor(key)
+    await fs.mkdir(path.dirname(file), { recursive: true })
+
+    // Write to a temporary file so failed uploads don't leave partial objects
+    const temp = `${file}.${crypto.randomUUID()}.tmp`
+    const counter = byteCounter(options.maxBytes)
+    try {
+      await pipeline(
+        Buffer.isBuffer(body) ? Readable.from([body]) : body,
+        counter,
+        createWriteStream(temp)
+      )
+      await fs.rename(temp, file)
+    } catch (err) {
+      await fs.rm(temp, { force: true })
+      throw err
+    }
+    return { size: counter.bytes, contentType: options.contentType }
+  }
+
+  async get(key: string) {
+    const object = await this.head(key)
+    if (!object) return null
+    return { ...object, body: createReadStream(this.pathFor(key)) }
+  }
+
+  async head(key: string) {
+    try {
+      const stats = await fs.stat(this.pathFor(key))
+      return { size: stats.size }
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === "ENOENT") return null
+      throw err
+    }
+  }
+
+  async delete(key: string) {
+    await fs.rm(this.pathFor(key), { force: true })
+  }
+
+  async deletePrefix(prefix: string) {
+    await fs.rm(this.pathFor(prefix), { recursive: true, force: true })
+  }
+
+  // Same flow as S3: a signed, expiring URL on this server
+  async presignUpload(key: string, options: PresignOptions) {
+    const expires = Date.now() + options.expiresInSeconds * 1000
+    const grant: LocalUploadGrant = {
+      key,
+      contentType: options.contentType,
+      size: options.size,
+      expires,
+    }
+    const payload = Buffer.from(JSON.stringify(grant)).toString("base64url")
+    const token = `${payload}.${this.sign(payload)}`
+
+    return {
+      url: `${this.uploadUrl}?token=${encodeURIComponent(token)}`,
+      method: "PUT" as const,
+      headers: { "Content-Type": options.contentType },
+      expiresAt: new Date(expires),
+    }
+  }
+
+  // The grant for a token from presignUpload(), or null if it is invalid or
+  // expired
+  verifyUploadToken(token: string): LocalUploadGrant | null {
+    const [payload, signature = ""] = token.split(".")
+    const expected = this.sign(payload)
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      return null
+    }
+
+    const grant = JSON.parse(
+      Buffer.from(payload, "base64url").toString()
+    ) as LocalUploadGrant
+    return grant.expires > Date.now() ? grant : null
+  }
+
+  private sign(payload: string) {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(payload)
+      .digest("base64url")
+  }
+}
+
+// --------------------------------------------------
+// Configured driver
+// --------------------------------------------------
+
+export const LOCAL_UPLOAD_URL = "/api/files/local-upload"
+
+let storage: StorageDriver | undefined
+
+function useS3(): boolean {
+  const driver = process.env.STORAGE_DRIVER
+  if (driver) return driver === "s3"
+  return Boolean(process.env.R2_ENDPOINT && process.env.R2_BUCKET_NAME)
+}
+
+// R2 when the R2_* variables are set (or STORAGE_DRIVER=s3), otherwise
+// files under STORAGE_LOCAL_DIR. Called on startup by registerRoutes(), so a
+// misconfiguration stops the server rather than the first upload.
+export function getStorage(): StorageDriver {
+  if (storage) return storage
+
+  if (useS3()) {
+    const {
+      R2_ENDPOINT,
+      R2_BUCKET_NAME,
+      R2_ACCESS_KEY_ID,
+      R2_SECRET_ACCESS_KEY,
+    } = process.env
+    if (
+      !R2_ENDPOINT ||
+      !R2_BUCKET_NAME ||
+      !R2_ACCESS_KEY_ID ||
+      !R2_SECRET_ACCESS_KEY
+    ) {
+      throw new Error(
+        "R2_ENDPOINT, R2_BUCKET_NAME, R2_ACCESS_KEY_ID and R2_SECRET_ACCESS_KEY are required for S3 storage"
+      )
+    }
+    storage = new S3Driver({
+      endpoint: R2_ENDPOINT,
+      bucket: R2_BUCKET_NAME,
+      accessKeyId: R2_ACCESS_KEY_ID,
+      secretAccessKey: R2_SECRET_ACCESS_KEY,
+    })
+  } else {
+    // Local files are lost on redeploy and not shared between instances
+    if (
+      process.env.NODE_ENV === "production" &&
+      process.env.STORAGE_DRIVER !== "local"
+    ) {
+      throw new Error(
+        "R2 storage is not configured: set R2_ENDPOINT, R2_BUCKET_NAME, R2_ACCESS_KEY_ID and R2_SECRET_ACCESS_KEY (or STORAGE_DRIVER=local to keep files on disk)"
+      )
+    }
+    storage = new LocalDriver({
+      root: process.env.STORAGE_LOCAL_DIR || ".data/uploads",
+      uploadUrl: LOCAL_UPLOAD_URL,
+      secret: process.env.AUTH_SECRET,
+    })
+  }
+  return storage
+}
+
+// Release the S3 client's sockets (registered with lifecycle.onShutdown)
+export function closeStorage() {
+  storage?.close?.()
+  storage = undefined
+}
+
+// Origin the browser uploads to directly, for the CSP connect-src. null
+// when uploads go to this server.
+export function getUploadOrigin(): string | null {
+  if (!useS3() || !process.env.R2_ENDPOINT) return null
+  try {
+    return new URL(process.env.R2_ENDPOINT).origin
+  } catch {
+    return null
+  }
+}
+
+// Largest accepted upload (default 50 MB)
+export function getMaxUploadBytes(): number {
+  return parseInt(process.env.STORAGE_MAX_UPLOAD_BYTES || "52428800", 10)
+}
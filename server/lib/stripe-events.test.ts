@@ -0,0 +1,127 @@
+import { Prisma } from "@prisma/client"
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { stripeEvent } from "../test/stripe"
+
+const { db } = vi.hoisted(() => ({
+  db: {
+    stripeEvent: {
+      create: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+      findUnique: vi.fn(),
+      delete: vi.fn(),
+    },
+  },
+}))
+vi.mock("./db", () => ({ db }))
+
+const { processStripeEvent } = await import("./stripe-events")
+
+function uniqueViolation() {
+  return new Prisma.PrismaClientKnownRequestError("Unique constraint", {
+    code: "P2002",
+    clientVersion: "test",
+  })
+}
+
+const event = stripeEvent("invoice.payment_failed", { id: "in_1" }, "evt_1")
+
+describe("processStripeEvent", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("claims the event id, runs its handler and marks it processed", async () => {
+    const handler = vi.fn()
+    db.stripeEvent.create.mockResolvedValue({})
+    db.stripeEvent.update.mockResolvedValue({})
+
+    const result = await processStripeEvent(event, {
+      "invoice.payment_failed": handler,
+    } as any)
+
+    expect(result).toBe("processed")
+    expect(db.stripeEvent.create).toHaveBeenCalledWith({
+      data: { id: "evt_1", type: "invoice.payment_failed" },
+    })
+    expect(handler).toHaveBeenCalledWith(event)
+    expect(db.stripeEvent.update).toHaveBeenCalledWith({
+      where: { id: "evt_1" },
+      data: { status: "processed", processedAt: expect.any(Date) },
+    })
+    expect(handler.mock.invocationCallOrder[0]).toBeLessThan(
+      db.stripeEvent.update.mock.invocationCallOrder[0]
+    )
+  })
+
+  it("skips an event that was already processed", async () => {
+    const handler = vi.fn()
+    db.stripeEvent.create.mockRejectedValue(uniqueViolation())
+    db.stripeEvent.updateMany.mockResolvedValue({ count: 0 })
+    db.stripeEvent.findUnique.mockResolvedValue({ status: "processed" })
+
+    const result = await processStripeEvent(event, {
+      "invoice.payment_failed": handler,
+    } as any)
+
+    expect(result).toBe("duplicate")
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it("asks Stripe to retry an event another delivery is processing", async () => {
+    const handler = vi.fn()
+    db.stripeEvent.create.mockRejectedValue(uniqueViolation())
+    db.stripeEvent.updateMany.mockResolvedValue({ count: 0 })
+    db.stripeEvent.findUnique.mockResolvedValue({ status: "processing" })
+
+    await expect(
+      processStripeEvent(event, { "invoice.payment_failed": handler } as any)
+    ).rejects.toMatchObject({ status: 409 })
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  it("reclaims a stale processing claim and runs the handler", async () => {
+    const handler = vi.fn()
+    db.stripeEvent.create.mockRejectedValue(uniqueViolation())
+    db.stripeEvent.updateMany.mockResolvedValue({ count: 1 })
+    db.stripeEvent.update.mockResolvedValue({})
+
+    const result = await processStripeEvent(event, {
+      "invoice.payment_failed": handler,
+    } as any)
+
+    expect(result).toBe("processed")
+    expect(db.stripeEvent.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: "evt_1",
+        status: "processing",
+        claimedAt: { lt: expect.any(Date) },
+      },
+      data: { claimedAt: expect.any(Date) },
+    })
+    expect(handler).toHaveBeenCalledWith(event)
+  })
+
+  it("releases the claim when the handler fails, so a retry can run", async () => {
+    const failure = new Error("boom")
+    db.stripeEvent.create.mockResolvedValue({})
+    db.stripeEvent.delete.mockResolvedValue({})
+
+    await expect(
+      processStripeEvent(event, {
+        "invoice.payment_failed": vi.fn().mockRejectedValue(failure),
+      } as any)
+    ).rejects.toBe(failure)
+    expect(db.stripeEvent.delete).toHaveBeenCalledWith({
+      where: { id: "evt_1" },
+    })
+    expect(db.stripeEvent.update).not.toHaveBeenCalled()
+  })
+
+  it("ignores event types without a handler", async () => {
+    const result = await processStripeEvent(event, {} as any)
+
+    expect(result).toBe("ignored")
+    expect(db.stripeEvent.create).not.toHaveBeenCalled()
+  })
+})
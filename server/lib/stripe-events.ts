@@ -0,0 +1,176 @@
+import { Prisma } from "@prisma/client"
+import Stripe from "stripe"
+import { receiptEmail } from "../emails/receipt"
+import { linkStripeCustomer, stripeId, syncSubscription } from "./billing"
+import { db } from "./db"
+import { ConflictError } from "./errors"
+import { logger } from "./logger"
+import { sendEmail } from "./mail"
+import { notify } from "./notifications"
+import { getStripe } from "./stripe"
+
+// Keep in sync with WEBHOOK_EVENTS in scripts/update-stripe-webhook.mjs
+export type HandledStripeEventType =
+  | "customer.subscription.created"
+  | "customer.subscription.updated"
+  | "customer.subscription.deleted"
+  | "invoice.payment_succeeded"
+  | "invoice.payment_failed"
+  | "checkout.session.completed"
+
+export type StripeEventOf<T extends Stripe.Event.Type> = Extract<
+  Stripe.Event,
+  { type: T }
+>
+
+export type StripeEventHandlers = {
+  [T in HandledStripeEventType]: (event: StripeEventOf<T>) => Promise<void>
+}
+
+export type StripeEventResult = "processed" | "duplicate" | "ignored"
+
+// Handlers finish well within this; a claim older than it was abandoned
+const STALE_CLAIM_MS = 5 * 60 * 1000
+
+// Events can arrive out of order, so the payload may be older than what was
+// already synced. Sync the subscription's current state instead.
+async function syncLatestSubscription(subscriptionId: string) {
+  const subscription = await getStripe().subscriptions.retrieve(subscriptionId)
+  await syncSubscription(subscription)
+}
+
+export const stripeEventHandlers: StripeEventHandlers = {
+  "customer.subscription.created": async (event) => {
+    await syncLatestSubscription(event.data.object.id)
+  },
+  "customer.subscription.updated": async (event) => {
+    await syncLatestSubscription(event.data.object.id)
+  },
+  "customer.subscription.deleted": async (event) => {
+    await syncLatestSubscription(event.data.object.id)
+  },
+  "invoice.payment_succeeded": async (event) => {
+    const invoice = event.data.object
+    logger.info(`Stripe invoice paid: ${invoice.id}`)
+    if (invoice.customer_email && invoice.amount_paid > 0) {
+      const paidAt = invoice.status_transitions.paid_at ?? event.created
+      await sendEmail(
+        receiptEmail,
+        { to: invoice.customer_email },
+        {
+          amount: invoice.amount_paid,
+          currency: invoice.currency,
+          invoiceNumber: invoice.number,
+          paidAt: new Date(paidAt * 1000),
+          invoiceUrl: invoice.hosted_invoice_url,
+        }
+      )
+    }
+  },
+  "invoice.payment_failed": async (event) => {
+    // Access is revoked by the subscription status change that follows
+    const invoice = event.data.object
+    logger.warn(`Stripe invoice payment failed: ${invoice.id}`)
+
+    const stripeCustomerId = stripeId(invoice.customer)
+    const customer =
+      stripeCustomerId &&
+      (await db.customer.findUnique({ where: { stripeCustomerId } }))
+    if (customer) {
+      await notify(customer.userId, {
+        type: "billing.payment_failed",
+        title: "Your payment failed",
+        body: "Update your payment method to keep your subscription active.",
+        url: "/pricing",
+      })
+    }
+  },
+  "checkout.session.completed": async (event) => {
+    const session = event.data.object
+    const stripeCustomerId = stripeId(session.customer)
+    if (session.client_reference_id && stripeCustomerId) {
+      await linkStripeCustomer(session.client_reference_id, stripeCustomerId)
+    }
+
+    const subscriptionId = stripeId(session.subscription)
+    if (subscriptionId) {
+      await syncLatestSubscription(subscriptionId)
+    }
+  },
+}
+
+// Dispatch a verified event to its handler, at most once per event id.
+// Stripe retries deliveries and may send the same event more than once.
+// Claim the event id before handling it, so replays and concurrent
+// deliveries are no-ops. A claim left "processing" by an instance that died
+// mid-handler is taken over once it's older than STALE_CLAIM_MS.
+async function claimEvent(
+  event: Stripe.Event
+): Promise<"claimed" | "processing" | "processed"> {
+  try {
+    await db.stripeEvent.create({
+      data: { id: event.id, type: event.type },
+    })
+    return "claimed"
+  } catch (error) {
+    if (
+      !(error instanceof Prisma.PrismaClientKnownRequestError) ||
+      error.code !== "P2002"
+    ) {
+      throw error
+    }
+  }
+
+  const { count } = await db.stripeEvent.updateMany({
+    where: {
+      id: event.id,
+      status: "processing",
+      claimedAt: { lt: new Date(Date.now() - STALE_CLAIM_MS) },
+    },
+    data: { claimedAt: new Date() },
+  })
+  if (count > 0) return "claimed"
+
+  const existing = await db.stripeEvent.findUnique({
+    where: { id: event.id },
+    select: { status: true },
+  })
+  return existing?.status === "processed" ? "processed" : "processing"
+}
+
+export async function processStripeEvent(
+  event: Stripe.Event,
+  handlers: StripeEventHandlers = stripeEventHandlers
+): Promise<StripeEventResult> {
+  const handler = handlers[event.type as HandledStripeEventType] as
+    | ((event: Stripe.Event) => Promise<void>)
+    | undefined
+
+  if (!handler) {
+    return "ignored"
+  }
+
+  const claim = await claimEvent(event)
+  if (claim === "processed") return "duplicate"
+  if (claim === "processing") {
+    // Not done yet, and the handler may still fail: have Stripe retry later
+    // rather than acknowledge an event that might never be handled
+    throw new ConflictError("Stripe event is already being processed")
+  }
+
+  try {
+    await handler(event)
+  } catch (error) {
+    // Release the claim so Stripe's next retry can process the event again
+    await db.stripeEvent
+      .delete({ where: { id: event.id } })
+      .catch(() => undefined)
+    throw error
+  }
+
+  await db.stripeEvent.update({
+    where: { id: event.id },
+    data: { status: "processed", processedAt: new Date() },
+  })
+  return "processed"
+}
@@ -0,0 +1,44 @@
+import Stripe from "stripe"
+
+let stripeClient: Stripe | null = null
+
+// Lazily create the Stripe client so the server can boot without STRIPE_API_KEY
+export function getStripe(): Stripe {
+  if (!stripeClient) {
+    if (!process.env.STRIPE_API_KEY) {
+      throw new Error("STRIPE_API_KEY is not set")
+    }
+    stripeClient = new Stripe(process.env.STRIPE_API_KEY, apiBaseOptions())
+  }
+  return stripeClient
+}
+
+// Replace the Stripe client, e.g. with a fake in tests. Pass null to reset.
+export function setStripe(client: Stripe | null) {
+  stripeClient = client
+}
+
+// STRIPE_API_BASE points the client at a local fake such as stripe-mock
+// (e.g. http://localhost:12111)
+function apiBaseOptions(): Stripe.StripeConfig {
+  if (!process.env.STRIPE_API_BASE) return {}
+  const url = new URL(process.env.STRIPE_API_BASE)
+  return {
+    host: url.hostname,
+    port: url.port || undefined,
+    protocol: url.protocol === "http:" ? "http" : "https",
+  }
+}
+
+// Verify a webhook payload against STRIPE_WEBHOOK_SECRET.
+// `payload` must be the raw request body, not the parsed JSON.
+export function constructWebhookEvent(
+  payload: string | Buffer,
+  signature: string,
+  secret: string | undefined = process.env.STRIPE_WEBHOOK_SECRET
+): Stripe.Event {
+  if (!secret) {
+    throw new Error("STRIPE_WEBHOOK_SECRET is not set")
+  }
+  return Stripe.webhooks.constructEvent(payload, signature, secret)
+}
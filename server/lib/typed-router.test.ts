@@ -0,0 +1,90 @@
+import { defineRoute } from "@/shared/api"
+import express from "express"
+import { describe, expect, it } from "vitest"
+import { z } from "zod"
+import { serve } from "../test/http"
+import { createTypedRouter } from "./typed-router"
+
+const getNote = defineRoute({
+  method: "GET",
+  path: "/api/notes/:id",
+  params: z.object({ id: z.coerce.number().int() }),
+  query: z.object({ full: z.enum(["true", "false"]).optional() }),
+  output: z.object({ id: z.number(), full: z.boolean() }),
+})
+
+const createNote = defineRoute({
+  method: "POST",
+  path: "/api/notes",
+  body: z.object({ title: z.string().min(1) }),
+  output: z.object({ title: z.string() }),
+  status: 201,
+})
+
+const deleteNote = defineRoute({
+  method: "DELETE",
+  path: "/api/notes/:id",
+})
+
+const { router, route } = createTypedRouter("/api/notes")
+route(getNote, async (req) => ({ id: req.params.id, full: !!req.query.full }))
+route(createNote, async (req) => ({ title: req.body.title }))
+route(deleteNote, async () => {})
+
+const request = serve((app) => {
+  app.use(express.json())
+  app.use("/api/notes", router)
+})
+
+describe("createTypedRouter", () => {
+  it("passes parsed params and query to the handler", async () => {
+    const res = await request("/api/notes/42?full=true")
+
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ id: 42, full: true })
+  })
+
+  it("sends the route's status code", async () => {
+    const res = await request("/api/notes", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: "Hello" }),
+    })
+
+    expect(res.status).toBe(201)
+    expect(await res.json()).toEqual({ title: "Hello" })
+  })
+
+  it("answers 204 for routes without output", async () => {
+    const res = await request("/api/notes/1", { method: "DELETE" })
+
+    expect(res.status).toBe(204)
+    expect(await res.text()).toBe("")
+  })
+
+  it("rejects invalid input with field errors", async () => {
+    const res = await request("/api/notes", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title: "" }),
+    })
+
+    expect(res.status).toBe(400)
+    expect((await res.json()).fieldErrors).toHaveProperty("title")
+  })
+
+  it("prefixes invalid params in field errors", async () => {
+    const res = await request("/api/notes/abc")
+
+    expect(res.status).toBe(400)
+    expect((await res.json()).fieldErrors).toHaveProperty("params.id")
+  })
+
+  it("refuses routes outside its base path", () => {
+    const { route } = createTypedRouter("/api/billing")
+
+    expect(() => route(getNote, async () => ({ id: 1, full: false }))).toThrow(
+      "Route /api/notes/:id is not under /api/billing"
+    )
+  })
+})
@@ -0,0 +1,49 @@
+import type { HttpMethod, RouteDefinition, RouteResult } from "@/shared/api"
+import { Request, Response, Router } from "express"
+import { asyncHandler } from "./utils"
+import { validate, ValidatedRequest } from "./validate"
+
+type TypedHandler<D extends RouteDefinition, Req extends Request> = (
+  req: ValidatedRequest<D, Req>,
+  res: Response
+) => Promise<RouteResult<D> | Response>
+
+// Router that implements routes from the shared API contract (shared/api.ts).
+// Inputs are validated with the route's schemas and the handler's return
+// value must match its output schema; throw an HttpError (./errors) to fail.
+// `basePath` is where the router is mounted, e.g. "/api/billing" for
+// apiRouter.use("/billing", router).
+export function createTypedRouter<Req extends Request = Request>(
+  basePath: string
+) {
+  const router = Router()
+
+  function route<D extends RouteDefinition>(
+    definition: D,
+    handler: TypedHandler<D, Req>
+  ) {
+    if (!definition.path.startsWith(basePath)) {
+      throw new Error(`Route ${definition.path} is not under ${basePath}`)
+    }
+
+    const path = definition.path.slice(basePath.length)
+    const method = definition.method.toLowerCase() as Lowercase<HttpMethod>
+
+    router[method](
+      path,
+      validate(definition),
+      asyncHandler(async (req: ValidatedRequest<D, Req>, res) => {
+        const result = await handler(req, res)
+        if (res.headersSent) return
+
+        if (definition.output) {
+          res.status(definition.status ?? 200).json(result)
+        } else {
+          res.status(definition.status ?? 204).end()
+        }
+      })
+    )
+  }
+
+  return { router, route }
+}
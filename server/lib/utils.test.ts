@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { appUrl, configuredAppUrl } from "./utils"
+
+const req = {
+  protocol: "http",
+  get: (name: string) => (name === "host" ? "evil.example" : undefined),
+} as Parameters<typeof appUrl>[0]
+
+describe("appUrl", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("uses the configured origin over the Host header", () => {
+    vi.stubEnv("NODE_ENV", "production")
+    vi.stubEnv("VITE_APP_URL", "")
+    vi.stubEnv("NEXTAUTH_URL", "https://app.example.com")
+    expect(appUrl(req)).toBe("https://app.example.com")
+  })
+
+  it("requires a configured origin in production", () => {
+    vi.stubEnv("NODE_ENV", "production")
+    vi.stubEnv("VITE_APP_URL", "")
+    vi.stubEnv("NEXTAUTH_URL", "")
+    expect(() => appUrl(req)).toThrow(/VITE_APP_URL or NEXTAUTH_URL/)
+  })
+
+  it("falls back to the Host header in development", () => {
+    vi.stubEnv("NODE_ENV", "development")
+    vi.stubEnv("VITE_APP_URL", "")
+    vi.stubEnv("NEXTAUTH_URL", "")
+    expect(appUrl(req)).toBe("http://evil.example")
+  })
+})
+
+describe("configuredAppUrl", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it("uses the configured origin", () => {
+    vi.stubEnv("VITE_APP_URL", "https://app.example.com")
+    expect(configuredAppUrl()).toBe("https://app.example.com")
+  })
+
+  it("requires a configured origin in production", () => {
+    vi.stubEnv("NODE_ENV", "production")
+    vi.stubEnv("VITE_APP_URL", "")
+    vi.stubEnv("NEXTAUTH_URL", "")
+    expect(() => configuredAppUrl()).toThrow(/VITE_APP_URL or NEXTAUTH_URL/)
+  })
+
+  it("falls back to the local server in development", () => {
+    vi.stubEnv("NODE_ENV", "development")
+    vi.stubEnv("VITE_APP_URL", "")
+    vi.stubEnv("NEXTAUTH_URL", "")
+    vi.stubEnv("PORT", "4000")
+    expect(configuredAppUrl()).toBe("http://localhost:4000")
+  })
+})
@@ -1,10 +1,43 @@
 import { NextFunction, Request, Response } from "express"
 
-// Async error handler wrapper
-export const asyncHandler = (
-  fn: (req: Request, res: Response, next: NextFunction) => Promise<any>
+// Async error handler wrapper. Handlers may narrow the request type, e.g.
+// to AuthenticatedRequest or ValidatedRequest<typeof schemas>.
+export const asyncHandler = <Req = Request>(
+  fn: (req: Req, res: Response, next: NextFunction) => Promise<any>
 ) => {
   return (req: Request, res: Response, next: NextFunction) => {
-    Promise.resolve(fn(req, res, next)).catch(next)
+    Promise.resolve(fn(req as unknown as Req, res, next)).catch(next)
   }
 }
+
+// Exponential backoff: baseDelayMs, 2x, 4x, ... for attempt 0, 1, 2, ...
+// capped at maxDelayMs
+export function backoffDelay(
+  attempt: number,
+  baseDelayMs: number,
+  maxDelayMs = Infinity
+): number {
+  return Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs)
+}
+
+function appUrlFromEnv(): string | undefined {
+  const configured = process.env.VITE_APP_URL || process.env.NEXTAUTH_URL
+  if (!configured && process.env.NODE_ENV === "production") {
+    throw new Error("VITE_APP_URL or NEXTAUTH_URL is required in production")
+  }
+  return configured
+}
+
+// Origin for links back to the app (redirects, emails). The Host header is
+// sent by the client, so it is only trusted in development: in production
+// VITE_APP_URL or NEXTAUTH_URL must be set.
+export function appUrl(req: Pick<Request, "protocol" | "get">) {
+  return appUrlFromEnv() || `${req.protocol}://${req.get("host")}`
+}
+
+// Origin for links sent to someone other than the requester (e.g.
+// invitations), which never comes from the request, even in development:
+// a forged Host header would put another site's link in a real email
+export function configuredAppUrl() {
+  return appUrlFromEnv() || `http://localhost:${process.env.PORT || "3000"}`
+}
@@ -0,0 +1,70 @@
+import { NextFunction, Request, Response } from "express"
+import { z, ZodError, ZodTypeAny } from "zod"
+import { ValidationError } from "./errors"
+
+export interface ValidationSchemas {
+  body?: ZodTypeAny
+  query?: ZodTypeAny
+  params?: ZodTypeAny
+}
+
+type Infer<T, Fallback> = T extends ZodTypeAny ? z.infer<T> : Fallback
+
+// Request type after validate(schemas) has run, for use in handlers:
+// asyncHandler(async (req: ValidatedRequest<typeof schemas>, res) => ...)
+// Pass a base such as AuthenticatedRequest to keep its extra fields.
+export type ValidatedRequest<
+  S extends ValidationSchemas,
+  Base extends Request = Request
+> = Omit<Base, "body" | "query" | "params"> & {
+  body: Infer<S["body"], any>
+  query: Infer<S["query"], Request["query"]>
+  params: Infer<S["params"], Request["params"]>
+}
+
+function toFieldErrors(
+  error: ZodError,
+  location: keyof ValidationSchemas,
+  fieldErrors: Record<string, string[]>
+) {
+  for (const issue of error.issues) {
+    const path = issue.path.join(".")
+    const key =
+      location === "body"
+        ? path || "_root"
+        : [location, path].filter(Boolean).join(".")
+    ;(fieldErrors[key] ??= []).push(issue.message)
+  }
+}
+
+// Validate and coerce req.body/query/params with zod. On success the parsed
+// values replace the originals; on failure responds 400 with field errors
+// (a ValidationErrorBody from shared/validation.ts).
+export function validate<S extends ValidationSchemas>(schemas: S) {
+  return (req: Request, _res: Response, next: NextFunction) => {
+    const fieldErrors: Record<string, string[]> = {}
+    const parsed: Partial<Record<keyof ValidationSchemas, unknown>> = {}
+
+    for (const location of ["params", "query", "body"] as const) {
+      const schema = schemas[location]
+      if (!schema) continue
+
+      const result = schema.safeParse(req[location] ?? {})
+      if (result.success) {
+        parsed[location] = result.data
+      } else {
+        toFieldErrors(result.error, location, fieldErrors)
+      }
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+      return next(new ValidationError(fieldErrors))
+    }
+
+    if ("params" in parsed) req.params = parsed.params as Request["params"]
+    if ("query" in parsed) req.query = parsed.query as Request["query"]
+    if ("body" in parsed) req.body = parsed.body
+
+    next()
+  }
+}
@@ -0,0 +1,271 @@
+import type { ApiKeyScope } from "@/shared/auth"
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+
+const { authenticateApiKey, findActiveMembership, getMembership, getSession } =
+  vi.hoisted(() => ({
+    authenticateApiKey: vi.fn(),
+    findActiveMembership: vi.fn(),
+    getMembership: vi.fn(),
+    getSession: vi.fn(),
+  }))
+vi.mock("@auth/express", () => ({ getSession }))
+vi.mock("../lib/api-keys", async (importOriginal) => ({
+  ...(await importOriginal<object>()),
+  authenticateApiKey,
+}))
+vi.mock("../lib/billing", () => ({ hasEntitlement: vi.fn() }))
+vi.mock("../lib/db", () => ({ db: {} }))
+vi.mock("../lib/organizations", async (importOriginal) => ({
+  ...(await importOriginal<object>()),
+  findActiveMembership,
+  getMembership,
+}))
+vi.mock("../routes/auth", () => ({ authConfig: {} }))
+
+const { requireAuth, requireOrgMember, requirePermission, requireRole } =
+  await import("./auth")
+
+const request = serve((app) => {
+  const ok = (_req: unknown, res: any) => res.json({ ok: true })
+  app.get("/open", requireRole("admin"), ok)
+  app.use(requireAuth)
+  app.get("/notes", ok)
+  app.post("/notes", ok)
+  app.get("/admin", requireRole("admin"), ok)
+  app.get("/reports", requirePermission("reports:read"), ok)
+  app.get("/org", requireOrgMember(), (req: any, res) => res.json(req.org))
+  app.get("/org/settings", requireOrgMember("admin"), ok)
+})
+
+function signIn(
+  user: {
+    role?: string
+    permissions?: string[]
+    activeOrganizationId?: string
+  } = {}
+) {
+  getSession.mockResolvedValue({ user: { id: "user_1", ...user } })
+}
+
+function withKey(
+  scopes: ApiKeyScope[],
+  user: { role?: string; permissions?: string[] } = {}
+) {
+  authenticateApiKey.mockResolvedValue({
+    user: { id: "user_1", role: "user", permissions: [], ...user },
+    apiKey: { id: "key_1", scopes },
+  })
+}
+
+function get(path: string, method = "GET") {
+  return request(path, {
+    method,
+    headers: { Authorization: "Bearer sk_test" },
+  })
+}
+
+describe("roles and permissions", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("requires a session", async () => {
+    getSession.mockResolvedValue(null)
+
+    expect((await request("/notes")).status).toBe(401)
+  })
+
+  it("answers 401 when requireRole runs without requireAuth", async () => {
+    expect((await request("/open")).status).toBe(401)
+  })
+
+  it("lets only the listed roles through requireRole", async () => {
+    signIn({ role: "user" })
+    expect((await request("/admin")).status).toBe(403)
+
+    signIn({ role: "admin" })
+    expect((await request("/admin")).status).toBe(200)
+  })
+
+  it("treats an unknown role as user", async () => {
+    signIn({ role: "superuser", permissions: [] })
+
+    expect((await request("/admin")).status).toBe(403)
+  })
+
+  it("grants permissions stored on the user", async () => {
+    signIn({ role: "user", permissions: ["reports:read"] })
+
+    expect((await request("/reports")).status).toBe(200)
+  })
+
+  it("grants every permission to admins", async () => {
+    signIn({ role: "admin" })
+
+    expect((await request("/reports")).status).toBe(200)
+  })
+
+  it("names the missing permission", async () => {
+    signIn({ role: "user", permissions: ["reports:write"] })
+
+    const res = await request("/reports")
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({
+      detail: 'Missing permission "reports:read"',
+    })
+  })
+})
+
+describe("organization membership", () => {
+  const acme = { id: "org_1", name: "Acme", slug: "acme" }
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("uses the session's active organization", async () => {
+    signIn({ activeOrganizationId: "org_1" })
+    findActiveMembership.mockResolvedValue({
+      role: "admin",
+      organization: acme,
+    })
+
+    const res = await request("/org")
+
+    expect(await res.json()).toEqual({ ...acme, role: "admin" })
+    expect(findActiveMembership).toHaveBeenCalledWith("user_1", "org_1")
+  })
+
+  it("uses the organization in the X-Organization-Id header", async () => {
+    signIn({ activeOrganizationId: "org_1" })
+    getMembership.mockResolvedValue({
+      role: "member",
+      organization: { id: "org_2", name: "Globex", slug: "globex" },
+    })
+
+    const res = await request("/org", {
+      headers: { "X-Organization-Id": "org_2" },
+    })
+
+    expect(await res.json()).toMatchObject({ id: "org_2" })
+    expect(getMembership).toHaveBeenCalledWith("user_1", "org_2")
+    expect(findActiveMembership).not.toHaveBeenCalled()
+  })
+
+  it("rejects organizations the user is not a member of", async () => {
+    signIn()
+    getMembership.mockResolvedValue(null)
+
+    const res = await request("/org", {
+      headers: { "X-Organization-Id": "org_2" },
+    })
+
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({ code: "not_org_member" })
+  })
+
+  it("asks users without an organization to create one", async () => {
+    signIn()
+    findActiveMembership.mockResolvedValue(null)
+
+    const res = await request("/org")
+
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({ code: "no_organization" })
+  })
+
+  it("requires the minimum organization role", async () => {
+    signIn()
+    findActiveMembership.mockResolvedValue({
+      role: "member",
+      organization: acme,
+    })
+
+    const res = await request("/org/settings")
+
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({ code: "insufficient_org_role" })
+  })
+})
+
+describe("API key scopes", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("needs the read scope for GET requests", async () => {
+    withKey(["write"])
+    expect((await get("/notes")).status).toBe(403)
+
+    withKey(["read"])
+    expect((await get("/notes")).status).toBe(200)
+  })
+
+  it("needs the write scope for other methods", async () => {
+    withKey(["read"])
+    expect((await get("/notes", "POST")).status).toBe(403)
+
+    withKey(["write"])
+    expect((await get("/notes", "POST")).status).toBe(200)
+  })
+
+  it("needs the admin scope for admin-only roles", async () => {
+    withKey(["read"], { role: "admin" })
+    expect((await get("/admin")).status).toBe(403)
+
+    withKey(["read", "admin"], { role: "admin" })
+    expect((await get("/admin")).status).toBe(200)
+  })
+
+  it("needs the admin scope for permissions granted by the admin role", async () => {
+    withKey(["read"], { role: "admin" })
+    const res = await get("/reports")
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({ code: "insufficient_scope" })
+
+    withKey(["read", "admin"], { role: "admin" })
+    expect((await get("/reports")).status).toBe(200)
+  })
+
+  it("accepts permissions stored on the user without the admin scope", async () => {
+    withKey(["read"], { permissions: ["reports:read"] })
+    expect((await get("/reports")).status).toBe(200)
+  })
+})
+
+describe("Authorization header", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("does not fall back to the session for non-Bearer schemes", async () => {
+    getSession.mockResolvedValue({ user: { id: "user_1", role: "user" } })
+
+    const res = await request("/notes", {
+      method: "POST",
+      headers: { Authorization: "Basic dXNlcjpwYXNz" },
+    })
+
+    expect(res.status).toBe(401)
+    expect(await res.json()).toMatchObject({ code: "invalid_authorization" })
+    expect(getSession).not.toHaveBeenCalled()
+  })
+
+  it("does not fall back to the session for an empty Bearer token", async () => {
+    getSession.mockResolvedValue({ user: { id: "user_1", role: "user" } })
+
+    const res = await request("/notes", {
+      headers: { Authorization: "Bearer " },
+    })
+
+    expect(res.status).toBe(401)
+    expect(getSession).not.toHaveBeenCalled()
+  })
+
+  it("uses the session when there is no Authorization header", async () => {
+    getSession.mockResolvedValue({ user: { id: "user_1", role: "user" } })
+
+    expect((await request("/notes")).status).toBe(200)
+  })
+})
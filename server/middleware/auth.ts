@@ -1,5 +1,18 @@
+import { ApiKeyScope, hasPermission, isRole, Role } from "@/shared/auth"
+import { isOrgRole, ORGANIZATION_HEADER, OrgRole } from "@/shared/organizations"
 import { getSession } from "@auth/express"
 import { NextFunction, Request, Response } from "express"
+import type { Session } from "next-auth"
+import { authenticateApiKey, bearerToken } from "../lib/api-keys"
+import { hasEntitlement } from "../lib/billing"
+import { ForbiddenError, UnauthorizedError } from "../lib/errors"
+import { logger } from "../lib/logger"
+import {
+  assertOrgRole,
+  findActiveMembership,
+  getMembership,
+} from "../lib/organizations"
+import { setRequestActor } from "../lib/request-context"
 import { authConfig } from "../routes/auth"
 
 export interface AuthenticatedRequest extends Request {
@@ -8,36 +21,222 @@ export interface AuthenticatedRequest extends Request {
     name?: string | null
     email?: string | null
     image?: string | null
+    role: Role
+    permissions: string[]
+    // Organization selected in the session (not set for API keys)
+    activeOrganizationId?: string | null
+  }
+  // Set by requireOrgMember()
+  org?: {
+    id: string
+    name: string
+    slug: string
+    // The user's role in the organization
+    role: OrgRole
+  }
+  // Set when the request was authenticated with an API key
+  apiKey?: {
+    id: string
+    scopes: ApiKeyScope[]
+  }
+}
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"]
+
+// API keys need "read" for GET/HEAD/OPTIONS requests and "write" for the rest
+function requiredScope(req: Request): ApiKeyScope {
+  return READ_ONLY_METHODS.includes(req.method) ? "read" : "write"
+}
+
+function missingScope(scope: ApiKeyScope) {
+  return new ForbiddenError(`This API key is missing the "${scope}" scope`, {
+    code: "insufficient_scope",
+  })
+}
+
+function toRequestUser(
+  user: NonNullable<Session["user"]>
+): NonNullable<AuthenticatedRequest["user"]> {
+  return {
+    id: user.id!,
+    name: user.name,
+    email: user.email,
+    image: user.image,
+    role: isRole(user.role) ? user.role : "user",
+    permissions: user.permissions ?? [],
+    activeOrganizationId: user.activeOrganizationId ?? null,
   }
 }
 
 export async function requireAuth(
   req: AuthenticatedRequest,
-  res: Response,
+  _res: Response,
   next: NextFunction
 ) {
   try {
+    // Machine clients authenticate with `Authorization: Bearer <api key>`.
+    // Other Authorization headers are refused rather than ignored: they are
+    // exempt from CSRF checks, so they must not fall back to the session.
+    const token = bearerToken(req)
+    if (req.headers.authorization && !token) {
+      throw new UnauthorizedError(
+        'Use "Authorization: Bearer <api key>" or no Authorization header',
+        { code: "invalid_authorization" }
+      )
+    }
+    if (token) {
+      const principal = await authenticateApiKey(token)
+      if (!principal) {
+        throw new UnauthorizedError(
+          "The API key is invalid, expired or revoked",
+          { code: "invalid_api_key" }
+        )
+      }
+
+      const scope = requiredScope(req)
+      if (!principal.apiKey.scopes.includes(scope)) {
+        throw missingScope(scope)
+      }
+
+      req.user = principal.user
+      req.apiKey = principal.apiKey
+      setRequestActor({ userId: req.user.id, apiKeyId: req.apiKey.id })
+      return next()
+    }
+
     const session = await getSession(req, authConfig)
 
     if (!session || !session.user) {
-      return res.status(401).json({
-        error: "Authentication required",
-        message: "Please sign in to access this resource",
-      })
+      throw new UnauthorizedError()
     }
 
     // Inject user details into request object
-    req.user = {
-      id: session.user.id!,
-      name: session.user.name,
-      email: session.user.email,
-      image: session.user.image,
-    }
+    req.user = toRequestUser(session.user)
+    setRequestActor({ userId: req.user.id })
 
     next()
   } catch (error) {
-    console.error("Auth middleware error:", error)
-    return res.status(500).json({ error: "Authentication error" })
+    next(error)
+  }
+}
+
+// Middleware that requires one of the given roles. Use after requireAuth:
+// router.use(requireAuth, requireRole("admin"))
+export function requireRole(...roles: Role[]) {
+  return (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      return next(new UnauthorizedError())
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError())
+    }
+
+    // Admin-only routes also need the key's "admin" scope
+    const adminOnly = roles.every((role) => role === "admin")
+    if (adminOnly && req.apiKey && !req.apiKey.scopes.includes("admin")) {
+      return next(missingScope("admin"))
+    }
+
+    next()
+  }
+}
+
+// Middleware that requires membership of the request's organization with
+// at least `role`, and sets req.org. The organization is the one in the
+// X-Organization-Id header, or else the session's active organization
+// (falling back to the user's first). Use after requireAuth:
+// router.use(requireAuth, requireOrgMember("admin"))
+export function requireOrgMember(role: OrgRole = "member") {
+  return async (
+    req: AuthenticatedRequest,
+    _res: Response,
+    next: NextFunction
+  ) => {
+    if (!req.user) {
+      return next(new UnauthorizedError())
+    }
+
+    try {
+      const requested = req.get(ORGANIZATION_HEADER)
+      const membership = requested
+        ? await getMembership(req.user.id, requested)
+        : await findActiveMembership(req.user.id, req.user.activeOrganizationId)
+
+      if (!membership) {
+        throw requested
+          ? new ForbiddenError("You are not a member of this organization", {
+              code: "not_org_member",
+            })
+          : new ForbiddenError("Create or join an organization first", {
+              code: "no_organization",
+            })
+      }
+      assertOrgRole(membership.role, role)
+
+      const { id, name, slug } = membership.organization
+      req.org = {
+        id,
+        name,
+        slug,
+        role: isOrgRole(membership.role) ? membership.role : "member",
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+// Middleware that requires a permission, granted by the user's role or
+// stored on the user. Use after requireAuth.
+export function requirePermission(permission: string) {
+  return (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      return next(new UnauthorizedError())
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return next(new ForbiddenError(`Missing permission "${permission}"`))
+    }
+
+    // As in requireRole: a permission that comes from the admin role rather
+    // than from the user's own permissions also needs the "admin" scope
+    const grantedByRole = !hasPermission(
+      { permissions: req.user.permissions },
+      permission
+    )
+    if (grantedByRole && req.apiKey && !req.apiKey.scopes.includes("admin")) {
+      return next(missingScope("admin"))
+    }
+
+    next()
+  }
+}
+
+// Middleware that requires the signed-in user to have a paid feature, e.g.
+// router.get("/reports", requireAuth, requireEntitlement("pro"), handler)
+export function requireEntitlement(feature: string) {
+  return async (
+    req: AuthenticatedRequest,
+    _res: Response,
+    next: NextFunction
+  ) => {
+    if (!req.user) {
+      return next(new UnauthorizedError())
+    }
+
+    try {
+      if (!(await hasEntitlement(req.user.id, feature))) {
+        throw new ForbiddenError(`Your plan does not include "${feature}"`, {
+          code: "upgrade_required",
+        })
+      }
+
+      next()
+    } catch (error) {
+      next(error)
+    }
   }
 }
 
@@ -48,20 +247,29 @@ export async function optionalAuth(
   next: NextFunction
 ) {
   try {
+    // Requests with an Authorization header never use the session (see
+    // requireAuth); one without a valid API key stays anonymous
+    if (req.headers.authorization) {
+      const token = bearerToken(req)
+      const principal = token ? await authenticateApiKey(token) : null
+      if (principal?.apiKey.scopes.includes(requiredScope(req))) {
+        req.user = principal.user
+        req.apiKey = principal.apiKey
+        setRequestActor({ userId: req.user.id, apiKeyId: req.apiKey.id })
+      }
+      return next()
+    }
+
     const session = await getSession(req, authConfig)
 
     if (session?.user) {
-      req.user = {
-        id: session.user.id!,
-        name: session.user.name,
-        email: session.user.email,
-        image: session.user.image,
-      }
+      req.user = toRequestUser(session.user)
+      setRequestActor({ userId: req.user.id })
     }
 
     next()
   } catch (error) {
-    console.error("Optional auth middleware error:", error)
+    logger.warn("Optional auth middleware error", { err: error })
     next() // Continue even if auth fails
   }
 }
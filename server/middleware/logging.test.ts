@@ -0,0 +1,79 @@
+import express from "express"
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { logger } from "../lib/logger"
+import { requestContext } from "../lib/request-context"
+import { serve } from "../test/http"
+import { requestLogger } from "./logging"
+
+const request = serve((app) => {
+  app.use(requestContext)
+  app.use(express.json())
+  app.use(requestLogger)
+  app.post("/api/login", (_req, res) => res.json({ ok: true }))
+  app.get("/api/missing", (_req, res) => res.status(404).end())
+  app.get("/page", (_req, res) => res.send("ok"))
+})
+
+describe("requestLogger", () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  function spyOnLog() {
+    const log = vi.spyOn(logger, "log").mockImplementation(() => {})
+    // The line is written when the response finishes
+    const logged = new Promise<unknown[]>((resolve) =>
+      log.mockImplementation((...args) => resolve(args))
+    )
+    return { log, logged }
+  }
+
+  it("logs API requests with the request ID and a redacted body", async () => {
+    const { logged } = spyOnLog()
+
+    const res = await request("/api/login?next=/home", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Request-Id": "r-1" },
+      body: JSON.stringify({ email: "ada@example.com", password: "hunter2" }),
+    })
+
+    expect(res.headers.get("x-request-id")).toBe("r-1")
+    expect(await logged).toEqual([
+      "info",
+      expect.stringMatching(/^POST \/api\/login 200 in \d+ms$/),
+      expect.objectContaining({
+        requestId: "r-1",
+        status: 200,
+        query: { next: "/home" },
+        body: { email: "ada@example.com", password: "[REDACTED]" },
+        headers: undefined,
+      }),
+    ])
+  })
+
+  it("logs client errors as warnings", async () => {
+    const { logged } = spyOnLog()
+
+    await request("/api/missing")
+
+    expect((await logged)[0]).toBe("warn")
+  })
+
+  it("replaces malformed request IDs", async () => {
+    spyOnLog()
+
+    const res = await request("/api/missing", {
+      headers: { "X-Request-Id": "not valid!" },
+    })
+
+    expect(res.headers.get("x-request-id")).toMatch(/^[0-9a-f-]{36}$/)
+  })
+
+  it("skips non-API requests", async () => {
+    const { log } = spyOnLog()
+
+    await request("/page")
+
+    expect(log).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,51 @@
+import { NextFunction, Request, Response } from "express"
+import { isLevelEnabled, logger } from "../lib/logger"
+import { redactFields, redactHeaders } from "../lib/redact"
+import { getRequestId } from "../lib/request-context"
+
+// Health probes are frequent, so successful ones are only logged at debug
+const PROBE_PATHS = ["/api/health", "/api/ready"]
+
+function isEmpty(value: unknown): boolean {
+  return (
+    !value || (typeof value === "object" && Object.keys(value).length === 0)
+  )
+}
+
+// Logs one line per /api request when the response is sent. Query and body
+// are redacted (server/lib/redact.ts); headers are only logged at debug level.
+export function requestLogger(req: Request, res: Response, next: NextFunction) {
+  if (!req.path.startsWith("/api")) return next()
+
+  const start = Date.now()
+  const method = req.method
+  const path = req.path
+  // "finish" fires outside the request's async context
+  const requestId = getRequestId()
+
+  res.on("finish", () => {
+    const durationMs = Date.now() - start
+    const status = res.statusCode
+    const level =
+      status >= 500
+        ? "error"
+        : status >= 400
+        ? "warn"
+        : PROBE_PATHS.includes(path)
+        ? "debug"
+        : "info"
+
+    logger.log(level, `${method} ${path} ${status} in ${durationMs}ms`, {
+      requestId,
+      method,
+      path,
+      status,
+      durationMs,
+      query: isEmpty(req.query) ? undefined : redactFields(req.query),
+      body: isEmpty(req.body) ? undefined : redactFields(req.body),
+      headers: isLevelEnabled("debug") ? redactHeaders(req.headers) : undefined,
+    })
+  })
+
+  next()
+}
@@ -0,0 +1,47 @@
+import { CSRF_HEADER, SECURE_CSRF_COOKIE } from "@/shared/csrf"
+import { describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+
+vi.mock("../lib/db", () => ({ db: {} }))
+
+const { csrfProtection } = await import("./security")
+
+const request = serve((app) => {
+  app.use(csrfProtection())
+  app.post("/api/notes", (_req, res) => res.json({ ok: true }))
+})
+
+describe("csrfProtection", () => {
+  it("rejects unsafe requests without the token", async () => {
+    const res = await request("/api/notes", { method: "POST" })
+    expect(res.status).toBe(403)
+  })
+
+  // Embedded mode (the default) uses the __Host- cookie
+  it("accepts the token echoed from the cookie", async () => {
+    const res = await request("/api/notes", {
+      method: "POST",
+      headers: { Cookie: `${SECURE_CSRF_COOKIE}=abc`, [CSRF_HEADER]: "abc" },
+    })
+    expect(res.status).toBe(200)
+  })
+
+  it("exempts requests with an API key", async () => {
+    const res = await request("/api/notes", {
+      method: "POST",
+      headers: { Authorization: "Bearer sk_test" },
+    })
+    expect(res.status).toBe(200)
+  })
+
+  it.each(["Basic dXNlcjpwYXNz", "Bearer", "Token sk_test"])(
+    "does not exempt Authorization: %s",
+    async (authorization) => {
+      const res = await request("/api/notes", {
+        method: "POST",
+        headers: { Authorization: authorization },
+      })
+      expect(res.status).toBe(403)
+    }
+  )
+})
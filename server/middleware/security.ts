@@ -0,0 +1,231 @@
+import { CSRF_COOKIE, CSRF_HEADER, SECURE_CSRF_COOKIE } from "@/shared/csrf"
+import crypto from "crypto"
+import { NextFunction, Request, Response } from "express"
+import { bearerToken } from "../lib/api-keys"
+import { getEmbedMode, shouldUseSecureCookies } from "../lib/cookie-policy"
+import { ForbiddenError } from "../lib/errors"
+import { getUploadOrigin } from "../lib/storage"
+
+function envList(name: string): string[] {
+  return (process.env[name] ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+// --------------------------------------------------
+// Security headers
+// --------------------------------------------------
+
+type CspDirectives = Record<string, string[]>
+
+// Baseline policy for the Vite-built bundle served by serveStatic(). Google
+// Fonts are loaded by client/index.html; https: images allow OAuth avatars.
+function baseDirectives(): CspDirectives {
+  // Presigned uploads go straight to the storage bucket
+  const uploadOrigin = getUploadOrigin()
+  return {
+    "default-src": ["'self'"],
+    "script-src": ["'self'"],
+    "style-src": ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+    "font-src": ["'self'", "data:", "https://fonts.gstatic.com"],
+    "img-src": ["'self'", "data:", "blob:", "https:"],
+    "connect-src": ["'self'", ...(uploadOrigin ? [uploadOrigin] : [])],
+    "object-src": ["'none'"],
+    "base-uri": ["'self'"],
+    "frame-ancestors": frameAncestors(),
+  }
+}
+
+// Vite's dev server (setupVite) injects inline module scripts (React
+// refresh preamble, error overlay) and talks to its HMR websocket
+function devDirectives(): CspDirectives {
+  return {
+    "script-src": ["'unsafe-inline'", "'unsafe-eval'"],
+    "connect-src": ["ws:", "wss:"],
+  }
+}
+
+// Who may embed the app in an iframe. In embedded mode any site may, unless
+// FRAME_ANCESTORS lists the allowed origins; standalone apps only embed
+// themselves.
+function frameAncestors(): string[] {
+  const configured = envList("FRAME_ANCESTORS")
+  if (configured.length > 0) return configured
+  return getEmbedMode() === "embedded" ? ["*"] : ["'self'"]
+}
+
+// Extra sources from CSP_DIRECTIVES, e.g.
+//   CSP_DIRECTIVES="img-src https://cdn.example.com; connect-src https://api.example.com"
+function configuredDirectives(): CspDirectives {
+  const directives: CspDirectives = {}
+  for (const entry of (process.env.CSP_DIRECTIVES ?? "").split(";")) {
+    const [name, ...sources] = entry.trim().split(/\s+/)
+    if (name) directives[name] = sources
+  }
+  return directives
+}
+
+function mergeDirectives(...sets: CspDirectives[]): CspDirectives {
+  const merged: CspDirectives = {}
+  for (const set of sets) {
+    for (const [name, sources] of Object.entries(set)) {
+      merged[name] = Array.from(new Set([...(merged[name] ?? []), ...sources]))
+    }
+  }
+  return merged
+}
+
+export function buildContentSecurityPolicy(): string {
+  const directives = mergeDirectives(
+    baseDirectives(),
+    process.env.NODE_ENV === "development" ? devDirectives() : {},
+    configuredDirectives()
+  )
+  return Object.entries(directives)
+    .map(([name, sources]) => [name, ...sources].join(" "))
+    .join("; ")
+}
+
+// CSP, HSTS and related headers for every response. Set
+// CSP_REPORT_ONLY=true to try out a policy without enforcing it.
+export function securityHeaders() {
+  const csp = buildContentSecurityPolicy()
+  const cspHeader =
+    process.env.CSP_REPORT_ONLY === "true"
+      ? "Content-Security-Policy-Report-Only"
+      : "Content-Security-Policy"
+  const standalone = getEmbedMode() === "standalone"
+  const hsts = process.env.NODE_ENV === "production"
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    res.setHeader(cspHeader, csp)
+    res.setHeader("X-Content-Type-Options", "nosniff")
+    res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin")
+    // Legacy fallback for frame-ancestors
+    if (standalone) res.setHeader("X-Frame-Options", "SAMEORIGIN")
+    if (hsts && req.secure) {
+      res.setHeader(
+        "Strict-Transport-Security",
+        "max-age=15552000; includeSubDomains"
+      )
+    }
+    next()
+  }
+}
+
+// --------------------------------------------------
+// CORS
+// --------------------------------------------------
+
+// CORS for /api, limited to the origins in CORS_ORIGINS (comma-separated).
+// Same-origin requests don't need it. Credentials (cookies) are allowed, so
+// never list origins you don't control.
+export function cors() {
+  const allowedOrigins = new Set(envList("CORS_ORIGINS"))
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    const origin = req.get("Origin")
+    if (!origin || !allowedOrigins.has(origin)) {
+      if (origin && req.method === "OPTIONS") {
+        return next(new ForbiddenError("Origin not allowed"))
+      }
+      return next()
+    }
+
+    res.vary("Origin")
+    res.setHeader("Access-Control-Allow-Origin", origin)
+    res.setHeader("Access-Control-Allow-Credentials", "true")
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      "X-Request-Id, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After"
+    )
+
+    // Preflight
+    if (req.method === "OPTIONS") {
+      res.setHeader(
+        "Access-Control-Allow-Methods",
+        "GET, HEAD, POST, PUT, PATCH, DELETE"
+      )
+      res.setHeader(
+        "Access-Control-Allow-Headers",
+        `Content-Type, Authorization, X-Request-Id, ${CSRF_HEADER}`
+      )
+      res.setHeader("Access-Control-Max-Age", "600")
+      return res.status(204).end()
+    }
+
+    next()
+  }
+}
+
+// --------------------------------------------------
+// CSRF
+// --------------------------------------------------
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"]
+
+// Paths with their own protection: Auth.js checks its own CSRF token and
+// webhooks are verified by signature
+const CSRF_EXEMPT_PATHS = ["/api/auth/", "/api/webhooks/"]
+
+function readCookie(req: Request, name: string): string | undefined {
+  for (const part of (req.headers.cookie ?? "").split(";")) {
+    const [key, ...value] = part.trim().split("=")
+    if (key === name) return decodeURIComponent(value.join("="))
+  }
+}
+
+function tokensMatch(a: string, b: string): boolean {
+  const bufferA = Buffer.from(a)
+  const bufferB = Buffer.from(b)
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  )
+}
+
+// Double-submit CSRF protection (see shared/csrf.ts). Issues the token
+// cookie on any response, including the HTML page, and requires the
+// X-CSRF-Token header on unsafe /api requests. Requests with an API key
+// (`Authorization: Bearer <key>`) are exempt: requireAuth never falls back
+// to the session cookie for them.
+export function csrfProtection() {
+  const secure = shouldUseSecureCookies()
+  const cookieName = secure ? SECURE_CSRF_COOKIE : CSRF_COOKIE
+  const cookieOptions = {
+    // The page reads it to send it back in the header
+    httpOnly: false,
+    secure,
+    sameSite: getEmbedMode() === "embedded" ? "none" : "lax",
+    path: "/",
+  } as const
+
+  return (req: Request, res: Response, next: NextFunction) => {
+    let token = readCookie(req, cookieName)
+    if (!token) {
+      token = crypto.randomBytes(32).toString("base64url")
+      res.cookie(cookieName, token, cookieOptions)
+    }
+
+    if (
+      SAFE_METHODS.includes(req.method) ||
+      !req.path.startsWith("/api/") ||
+      CSRF_EXEMPT_PATHS.some((path) => req.path.startsWith(path)) ||
+      bearerToken(req)
+    ) {
+      return next()
+    }
+
+    const header = req.get(CSRF_HEADER)
+    if (!header || !tokensMatch(header, token)) {
+      return next(
+        new ForbiddenError("Invalid or missing CSRF token", {
+          code: "csrf_invalid",
+        })
+      )
+    }
+
+    next()
+  }
+}
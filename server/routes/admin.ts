@@ -0,0 +1,179 @@
+import { api } from "@/shared/api"
+import { audit, AuditDiff, diffRecords } from "server/lib/audit"
+import { db } from "server/lib/db"
+import { BadRequestError } from "server/lib/errors"
+import { retryJob } from "server/lib/jobs"
+import { rateLimit } from "server/lib/rate-limit"
+import { createTypedRouter } from "server/lib/typed-router"
+import {
+  AuthenticatedRequest,
+  requireAuth,
+  requireRole,
+} from "server/middleware/auth"
+
+const { router, route } = createTypedRouter<AuthenticatedRequest>("/api/admin")
+
+router.use(
+  requireAuth,
+  requireRole("admin"),
+  // Scripts using admin API keys are limited per key, people per user
+  rateLimit({ name: "admin", keyBy: "apiKey", windowMs: 60 * 1000, limit: 120 })
+)
+
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  image: true,
+  role: true,
+  permissions: true,
+  createdAt: true,
+} as const
+
+// List users, newest first. Supports ?q= (name/email search), ?page=, ?pageSize=
+route(api.admin.listUsers, async (req) => {
+  const { page, pageSize, q } = req.query
+
+  const where = q
+    ? {
+        OR: [
+          { email: { contains: q, mode: "insensitive" as const } },
+          { name: { contains: q, mode: "insensitive" as const } },
+        ],
+      }
+    : {}
+
+  const [users, total] = await Promise.all([
+    db.user.findMany({
+      where,
+      select: userSelect,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.user.count({ where }),
+  ])
+
+  return { users, total, page, pageSize }
+})
+
+// Change a user's role and/or extra permissions
+route(api.admin.updateUser, async (req) => {
+  const { role, permissions } = req.body
+
+  // Prevent admins from locking themselves out
+  if (req.params.id === req.user!.id && role !== undefined) {
+    throw new BadRequestError("You cannot change your own role")
+  }
+
+  const before = await db.user.findUnique({
+    where: { id: req.params.id },
+    select: userSelect,
+  })
+  // Responds 404 when the user doesn't exist (Prisma P2025)
+  const user = await db.user.update({
+    where: { id: req.params.id },
+    data: { role, permissions },
+    select: userSelect,
+  })
+
+  await audit("user.access_updated", {
+    model: "User",
+    recordId: user.id,
+    diff: diffRecords(before, {
+      role: user.role,
+      permissions: user.permissions,
+    }),
+  })
+  return user
+})
+
+// List background jobs, latest runAt first. Supports ?status=, ?name=,
+// ?page=, ?pageSize=
+route(api.admin.listJobs, async (req) => {
+  const { page, pageSize, status, name } = req.query
+  const where = { status, name }
+
+  const [jobs, total] = await Promise.all([
+    db.job.findMany({
+      where,
+      orderBy: { runAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.job.count({ where }),
+  ])
+
+  return { jobs, total, page, pageSize }
+})
+
+route(api.admin.retryJob, async (req) => {
+  return retryJob(req.params.id)
+})
+
+// Scheduled task runs, newest first. Supports ?task=, ?status=, ?page=,
+// ?pageSize=
+route(api.admin.listCronRuns, async (req) => {
+  const { page, pageSize, task, status } = req.query
+  const where = { task, status }
+
+  const [runs, total] = await Promise.all([
+    db.cronRun.findMany({
+      where,
+      orderBy: { startedAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.cronRun.count({ where }),
+  ])
+
+  return { runs, total, page, pageSize }
+})
+
+// Audit log, newest first. Supports ?action= (prefix), ?actorId=, ?model=,
+// ?recordId=, ?requestId=, ?from=, ?to=, ?page=, ?pageSize=
+route(api.admin.listAuditLogs, async (req) => {
+  const {
+    page,
+    pageSize,
+    action,
+    actorId,
+    model,
+    recordId,
+    requestId,
+    from,
+    to,
+  } = req.query
+  const where = {
+    action: action ? { startsWith: action } : undefined,
+    actorId,
+    model,
+    recordId,
+    requestId,
+    createdAt: from || to ? { gte: from, lte: to } : undefined,
+  }
+
+  const [entries, total] = await Promise.all([
+    db.auditLog.findMany({
+      where,
+      include: { actor: { select: { id: true, name: true, email: true } } },
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.auditLog.count({ where }),
+  ])
+
+  return {
+    // Only written by audit() and auditWrite()
+    entries: entries.map((entry) => ({
+      ...entry,
+      diff: entry.diff as AuditDiff | null,
+    })),
+    total,
+    page,
+    pageSize,
+  }
+})
+
+export default router
@@ -0,0 +1,80 @@
+import { api } from "@/shared/api"
+import { createApiKey } from "server/lib/api-keys"
+import { audit } from "server/lib/audit"
+import { db } from "server/lib/db"
+import { ForbiddenError, NotFoundError } from "server/lib/errors"
+import { rateLimit } from "server/lib/rate-limit"
+import { createTypedRouter } from "server/lib/typed-router"
+import { AuthenticatedRequest, requireAuth } from "server/middleware/auth"
+
+const { router, route } =
+  createTypedRouter<AuthenticatedRequest>("/api/api-keys")
+
+router.use(
+  requireAuth,
+  rateLimit({ name: "api-keys", keyBy: "user", windowMs: 60 * 1000, limit: 30 })
+)
+
+// Keys can only be managed from a browser session, not with another key
+router.use((req: AuthenticatedRequest, _res, next) => {
+  if (req.apiKey) {
+    return next(
+      new ForbiddenError("API keys cannot be managed with an API key")
+    )
+  }
+  next()
+})
+
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  revokedAt: true,
+  createdAt: true,
+} as const
+
+route(api.apiKeys.list, async (req) => {
+  return db.apiKey.findMany({
+    where: { userId: req.user!.id },
+    select: apiKeySelect,
+    orderBy: { createdAt: "desc" },
+  })
+})
+
+// The plaintext key is returned once and cannot be retrieved again
+route(api.apiKeys.create, async (req) => {
+  const { name, scopes, expiresInDays } = req.body
+
+  const { key, apiKey } = await createApiKey(req.user!.id, {
+    name,
+    scopes,
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+  })
+
+  await audit("api_key.created", {
+    model: "ApiKey",
+    recordId: apiKey.id,
+    metadata: { name, scopes, expiresAt: apiKey.expiresAt },
+  })
+
+  const { hashedKey: _hashedKey, userId: _userId, ...visible } = apiKey
+  return { ...visible, key }
+})
+
+route(api.apiKeys.revoke, async (req) => {
+  const { count } = await db.apiKey.updateMany({
+    where: { id: req.params.id, userId: req.user!.id, revokedAt: null },
+    data: { revokedAt: new Date() },
+  })
+  if (count === 0) {
+    throw new NotFoundError("API key not found")
+  }
+  await audit("api_key.revoked", { model: "ApiKey", recordId: req.params.id })
+})
+
+export default router
@@ -2,50 +2,26 @@ import { ExpressAuth } from "@auth/express"
 import { PrismaAdapter } from "@auth/prisma-adapter"
 import { Router } from "express"
 import { NextAuthConfig } from "next-auth"
+import { audit } from "server/lib/audit"
+import { buildAuthProviders } from "server/lib/auth-providers"
+import {
+  buildAuthCookies,
+  getAppUrl,
+  shouldUseSecureCookies,
+} from "server/lib/cookie-policy"
 import { db } from "server/lib/db"
+import { findActiveMembership, getMembership } from "server/lib/organizations"
+import { rateLimit } from "server/lib/rate-limit"
+import { getUserAccess } from "server/lib/roles"
+
+// How often the role/permissions and active organization stored in the JWT
+// are re-read from the database, so changes apply without signing out
+const ACCESS_REFRESH_MS = 5 * 60 * 1000
+
+const appUrl = getAppUrl()
 
 export const authConfig: NextAuthConfig = {
-  providers: [
-    {
-      id: "grail",
-      name: "Grail Auth",
-      type: "oidc",
-      clientId: process.env.AUTH_CLIENT_ID,
-      clientSecret: process.env.AUTH_CLIENT_SECRET,
-      issuer:
-        process.env.OIDC_ISSUER_URL ||
-        "https://staging.auth.grail.computer/oidc",
-      wellKnown: process.env.OIDC_ISSUER_URL
-        ? `${process.env.OIDC_ISSUER_URL}/.well-known/openid-configuration`
-        : "https://staging.auth.grail.computer/oidc/.well-known/openid-configuration",
-      authorization: {
-        params: {
-          scope: "openid email profile",
-          response_type: "code",
-        },
-      },
-      checks: ["state"],
-      client: {
-        token_endpoint_auth_method: "client_secret_basic",
-      },
-      profile(profile: any) {
-        return {
-          id: profile.sub || profile.id,
-          name: profile.name,
-          email: profile.email,
-          image:
-            profile.picture ||
-            profile.profile_image_url ||
-            profile.profileImageUrl,
-          emailVerified: profile.email_verified ? new Date() : null,
-        }
-      },
-      // Custom icon for the Grail provider
-      style: {
-        logo: "https://grail.computer/assets/icon.svg", // Path to your custom icon (can be a URL or relative path)
-      },
-    },
-  ],
+  providers: buildAuthProviders(),
   adapter: PrismaAdapter(db),
   session: { strategy: "jwt" },
   // register custom login page here
@@ -53,14 +29,24 @@ export const authConfig: NextAuthConfig = {
   //   signIn: "/login",
   // },
   secret: process.env.AUTH_SECRET,
-  redirectProxyUrl: process.env.NEXTAUTH_URL + "/api/auth",
+  redirectProxyUrl: appUrl
+    ? new URL("/api/auth", appUrl).toString()
+    : undefined,
   trustHost: true,
   callbacks: {
     authorized({ auth, request }) {
-      // Add custom authorization logic here if needed
-      return !!auth?.user
+      if (!auth?.user) return false
+      // Admin API requires the admin role (also enforced by requireRole)
+      if (new URL(request.url).pathname.startsWith("/api/admin")) {
+        return auth.user.role === "admin"
+      }
+      return true
     },
-    jwt({ token, account, profile }) {
+    async jwt({ token, account, profile, user, trigger, session }) {
+      // On sign-in `user` is the database user created by the adapter
+      if (user?.id) {
+        token.userId = user.id
+      }
       if (account && profile) {
         token.accessToken = account.access_token
         token.refreshToken = account.refresh_token
@@ -70,10 +56,52 @@ export const authConfig: NextAuthConfig = {
           token.oidcId = oidcId
         }
       }
+
+      const checkedAt =
+        typeof token.accessCheckedAt === "number" ? token.accessCheckedAt : 0
+      if (
+        typeof token.userId === "string" &&
+        (user || Date.now() - checkedAt > ACCESS_REFRESH_MS)
+      ) {
+        const access = await getUserAccess(token.userId)
+        if (access) {
+          token.role = access.role
+          token.permissions = access.permissions
+        }
+        const membership = await findActiveMembership(
+          token.userId,
+          token.activeOrganizationId as string | null | undefined
+        )
+        token.activeOrganizationId = membership?.organizationId ?? null
+        token.accessCheckedAt = Date.now()
+      }
+
+      // Switching organizations: the client posts
+      // { data: { activeOrganizationId } } to /api/auth/session
+      if (
+        trigger === "update" &&
+        typeof token.userId === "string" &&
+        typeof session?.activeOrganizationId === "string" &&
+        (await getMembership(token.userId, session.activeOrganizationId))
+      ) {
+        token.activeOrganizationId = session.activeOrganizationId
+      }
       return token
     },
     async session({ session, token }) {
-      if (token && token.sub) {
+      if (typeof token?.role === "string") {
+        session.user.role = token.role
+      }
+      if (Array.isArray(token?.permissions)) {
+        session.user.permissions = token.permissions
+      }
+      if (typeof token?.activeOrganizationId === "string") {
+        session.user.activeOrganizationId = token.activeOrganizationId
+      }
+
+      if (typeof token?.userId === "string") {
+        session.user.id = token.userId
+      } else if (token && token.sub) {
         // Look up the user by their OIDC ID to get the Prisma-generated ID
         const user = await db.user.findFirst({
           where: {
@@ -116,65 +144,49 @@ export const authConfig: NextAuthConfig = {
       return authUrl
     },
   },
-  // Configure cookies for iframe compatibility
-  cookies: {
-    sessionToken: {
-      name: `next-auth.session-token`,
-      options: {
-        httpOnly: true,
-        sameSite: "none", // Allow cross-site requests in iframes
-        path: "/",
-        secure: true, // Required when sameSite is "none"
-      },
+  events: {
+    async signIn({ user, account, isNewUser }) {
+      await audit("auth.sign_in", {
+        actorId: user.id,
+        model: "User",
+        recordId: user.id,
+        metadata: { provider: account?.provider, isNewUser: !!isNewUser },
+      })
     },
-    callbackUrl: {
-      name: `next-auth.callback-url`,
-      options: {
-        sameSite: "none",
-        path: "/",
-        secure: true,
-      },
-    },
-    csrfToken: {
-      name: `next-auth.csrf-token`,
-      options: {
-        httpOnly: true,
-        sameSite: "none",
-        path: "/",
-        secure: true,
-      },
-    },
-    pkceCodeVerifier: {
-      name: `next-auth.pkce.code_verifier`,
-      options: {
-        httpOnly: true,
-        sameSite: "none",
-        path: "/",
-        secure: true,
-      },
-    },
-    state: {
-      name: `next-auth.state`,
-      options: {
-        httpOnly: true,
-        sameSite: "none",
-        path: "/",
-        secure: true,
-      },
+    async signOut(message) {
+      const userId =
+        "token" in message
+          ? (await message.token)?.userId
+          : (await message.session)?.userId
+      if (typeof userId !== "string") return
+      await audit("auth.sign_out", {
+        actorId: userId,
+        model: "User",
+        recordId: userId,
+      })
     },
   },
+  // Cookie names and SameSite/Secure flags depend on EMBED_MODE
+  useSecureCookies: shouldUseSecureCookies(),
+  cookies: buildAuthCookies(),
 }
 
 const router = Router()
 router.use((req, res, next) => {
-  if (process.env.NODE_ENV !== "production") {
+  if (process.env.NODE_ENV !== "production" && appUrl) {
     // prevent issues due to development environment proxy header rewrites
-    req.headers["host"] = process.env.NEXTAUTH_URL?.slice(8)
-    req.headers["x-forwarded-proto"] = "https"
+    req.headers["host"] = appUrl.host
+    req.headers["x-forwarded-proto"] = appUrl.protocol.replace(":", "")
   }
   next()
 })
 
+// Throttle sign-in attempts and magic-link emails per IP
+router.post(
+  ["/signin/*", "/callback/*"],
+  rateLimit({ name: "auth", windowMs: 15 * 60 * 1000, limit: 20 })
+)
+
 router.use(ExpressAuth(authConfig))
 
 export default router
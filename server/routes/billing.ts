@@ -0,0 +1,85 @@
+import { api } from "@/shared/api"
+import {
+  getBillingStatus,
+  getOrCreateStripeCustomer,
+  getPriceIdForPlan,
+  hasActiveSubscription,
+} from "server/lib/billing"
+import { db } from "server/lib/db"
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "server/lib/errors"
+import { rateLimit } from "server/lib/rate-limit"
+import { getStripe } from "server/lib/stripe"
+import { createTypedRouter } from "server/lib/typed-router"
+import { appUrl } from "server/lib/utils"
+import { AuthenticatedRequest, requireAuth } from "server/middleware/auth"
+
+const { router, route } =
+  createTypedRouter<AuthenticatedRequest>("/api/billing")
+
+// Each checkout/portal call creates a Stripe session
+router.use(
+  requireAuth,
+  rateLimit({ name: "billing", keyBy: "user", windowMs: 60 * 1000, limit: 20 })
+)
+
+route(api.billing.status, async (req) => {
+  return getBillingStatus(req.user!.id)
+})
+
+// Start a Stripe Checkout session for a plan (defaults to "pro")
+route(api.billing.checkout, async (req) => {
+  const { plan } = req.body
+  const priceId = await getPriceIdForPlan(plan)
+  if (!priceId) {
+    throw new BadRequestError(`Unknown plan "${plan}"`)
+  }
+
+  const user = req.user!
+  // Plan changes go through the billing portal; a second checkout would
+  // start a second subscription and bill twice
+  if (await hasActiveSubscription(user.id)) {
+    throw new ConflictError(
+      "You already have an active subscription. Manage it from the billing portal.",
+      { code: "already_subscribed" }
+    )
+  }
+
+  const customer = await getOrCreateStripeCustomer(user)
+  const baseUrl = appUrl(req)
+
+  const session = await getStripe().checkout.sessions.create({
+    mode: "subscription",
+    customer,
+    client_reference_id: user.id,
+    line_items: [{ price: priceId, quantity: 1 }],
+    subscription_data: { metadata: { userId: user.id } },
+    allow_promotion_codes: true,
+    success_url: `${baseUrl}/pricing?checkout=success`,
+    cancel_url: `${baseUrl}/pricing?checkout=canceled`,
+  })
+
+  return { url: session.url }
+})
+
+// Open the Stripe Customer Portal to manage or cancel a subscription
+route(api.billing.portal, async (req) => {
+  const customer = await db.customer.findUnique({
+    where: { userId: req.user!.id },
+  })
+  if (!customer) {
+    throw new NotFoundError("No billing account found")
+  }
+
+  const session = await getStripe().billingPortal.sessions.create({
+    customer: customer.stripeCustomerId,
+    return_url: `${appUrl(req)}/pricing`,
+  })
+
+  return { url: session.url }
+})
+
+export default router
@@ -0,0 +1,120 @@
+import { Router } from "express"
+import { NotFoundError } from "server/lib/errors"
+import { getMailbox, StoredMail } from "server/lib/mail"
+import { asyncHandler } from "server/lib/utils"
+
+// Development helpers, only mounted when NODE_ENV=development (see
+// server/backend.ts)
+const router = Router()
+
+function mailbox() {
+  const current = getMailbox()
+  if (!current) {
+    throw new NotFoundError(
+      "The mailbox only shows emails sent with the file transport"
+    )
+  }
+  return current
+}
+
+function escapeHtml(value: string) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
+
+function page(title: string, body: string) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 24px; color: #171717 }
+  table { border-collapse: collapse; width: 100% }
+  th, td { text-align: left; padding: 6px 12px; border-bottom: 1px solid #e5e5e5 }
+  dt { font-weight: 600; float: left; width: 80px }
+  iframe { width: 100%; height: 70vh; border: 1px solid #e5e5e5 }
+  pre { white-space: pre-wrap; background: #f5f5f5; padding: 12px }
+</style>
+</head>
+<body>${body}</body>
+</html>`
+}
+
+function messageRow(message: StoredMail) {
+  return `<tr>
+  <td>${escapeHtml(new Date(message.sentAt).toLocaleString())}</td>
+  <td>${escapeHtml(message.to.join(", "))}</td>
+  <td><a href="mailbox/${message.id}">${escapeHtml(message.subject)}</a></td>
+</tr>`
+}
+
+// Emails written by the file mail transport. JSON for tests and scripts
+// (Accept: application/json), a list page for browsers.
+router.get(
+  "/mailbox",
+  asyncHandler(async (req, res) => {
+    const messages = await mailbox().list()
+    res.format({
+      json: () => res.json(messages),
+      html: () =>
+        res.send(
+          page(
+            "Mailbox",
+            `<h1>Mailbox</h1>` +
+              (messages.length === 0
+                ? "<p>No emails yet.</p>"
+                : `<table>
+<tr><th>Sent</th><th>To</th><th>Subject</th></tr>
+${messages.map(messageRow).join("\n")}
+</table>`)
+          )
+        ),
+    })
+  })
+)
+
+router.get(
+  "/mailbox/:id",
+  asyncHandler(async (req, res) => {
+    const message = await mailbox().get(req.params.id)
+    if (!message) {
+      throw new NotFoundError("Email not found")
+    }
+    res.format({
+      json: () => res.json(message),
+      html: () =>
+        res.send(
+          page(
+            message.subject,
+            `<p><a href="../mailbox">&larr; Mailbox</a></p>
+<dl>
+  <dt>From</dt><dd>${escapeHtml(message.from)}</dd>
+  <dt>To</dt><dd>${escapeHtml(message.to.join(", "))}</dd>
+  <dt>Subject</dt><dd>${escapeHtml(message.subject)}</dd>
+  <dt>Sent</dt><dd>${escapeHtml(message.sentAt)}</dd>
+</dl>
+<iframe src="${message.id}/html" title="HTML part"></iframe>
+<h2>Text</h2>
+<pre>${escapeHtml(message.text)}</pre>`
+          )
+        ),
+    })
+  })
+)
+
+router.get(
+  "/mailbox/:id/html",
+  asyncHandler(async (req, res) => {
+    const message = await mailbox().get(req.params.id)
+    if (!message) {
+      throw new NotFoundError("Email not found")
+    }
+    res.type("html").send(message.html)
+  })
+)
+
+export default router
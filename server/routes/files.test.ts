@@ -0,0 +1,116 @@
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  describe,
+  expect,
+  it,
+  vi,
+} from "vitest"
+import { serve } from "../test/http"
+
+const { db } = vi.hoisted(() => ({
+  db: { file: { findUnique: vi.fn() } },
+}))
+vi.mock("server/lib/db", () => ({ db }))
+vi.mock("server/lib/rate-limit", () => ({
+  rateLimit: () => (_req: unknown, _res: unknown, next: () => void) => next(),
+}))
+vi.mock("server/middleware/auth", () => ({
+  requireAuth: (req: any, _res: unknown, next: () => void) => {
+    req.user = { id: "user_1" }
+    next()
+  },
+}))
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"))
+vi.stubEnv("STORAGE_DRIVER", "local")
+vi.stubEnv("STORAGE_LOCAL_DIR", root)
+
+const { closeStorage, getStorage } = await import("server/lib/storage")
+const { default: filesRouter } = await import("./files")
+
+const request = serve((app) => app.use("/api/files", filesRouter))
+
+const key = "uploads/user_1/file"
+let uploadUrl: string
+
+function pendingFile(overrides: object = {}) {
+  return {
+    id: "file_1",
+    key,
+    userId: "user_1",
+    status: "pending",
+    ...overrides,
+  }
+}
+
+function upload(body = "hello") {
+  return request(uploadUrl, {
+    method: "PUT",
+    headers: { "Content-Type": "text/plain" },
+    body,
+  })
+}
+
+describe("PUT /api/files/local-upload", () => {
+  beforeAll(async () => {
+    const presigned = await getStorage().presignUpload(key, {
+      contentType: "text/plain",
+      size: 5,
+      expiresInSeconds: 60,
+    })
+    uploadUrl = presigned.url
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  afterAll(async () => {
+    closeStorage()
+    vi.unstubAllEnvs()
+    await fs.rm(root, { recursive: true, force: true })
+  })
+
+  it("stores the upload of a pending file", async () => {
+    db.file.findUnique.mockResolvedValue(pendingFile())
+
+    const res = await upload()
+
+    expect(res.status).toBe(200)
+    expect(await fs.readFile(path.join(root, key), "utf8")).toBe("hello")
+  })
+
+  it("rejects the token once the file is completed", async () => {
+    db.file.findUnique.mockResolvedValue(pendingFile({ status: "ready" }))
+
+    const res = await upload("other")
+
+    expect(res.status).toBe(409)
+    expect(await fs.readFile(path.join(root, key), "utf8")).toBe("hello")
+  })
+
+  it("rejects the token once the file is deleted", async () => {
+    db.file.findUnique.mockResolvedValue(null)
+    expect((await upload()).status).toBe(403)
+  })
+
+  it("rejects uploads to another user's file", async () => {
+    db.file.findUnique.mockResolvedValue(pendingFile({ userId: "user_2" }))
+    expect((await upload()).status).toBe(403)
+  })
+
+  it("rejects a tampered token", async () => {
+    const res = await request(uploadUrl.replace(/token=./, "token=x"), {
+      method: "PUT",
+      headers: { "Content-Type": "text/plain" },
+      body: "hello",
+    })
+    expect(res.status).toBe(403)
+    expect(db.file.findUnique).not.toHaveBeenCalled()
+  })
+})
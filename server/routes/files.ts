@@ -0,0 +1,337 @@
+import { api } from "@/shared/api"
+import { imageQuerySchema } from "@/shared/schemas"
+import type { File } from "@prisma/client"
+import busboy from "busboy"
+import crypto from "crypto"
+import { deleteFileObjects } from "server/jobs/files"
+import { db } from "server/lib/db"
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+  PayloadTooLargeError,
+} from "server/lib/errors"
+import {
+  getImageVariant,
+  isTransformableImage,
+  negotiateFormat,
+  normalizeVariant,
+  OUTPUT_CONTENT_TYPES,
+} from "server/lib/images"
+import { enqueue } from "server/lib/jobs"
+import { rateLimit } from "server/lib/rate-limit"
+import { getMaxUploadBytes, getStorage, LocalDriver } from "server/lib/storage"
+import { createTypedRouter } from "server/lib/typed-router"
+import { asyncHandler } from "server/lib/utils"
+import { validate, ValidatedRequest } from "server/lib/validate"
+import { AuthenticatedRequest, requireAuth } from "server/middleware/auth"
+import { pipeline } from "stream/promises"
+
+const { router, route } = createTypedRouter<AuthenticatedRequest>("/api/files")
+
+router.use(
+  requireAuth,
+  // Downloads and image variants only count against the global API limit
+  rateLimit({
+    name: "files",
+    keyBy: "user",
+    windowMs: 60 * 1000,
+    limit: 60,
+    skip: (req) => req.method === "GET",
+  })
+)
+
+// How long a presigned upload URL stays valid
+const UPLOAD_URL_TTL_SECONDS = 15 * 60
+
+// Served inline; anything else (HTML, SVG, scripts) is downloaded so it
+// can't run on this origin
+const INLINE_TYPES =
+  /^(image\/(?!svg)|video\/|audio\/|text\/plain$|application\/pdf$)/
+
+function objectKey(userId: string) {
+  return `uploads/${userId}/${crypto.randomUUID()}`
+}
+
+function toFileResponse(file: File) {
+  const { id, name, contentType, size, status, createdAt } = file
+  return {
+    id,
+    name,
+    contentType,
+    size,
+    status,
+    url: `/api/files/${id}/content`,
+    createdAt,
+  }
+}
+
+async function findOwnFile(id: string, userId: string) {
+  const file = await db.file.findFirst({ where: { id, userId } })
+  if (!file) {
+    throw new NotFoundError("File not found")
+  }
+  return file
+}
+
+function contentDisposition(file: File, download: boolean) {
+  const type =
+    !download && INLINE_TYPES.test(file.contentType) ? "inline" : "attachment"
+  const fallback = file.name.replace(/[^\x20-\x7e]|["\\]/g, "_")
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(
+    file.name
+  )}`
+}
+
+// Streaming a response fails when the client goes away; that's not an error
+function ignoreClientAbort(err: NodeJS.ErrnoException) {
+  if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err
+}
+
+interface ReceivedFile {
+  key: string
+  name: string
+  contentType: string
+  size: number
+}
+
+// Streams the "file" field of a multipart body to storage without buffering
+// it in memory
+function receiveFile(
+  req: AuthenticatedRequest,
+  maxBytes: number
+): Promise<ReceivedFile> {
+  return new Promise((resolve, reject) => {
+    let parser: busboy.Busboy
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1 } })
+    } catch {
+      return reject(new BadRequestError("Expected a multipart/form-data body"))
+    }
+
+    let received = false
+    const fail = (err: unknown) => {
+      req.unpipe(parser)
+      req.resume()
+      reject(err)
+    }
+
+    parser.on("file", (field, stream, info) => {
+      if (field !== "file" || received) return stream.resume()
+      received = true
+
+      const key = objectKey(req.user!.id)
+      const contentType = info.mimeType || "application/octet-stream"
+      getStorage()
+        .put(key, stream, { contentType, maxBytes })
+        .then(({ size }) =>
+          resolve({ key, name: info.filename || "upload", contentType, size })
+        )
+        .catch(fail)
+    })
+    parser.on("error", fail)
+    parser.on("close", () => {
+      if (!received) fail(new BadRequestError('Expected a "file" field'))
+    })
+
+    req.pipe(parser)
+  })
+}
+
+route(api.files.list, async (req) => {
+  const files = await db.file.findMany({
+    where: { userId: req.user!.id, status: "ready" },
+    orderBy: { createdAt: "desc" },
+  })
+  return files.map(toFileResponse)
+})
+
+route(api.files.upload, async (req) => {
+  const maxBytes = getMaxUploadBytes()
+  // Reject obviously oversized bodies before reading them
+  if (Number(req.get("Content-Length")) > maxBytes + 64 * 1024) {
+    throw new PayloadTooLargeError(`Files may be at most ${maxBytes} bytes`)
+  }
+
+  const { key, name, contentType, size } = await receiveFile(req, maxBytes)
+  const file = await db.file.create({
+    data: {
+      userId: req.user!.id,
+      key,
+      name,
+      contentType,
+      size,
+      status: "ready",
+    },
+  })
+  return toFileResponse(file)
+})
+
+route(api.files.presign, async (req) => {
+  const { name, contentType, size } = req.body
+  const maxBytes = getMaxUploadBytes()
+  if (size > maxBytes) {
+    throw new PayloadTooLargeError(`Files may be at most ${maxBytes} bytes`)
+  }
+
+  const key = objectKey(req.user!.id)
+  const file = await db.file.create({
+    data: { userId: req.user!.id, key, name, contentType, size },
+  })
+  const upload = await getStorage().presignUpload(key, {
+    contentType,
+    size,
+    expiresInSeconds: UPLOAD_URL_TTL_SECONDS,
+  })
+
+  return { file: toFileResponse(file), upload }
+})
+
+// Marks a presigned upload as ready once the object is in storage
+route(api.files.complete, async (req) => {
+  const file = await findOwnFile(req.params.id, req.user!.id)
+  if (file.status === "ready") return toFileResponse(file)
+
+  const storage = getStorage()
+  const object = await storage.head(file.key)
+  if (!object) {
+    throw new ConflictError("The file has not been uploaded yet", {
+      code: "upload_missing",
+    })
+  }
+  if (object.size !== file.size) {
+    await storage.delete(file.key)
+    throw new BadRequestError(
+      `Expected ${file.size} bytes but ${object.size} were uploaded`,
+      { code: "size_mismatch" }
+    )
+  }
+
+  const ready = await db.file.update({
+    where: { id: file.id },
+    data: { status: "ready" },
+  })
+  return toFileResponse(ready)
+})
+
+route(api.files.delete, async (req) => {
+  const file = await findOwnFile(req.params.id, req.user!.id)
+  await db.file.delete({ where: { id: file.id } })
+  await enqueue(deleteFileObjects, { key: file.key })
+})
+
+// Streams the file through this server, so downloads are checked against
+// the session. ?download=1 forces a download instead of inline display.
+router.get(
+  "/:id/content",
+  asyncHandler(async (req: AuthenticatedRequest, res) => {
+    const file = await findOwnFile(req.params.id, req.user!.id)
+    const object =
+      file.status === "ready" ? await getStorage().get(file.key) : null
+    if (!object) {
+      throw new NotFoundError("File not found")
+    }
+
+    res.setHeader("Content-Type", file.contentType)
+    res.setHeader("Content-Length", String(object.size))
+    res.setHeader(
+      "Content-Disposition",
+      contentDisposition(file, req.query.download !== undefined)
+    )
+    res.setHeader("Cache-Control", "private, max-age=3600")
+
+    await pipeline(object.body, res).catch(ignoreClientAbort)
+  })
+)
+
+// Resized and converted image (?w=&h=&fit=&format=&q=, see
+// shared/images.ts). Files never change, so variants are cached for good.
+router.get(
+  "/:id/image",
+  validate({ query: imageQuerySchema }),
+  asyncHandler(
+    async (
+      req: ValidatedRequest<
+        { query: typeof imageQuerySchema },
+        AuthenticatedRequest
+      >,
+      res
+    ) => {
+      const file = await findOwnFile(req.params.id, req.user!.id)
+      if (file.status !== "ready") {
+        throw new NotFoundError("File not found")
+      }
+      if (!isTransformableImage(file.contentType)) {
+        throw new HttpError(415, "Only images can be transformed", {
+          code: "unsupported_image",
+        })
+      }
+
+      const { w, h, fit, format, q } = req.query
+      const variant = normalizeVariant({
+        width: w,
+        height: h,
+        fit,
+        quality: q,
+        format: negotiateFormat(format, req.get("Accept"), file.contentType),
+      })
+      const image = await getImageVariant(file.key, variant)
+      if (!image) {
+        throw new NotFoundError("File not found")
+      }
+
+      if (format === "auto") res.vary("Accept")
+      res.setHeader("Content-Type", OUTPUT_CONTENT_TYPES[variant.format])
+      res.setHeader("Content-Length", String(image.size))
+      res.setHeader("Cache-Control", "private, max-age=31536000, immutable")
+
+      await pipeline(image.body, res).catch(ignoreClientAbort)
+    }
+  )
+)
+
+// Target of presigned URLs from the local storage driver (development).
+// With R2 the browser uploads to the bucket instead.
+router.put(
+  "/local-upload",
+  asyncHandler(async (req: AuthenticatedRequest, res) => {
+    const storage = getStorage()
+    const token = req.query.token
+    const grant =
+      storage instanceof LocalDriver && typeof token === "string"
+        ? storage.verifyUploadToken(token)
+        : null
+    if (!grant) {
+      throw new ForbiddenError("The upload URL is invalid or has expired", {
+        code: "invalid_upload_url",
+      })
+    }
+    if (req.get("Content-Type") !== grant.contentType) {
+      throw new BadRequestError(`Content-Type must be ${grant.contentType}`)
+    }
+
+    // A token is good until its file is completed (or deleted): ready files
+    // are never overwritten
+    const file = await db.file.findUnique({ where: { key: grant.key } })
+    if (!file || file.userId !== req.user!.id) {
+      throw new ForbiddenError("The upload URL is invalid or has expired", {
+        code: "invalid_upload_url",
+      })
+    }
+    if (file.status !== "pending") {
+      throw new ConflictError("The file has already been uploaded", {
+        code: "upload_completed",
+      })
+    }
+
+    await storage.put(grant.key, req, {
+      contentType: grant.contentType,
+      maxBytes: grant.size,
+    })
+    res.status(200).end()
+  })
+)
+
+export default router
@@ -0,0 +1,73 @@
+import { Router } from "express"
+import { db } from "server/lib/db"
+import { logger } from "server/lib/logger"
+import { isShuttingDown } from "server/lib/shutdown"
+import { asyncHandler } from "server/lib/utils"
+
+const router = Router()
+
+// How long /ready waits for the database (which may be waking from sleep)
+const DB_TIMEOUT_MS = parseInt(process.env.READINESS_DB_TIMEOUT_MS || "2000")
+
+// Set APP_VERSION at build time; falls back to Railway's commit SHA
+function buildVersion(): string {
+  return (
+    process.env.APP_VERSION ||
+    process.env.RAILWAY_GIT_COMMIT_SHA?.slice(0, 7) ||
+    process.env.npm_package_version ||
+    "dev"
+  )
+}
+
+async function checkDatabase() {
+  const start = Date.now()
+  let timer: NodeJS.Timeout | undefined
+
+  try {
+    await Promise.race([
+      db.$queryRaw`SELECT 1`,
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Timed out after ${DB_TIMEOUT_MS}ms`)),
+          DB_TIMEOUT_MS
+        )
+      }),
+    ])
+    return { status: "ok", latencyMs: Date.now() - start }
+  } catch (error) {
+    // Connection errors can include the database host, so only log them
+    logger.warn("Readiness check: database unavailable", { err: error })
+    return { status: "unavailable", latencyMs: Date.now() - start }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// Liveness: the process is up and serving requests
+router.get("/health", (_req, res) => {
+  res.set("Cache-Control", "no-store").json({ status: "ok" })
+})
+
+// Readiness: the app can serve traffic. Responds 503 while the database is
+// unreachable or the server is shutting down, so deploys and load balancers
+// wait for it or drain it.
+router.get(
+  "/ready",
+  asyncHandler(async (_req, res) => {
+    const database = await checkDatabase()
+    const shuttingDown = isShuttingDown()
+    const ready = database.status === "ok" && !shuttingDown
+
+    res
+      .status(ready ? 200 : 503)
+      .set("Cache-Control", "no-store")
+      .json({
+        status: ready ? "ok" : shuttingDown ? "shutting_down" : "unavailable",
+        version: buildVersion(),
+        uptime: Math.round(process.uptime()),
+        checks: { database },
+      })
+  })
+)
+
+export default router
@@ -1,13 +1,10 @@
-import { Router } from "express"
-import { asyncHandler } from "server/lib/utils"
+import { api } from "@/shared/api"
+import { createTypedRouter } from "server/lib/typed-router"
 
-const router = Router()
+const { router, route } = createTypedRouter("/api/hello")
 
-router.get(
-  "",
-  asyncHandler(async (_req, res) => {
-    res.json({ message: "Hello, world!" })
-  })
-)
+route(api.hello.get, async () => {
+  return { message: "Hello, world!" }
+})
 
 export default router
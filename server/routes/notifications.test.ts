@@ -0,0 +1,146 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+
+const { db, hub } = vi.hoisted(() => ({
+  db: {
+    notification: {
+      count: vi.fn(),
+      findFirst: vi.fn(),
+      findMany: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+    },
+  },
+  hub: { subscribe: vi.fn() },
+}))
+vi.mock("server/lib/db", () => ({ db }))
+vi.mock("server/lib/notifications", () => ({
+  getNotificationHub: () => hub,
+}))
+vi.mock("server/middleware/auth", () => ({
+  requireAuth: (req: any, _res: unknown, next: () => void) => {
+    req.user = { id: "user_1" }
+    next()
+  },
+}))
+
+const { markShuttingDown } = await import("server/lib/shutdown")
+const { default: notificationsRouter } = await import("./notifications")
+
+const request = serve((app) =>
+  app.use("/api/notifications", notificationsRouter)
+)
+
+function notification(id: string, overrides: object = {}) {
+  return {
+    id,
+    userId: "user_1",
+    type: "welcome",
+    title: "Welcome",
+    body: null,
+    url: null,
+    data: null,
+    readAt: null,
+    createdAt: new Date("2026-10-18T12:00:00Z"),
+    ...overrides,
+  }
+}
+
+async function readUntil(
+  reader: ReadableStreamDefaultReader<Uint8Array>,
+  text: string
+) {
+  const decoder = new TextDecoder()
+  let received = ""
+  while (!received.includes(text)) {
+    const { value, done } = await reader.read()
+    if (done) break
+    received += decoder.decode(value)
+  }
+  return received
+}
+
+describe("notifications routes", () => {
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it("pages the list with a cursor", async () => {
+    db.notification.findMany.mockResolvedValue([
+      notification("n_3"),
+      notification("n_2"),
+      notification("n_1"),
+    ])
+    db.notification.count.mockResolvedValue(3)
+
+    const res = await request("/api/notifications?limit=2&cursor=n_4")
+    const body = await res.json()
+
+    expect(body.notifications.map((n: { id: string }) => n.id)).toEqual([
+      "n_3",
+      "n_2",
+    ])
+    expect(body.notifications[0]).not.toHaveProperty("userId")
+    expect(body).toMatchObject({ unreadCount: 3, nextCursor: "n_2" })
+    expect(db.notification.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { userId: "user_1" },
+        take: 3,
+        cursor: { id: "n_4" },
+        skip: 1,
+      })
+    )
+  })
+
+  it("only marks the user's own notifications as read", async () => {
+    db.notification.findFirst.mockResolvedValue(null)
+
+    const res = await request("/api/notifications/n_1/read", {
+      method: "POST",
+    })
+
+    expect(res.status).toBe(404)
+    expect(db.notification.findFirst).toHaveBeenCalledWith({
+      where: { id: "n_1", userId: "user_1" },
+    })
+    expect(db.notification.update).not.toHaveBeenCalled()
+  })
+
+  it("streams the user's new notifications as events", async () => {
+    const unsubscribe = vi.fn()
+    hub.subscribe.mockReturnValue(unsubscribe)
+
+    const res = await request("/api/notifications/stream")
+    const reader = res.body!.getReader()
+    expect(res.headers.get("content-type")).toBe("text/event-stream")
+    expect(await readUntil(reader, "\n\n")).toBe("retry: 5000\n\n")
+
+    const [userId, subscriber] = hub.subscribe.mock.calls[0]
+    expect(userId).toBe("user_1")
+
+    subscriber.send(notification("n_1"))
+    const event = await readUntil(reader, "\n\n")
+    expect(event).toMatch(/^event: notification\ndata: /)
+    expect(JSON.parse(event.split("data: ")[1])).toMatchObject({ id: "n_1" })
+    expect(event).not.toContain("user_1")
+
+    subscriber.resync()
+    expect(await readUntil(reader, "\n\n")).toBe("event: sync\ndata: {}\n\n")
+
+    await reader.cancel()
+    await vi.waitFor(() => expect(unsubscribe).toHaveBeenCalled())
+  })
+
+  it("ends open streams when the server starts draining", async () => {
+    hub.subscribe.mockReturnValue(() => {})
+
+    const res = await request("/api/notifications/stream")
+    const reader = res.body!.getReader()
+    await readUntil(reader, "\n\n")
+
+    markShuttingDown()
+
+    await readUntil(reader, "never sent")
+    expect((await reader.read()).done).toBe(true)
+  })
+})
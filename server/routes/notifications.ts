@@ -0,0 +1,105 @@
+import { api } from "@/shared/api"
+import { NOTIFICATION_EVENT } from "@/shared/notifications"
+import type { Notification } from "@prisma/client"
+import { db } from "server/lib/db"
+import { NotFoundError } from "server/lib/errors"
+import { getNotificationHub } from "server/lib/notifications"
+import { onDrain } from "server/lib/shutdown"
+import { createTypedRouter } from "server/lib/typed-router"
+import { AuthenticatedRequest, requireAuth } from "server/middleware/auth"
+
+const { router, route } =
+  createTypedRouter<AuthenticatedRequest>("/api/notifications")
+
+router.use(requireAuth)
+
+// Comment line that keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000
+// How long the browser waits before reconnecting a dropped stream
+const RETRY_MS = 5 * 1000
+
+function toNotificationResponse(notification: Notification) {
+  const { userId, ...response } = notification
+  return response
+}
+
+// Server-sent events (NOTIFICATIONS_STREAM_URL in shared/notifications.ts):
+// a "notification" event per new notification, and "sync" when some may
+// have been missed and the list should be reloaded
+router.get("/stream", (req: AuthenticatedRequest, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx-style proxies
+    "X-Accel-Buffering": "no",
+  })
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  const send = (event: string, data: unknown) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+
+  const unsubscribe = getNotificationHub().subscribe(req.user!.id, {
+    send: (notification) =>
+      send(NOTIFICATION_EVENT, toNotificationResponse(notification)),
+    resync: () => send("sync", {}),
+    close: () => res.end(),
+  })
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS)
+  const removeDrainListener = onDrain(() => res.end())
+
+  res.on("close", () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+    removeDrainListener()
+  })
+})
+
+route(api.notifications.list, async (req) => {
+  const userId = req.user!.id
+  const { unread, limit, cursor } = req.query
+  const where = { userId, ...(unread ? { readAt: null } : {}) }
+
+  const [notifications, unreadCount] = await Promise.all([
+    db.notification.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      // One extra to tell whether there is another page
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    }),
+    db.notification.count({ where: { userId, readAt: null } }),
+  ])
+
+  const page = notifications.slice(0, limit)
+  return {
+    notifications: page.map(toNotificationResponse),
+    unreadCount,
+    nextCursor: notifications.length > limit ? page[page.length - 1].id : null,
+  }
+})
+
+route(api.notifications.markRead, async (req) => {
+  const notification = await db.notification.findFirst({
+    where: { id: req.params.id, userId: req.user!.id },
+  })
+  if (!notification) {
+    throw new NotFoundError("Notification not found")
+  }
+  if (notification.readAt) return toNotificationResponse(notification)
+
+  const updated = await db.notification.update({
+    where: { id: notification.id },
+    data: { readAt: new Date() },
+  })
+  return toNotificationResponse(updated)
+})
+
+route(api.notifications.markAllRead, async (req) => {
+  await db.notification.updateMany({
+    where: { userId: req.user!.id, readAt: null },
+    data: { readAt: new Date() },
+  })
+})
+
+export default router
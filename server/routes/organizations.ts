@@ -0,0 +1,226 @@
+import { api } from "@/shared/api"
+import type { Invitation, Organization, User } from "@prisma/client"
+import { invitationEmail } from "server/emails/invitation"
+import { audit } from "server/lib/audit"
+import { db } from "server/lib/db"
+import { NotFoundError } from "server/lib/errors"
+import { sendEmail } from "server/lib/mail"
+import {
+  acceptInvitation,
+  assertCanManageRole,
+  assertKeepsOwner,
+  assertOrgRole,
+  createInvitation,
+  createOrganization,
+  findActiveMembership,
+} from "server/lib/organizations"
+import { rateLimit } from "server/lib/rate-limit"
+import { createTypedRouter } from "server/lib/typed-router"
+import { configuredAppUrl } from "server/lib/utils"
+import {
+  AuthenticatedRequest,
+  requireAuth,
+  requireOrgMember,
+} from "server/middleware/auth"
+
+const { router, route } =
+  createTypedRouter<AuthenticatedRequest>("/api/organizations")
+
+router.use(
+  requireAuth,
+  // Invitations send emails
+  rateLimit({
+    name: "organizations",
+    keyBy: "user",
+    windowMs: 60 * 1000,
+    limit: 30,
+    skip: (req) => req.method === "GET",
+  })
+)
+// Everything under /current acts on the request's organization (req.org)
+router.use("/current", requireOrgMember())
+
+function toOrganizationResponse(organization: Organization, role: string) {
+  const { id, name, slug, createdAt } = organization
+  return { id, name, slug, role, createdAt }
+}
+
+function toMemberResponse(membership: {
+  userId: string
+  role: string
+  createdAt: Date
+  user: Pick<User, "name" | "email" | "image">
+}) {
+  const { userId, role, createdAt, user } = membership
+  return { userId, role, createdAt, ...user }
+}
+
+function toInvitationResponse(invitation: Invitation) {
+  const { id, email, role, expiresAt, createdAt } = invitation
+  return { id, email, role, expiresAt, createdAt }
+}
+
+const memberUserSelect = { name: true, email: true, image: true }
+
+async function findMember(organizationId: string, userId: string) {
+  const membership = await db.membership.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    include: { user: { select: memberUserSelect } },
+  })
+  if (!membership) {
+    throw new NotFoundError("Member not found")
+  }
+  return membership
+}
+
+route(api.organizations.list, async (req) => {
+  const userId = req.user!.id
+  const [memberships, active] = await Promise.all([
+    db.membership.findMany({
+      where: { userId },
+      include: { organization: true },
+      orderBy: { organization: { name: "asc" } },
+    }),
+    findActiveMembership(userId, req.user!.activeOrganizationId),
+  ])
+
+  return {
+    organizations: memberships.map((membership) =>
+      toOrganizationResponse(membership.organization, membership.role)
+    ),
+    activeOrganizationId: active?.organizationId ?? null,
+  }
+})
+
+route(api.organizations.create, async (req) => {
+  const organization = await createOrganization(req.user!.id, req.body)
+  return toOrganizationResponse(organization, "owner")
+})
+
+route(api.organizations.current, async (req) => {
+  const organization = await db.organization.findUniqueOrThrow({
+    where: { id: req.org!.id },
+  })
+  return toOrganizationResponse(organization, req.org!.role)
+})
+
+route(api.organizations.update, async (req) => {
+  assertOrgRole(req.org!.role, "admin")
+  const organization = await db.organization.update({
+    where: { id: req.org!.id },
+    data: { name: req.body.name },
+  })
+  return toOrganizationResponse(organization, req.org!.role)
+})
+
+route(api.organizations.members, async (req) => {
+  const memberships = await db.membership.findMany({
+    where: { organizationId: req.org!.id },
+    include: { user: { select: memberUserSelect } },
+    orderBy: { createdAt: "asc" },
+  })
+  return memberships.map(toMemberResponse)
+})
+
+route(api.organizations.updateMember, async (req) => {
+  const org = req.org!
+  const member = await findMember(org.id, req.params.id)
+  const { role } = req.body
+  if (role === member.role) return toMemberResponse(member)
+
+  // Both the current and the new role must be within the actor's reach
+  assertCanManageRole(org.role, member.role)
+  assertCanManageRole(org.role, role)
+  if (member.role === "owner") {
+    await assertKeepsOwner(org.id, member.userId)
+  }
+
+  const updated = await db.membership.update({
+    where: { id: member.id },
+    data: { role },
+    include: { user: { select: memberUserSelect } },
+  })
+  await audit("organization.member_role_changed", {
+    model: "Membership",
+    recordId: member.id,
+    diff: { role: { from: member.role, to: role } },
+    metadata: { organizationId: org.id, userId: member.userId },
+  })
+  return toMemberResponse(updated)
+})
+
+route(api.organizations.removeMember, async (req) => {
+  const org = req.org!
+  const member = await findMember(org.id, req.params.id)
+
+  // Anyone may leave; removing others takes the right role
+  if (member.userId !== req.user!.id) {
+    assertCanManageRole(org.role, member.role)
+  }
+  if (member.role === "owner") {
+    await assertKeepsOwner(org.id, member.userId)
+  }
+
+  await db.membership.delete({ where: { id: member.id } })
+  await audit("organization.member_removed", {
+    model: "Membership",
+    recordId: member.id,
+    metadata: {
+      organizationId: org.id,
+      userId: member.userId,
+      role: member.role,
+    },
+  })
+})
+
+route(api.organizations.invitations, async (req) => {
+  assertOrgRole(req.org!.role, "admin")
+  const invitations = await db.invitation.findMany({
+    where: {
+      organizationId: req.org!.id,
+      acceptedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { createdAt: "desc" },
+  })
+  return invitations.map(toInvitationResponse)
+})
+
+route(api.organizations.invite, async (req) => {
+  const org = req.org!
+  assertCanManageRole(org.role, req.body.role)
+
+  const { token, invitation } = await createInvitation(
+    org.id,
+    req.user!.id,
+    req.body
+  )
+  await sendEmail(
+    invitationEmail,
+    { to: invitation.email },
+    {
+      organizationName: org.name,
+      inviterName: req.user!.name ?? req.user!.email,
+      url: `${configuredAppUrl()}/invite?token=${encodeURIComponent(token)}`,
+      expiresAt: invitation.expiresAt,
+    }
+  )
+  return toInvitationResponse(invitation)
+})
+
+route(api.organizations.revokeInvitation, async (req) => {
+  assertOrgRole(req.org!.role, "admin")
+  const { count } = await db.invitation.deleteMany({
+    where: { id: req.params.id, organizationId: req.org!.id, acceptedAt: null },
+  })
+  if (count === 0) {
+    throw new NotFoundError("Invitation not found")
+  }
+})
+
+route(api.organizations.acceptInvitation, async (req) => {
+  const membership = await acceptInvitation(req.user!, req.body.token)
+  return toOrganizationResponse(membership.organization, membership.role)
+})
+
+export default router
@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { serve } from "../test/http"
+import { signedPayload, stripeEvent, WEBHOOK_SECRET } from "../test/stripe"
+
+const { processStripeEvent } = vi.hoisted(() => ({
+  processStripeEvent: vi.fn(),
+}))
+vi.mock("server/lib/stripe-events", () => ({ processStripeEvent }))
+
+const { default: webhooksRouter } = await import("./webhooks")
+
+const request = serve((app) => app.use("/webhooks", webhooksRouter))
+
+function postEvent(payload: string, signature?: string) {
+  return request("/webhooks/stripe", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(signature ? { "Stripe-Signature": signature } : {}),
+    },
+    body: payload,
+  })
+}
+
+describe("POST /webhooks/stripe", () => {
+  beforeEach(() => {
+    vi.stubEnv("STRIPE_WEBHOOK_SECRET", WEBHOOK_SECRET)
+    processStripeEvent.mockResolvedValue("processed")
+  })
+
+  afterEach(() => {
+    vi.unstubAllEnvs()
+    vi.clearAllMocks()
+  })
+
+  it("processes an event with a valid signature", async () => {
+    const event = stripeEvent("invoice.payment_succeeded", { id: "in_1" })
+    const { payload, signature } = signedPayload(event)
+
+    const res = await postEvent(payload, signature)
+
+    expect(res.status).toBe(200)
+    expect(await res.json()).toEqual({ received: true, result: "processed" })
+    expect(processStripeEvent).toHaveBeenCalledWith(
+      expect.objectContaining({ id: event.id, type: event.type })
+    )
+  })
+
+  it("rejects a payload signed with another secret", async () => {
+    const event = stripeEvent("invoice.payment_succeeded", { id: "in_1" })
+    const { payload, signature } = signedPayload(event, "whsec_other")
+
+    const res = await postEvent(payload, signature)
+
+    expect(res.status).toBe(400)
+    expect(processStripeEvent).not.toHaveBeenCalled()
+  })
+
+  it("rejects a payload changed after signing", async () => {
+    const event = stripeEvent("invoice.payment_succeeded", { id: "in_1" })
+    const { payload, signature } = signedPayload(event)
+
+    const res = await postEvent(payload.replace("in_1", "in_2"), signature)
+
+    expect(res.status).toBe(400)
+    expect(processStripeEvent).not.toHaveBeenCalled()
+  })
+
+  it("rejects a request without a signature", async () => {
+    const res = await postEvent("{}")
+    expect(res.status).toBe(400)
+  })
+
+  it("answers 500 when the webhook secret is not configured", async () => {
+    vi.stubEnv("STRIPE_WEBHOOK_SECRET", "")
+    const event = stripeEvent("invoice.payment_succeeded", { id: "in_1" })
+    const { payload, signature } = signedPayload(event)
+
+    const res = await postEvent(payload, signature)
+
+    // Stripe retries 5xx responses, but gives up on 4xx
+    expect(res.status).toBe(500)
+    expect(processStripeEvent).not.toHaveBeenCalled()
+  })
+})
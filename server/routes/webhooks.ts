@@ -0,0 +1,43 @@
+import express, { Router } from "express"
+import { BadRequestError } from "server/lib/errors"
+import { logger } from "server/lib/logger"
+import { constructWebhookEvent } from "server/lib/stripe"
+import { processStripeEvent } from "server/lib/stripe-events"
+import { asyncHandler } from "server/lib/utils"
+import Stripe from "stripe"
+
+const router = Router()
+
+// Stripe signs the exact bytes it sends, so this route parses the raw body
+// itself (bodyParsers in server/backend.ts skips /webhooks)
+router.post(
+  "/stripe",
+  express.raw({ type: "*/*" }),
+  asyncHandler(async (req, res) => {
+    // A server misconfiguration, not a bad request: answer 500 so Stripe
+    // keeps retrying until the secret is set
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw new Error("STRIPE_WEBHOOK_SECRET is not set, cannot verify webhook")
+    }
+
+    const signature = req.headers["stripe-signature"]
+    if (typeof signature !== "string" || !Buffer.isBuffer(req.body)) {
+      throw new BadRequestError("Missing Stripe signature")
+    }
+
+    let event: Stripe.Event
+    try {
+      event = constructWebhookEvent(req.body, signature)
+    } catch (error) {
+      logger.warn("Stripe webhook signature verification failed", {
+        err: error,
+      })
+      throw new BadRequestError("Invalid Stripe signature")
+    }
+
+    const result = await processStripeEvent(event)
+    res.json({ received: true, result })
+  })
+)
+
+export default router
@@ -0,0 +1,20 @@
+import express, { Express } from "express"
+import type { AddressInfo } from "net"
+import { afterAll } from "vitest"
+import { errorHandler } from "../lib/errors"
+
+// Serve `mount` on a random port for the current test file and return a
+// fetch bound to it. The server is closed after the file's tests.
+export function serve(mount: (app: Express) => void) {
+  const app = express()
+  mount(app)
+  app.use(errorHandler)
+
+  const server = app.listen(0)
+  afterAll(() => new Promise((resolve) => server.close(resolve)))
+
+  return (path: string, init?: RequestInit) => {
+    const { port } = server.address() as AddressInfo
+    return fetch(`http://127.0.0.1:${port}${path}`, init)
+  }
+}
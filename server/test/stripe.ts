@@ -0,0 +1,56 @@
+import Stripe from "stripe"
+
+export const WEBHOOK_SECRET = "whsec_test_secret"
+
+// A webhook event as Stripe would send it, wrapping `object`
+export function stripeEvent<T extends Stripe.Event.Type>(
+  type: T,
+  object: Record<string, unknown>,
+  id = `evt_${Math.random().toString(36).slice(2)}`
+) {
+  return {
+    id,
+    object: "event",
+    type,
+    created: 1_790_000_000,
+    livemode: false,
+    api_version: "2025-07-30.basil",
+    pending_webhooks: 1,
+    request: { id: null, idempotency_key: null },
+    data: { object },
+  } as unknown as Extract<Stripe.Event, { type: T }>
+}
+
+// Raw body and Stripe-Signature header for `event`, signed with `secret`
+export function signedPayload(event: unknown, secret = WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event)
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  })
+  return { payload, signature }
+}
+
+export function subscriptionFixture(
+  overrides: Partial<Stripe.Subscription> = {}
+): Stripe.Subscription {
+  return {
+    id: "sub_123",
+    object: "subscription",
+    customer: "cus_123",
+    status: "active",
+    cancel_at_period_end: false,
+    metadata: { userId: "user_1" },
+    items: {
+      object: "list",
+      data: [
+        {
+          id: "si_123",
+          current_period_end: 1_792_000_000,
+          price: { id: "price_pro", lookup_key: "pro_monthly" },
+        },
+      ],
+    },
+    ...overrides,
+  } as unknown as Stripe.Subscription
+}
@@ -9,30 +9,25 @@ import {
   ViteDevServer,
 } from "vite"
 import viteConfig from "../vite.config"
+import { logger } from "./lib/logger"
 
 const viteLogger = createLogger()
+const log = logger.child({ source: "vite" })
 
 // Keep track of the current vite server instance
 let currentViteServer: ViteDevServer | null = null
 
-export function log(message: string, source = "express") {
-  const formattedTime = new Date().toLocaleTimeString("en-US", {
-    hour: "numeric",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: true,
-  })
-
-  console.log(`${formattedTime} [${source}] ${message}`)
-}
-
-export async function setupVite(app: Express, server: Server) {
-  // Close existing vite server if one exists
+// Close the Vite dev server (and its HMR websockets), if one is running
+export async function closeVite() {
   if (currentViteServer) {
-    log("Closing existing Vite server", "vite")
+    log.info("Closing existing Vite server")
     await currentViteServer.close()
     currentViteServer = null
   }
+}
+
+export async function setupVite(app: Express, server: Server) {
+  await closeVite()
 
   const serverOptions = {
     middlewareMode: true,
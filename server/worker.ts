@@ -0,0 +1,50 @@
+import { config } from "dotenv"
+import { jobs } from "./jobs"
+import { db } from "./lib/db"
+import { JobWorker } from "./lib/jobs"
+import { logger } from "./lib/logger"
+import { closeMail } from "./lib/mail"
+import { runShutdownHooks, withTimeout } from "./lib/shutdown"
+import { closeStorage } from "./lib/storage"
+
+config({ path: ".env", quiet: true })
+
+// Standalone job worker (`npm run worker`). Run it as its own service and
+// set JOB_WORKER=external on the web service so requests don't share the
+// process with jobs.
+
+// Time running jobs get to finish after SIGTERM
+const SHUTDOWN_TIMEOUT_MS = parseInt(
+  process.env.SHUTDOWN_TIMEOUT_MS || "30000",
+  10
+)
+
+const worker = new JobWorker({ jobs })
+worker.start()
+
+let stopping = false
+
+async function shutdown(signal: string) {
+  stopping = true
+  logger.info(`${signal} received, waiting for running jobs`)
+
+  // Jobs still running after the timeout are picked up again later
+  await runShutdownHooks([() => worker.stop()], SHUTDOWN_TIMEOUT_MS)
+  closeStorage()
+  closeMail()
+  await withTimeout(db.$disconnect(), 5000)
+
+  logger.info("Worker stopped")
+  process.exit(0)
+}
+
+for (const signal of ["SIGTERM", "SIGINT"] as const) {
+  process.on(signal, () => {
+    // A second signal skips waiting
+    if (stopping) process.exit(1)
+    shutdown(signal).catch((err) => {
+      logger.error("Shutdown failed", { err })
+      process.exit(1)
+    })
+  })
+}
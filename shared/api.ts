@@ -0,0 +1,453 @@
+import { z, ZodTypeAny } from "zod"
+import {
+  acceptInvitationSchema,
+  checkoutSchema,
+  createApiKeySchema,
+  createOrganizationSchema,
+  idParamsSchema,
+  inviteMemberSchema,
+  listAuditLogsQuerySchema,
+  listCronRunsQuerySchema,
+  listJobsQuerySchema,
+  listNotificationsQuerySchema,
+  listUsersQuerySchema,
+  presignUploadSchema,
+  updateMemberSchema,
+  updateOrganizationSchema,
+  updateUserSchema,
+} from "./schemas"
+
+// Typed API contract shared by the server (createTypedRouter in
+// server/lib/typed-router.ts) and the client (client/lib/api.ts).
+// Changing a route's input or output here is a compile error on both sides.
+
+export type HttpMethod = "GET" | "POST" | "PUT" | "PATCH" | "DELETE"
+
+export interface RouteDefinition {
+  method: HttpMethod
+  // Full path including /api, with :param placeholders
+  path: string
+  params?: ZodTypeAny
+  query?: ZodTypeAny
+  body?: ZodTypeAny
+  // JSON response body. Omit for empty (204) responses.
+  output?: ZodTypeAny
+  // Success status code (default 200, or 204 without output)
+  status?: number
+}
+
+export function defineRoute<const D extends RouteDefinition>(definition: D): D {
+  return definition
+}
+
+type InputPart<D, K extends "params" | "query" | "body"> = D extends {
+  [P in K]: infer S extends ZodTypeAny
+}
+  ? {} extends z.input<S>
+    ? { [P in K]?: z.input<S> }
+    : { [P in K]: z.input<S> }
+  : {}
+
+// What the client sends
+export type RouteInput<D extends RouteDefinition> = InputPart<D, "params"> &
+  InputPart<D, "query"> &
+  InputPart<D, "body">
+
+// What the client receives, after parsing with the output schema
+export type RouteOutput<D extends RouteDefinition> = D extends {
+  output: infer S extends ZodTypeAny
+}
+  ? z.output<S>
+  : void
+
+// What a server handler returns, before JSON serialization
+export type RouteResult<D extends RouteDefinition> = D extends {
+  output: infer S extends ZodTypeAny
+}
+  ? z.input<S>
+  : void
+
+// Dates are sent as ISO strings and parsed back into Date on the client
+const timestamp = z.coerce.date()
+
+export const billingStatusSchema = z.object({
+  entitlements: z.array(z.string()),
+  subscription: z
+    .object({
+      status: z.string(),
+      priceId: z.string(),
+      currentPeriodEnd: timestamp.nullable(),
+      cancelAtPeriodEnd: z.boolean(),
+    })
+    .nullable(),
+})
+
+export const adminUserSchema = z.object({
+  id: z.string(),
+  name: z.string().nullable(),
+  email: z.string(),
+  image: z.string().nullable(),
+  role: z.string(),
+  permissions: z.array(z.string()),
+  createdAt: timestamp,
+})
+
+export const jobSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  payload: z.unknown(),
+  // One of JOB_STATUSES (shared/jobs.ts)
+  status: z.string(),
+  attempts: z.number(),
+  maxAttempts: z.number(),
+  runAt: timestamp,
+  lastError: z.string().nullable(),
+  completedAt: timestamp.nullable(),
+  createdAt: timestamp,
+  updatedAt: timestamp,
+})
+
+export const cronRunSchema = z.object({
+  id: z.string(),
+  task: z.string(),
+  scheduledAt: timestamp,
+  startedAt: timestamp,
+  finishedAt: timestamp.nullable(),
+  durationMs: z.number().nullable(),
+  // "running", "succeeded" or "failed"
+  status: z.string(),
+  error: z.string().nullable(),
+  instance: z.string(),
+})
+
+export const auditLogSchema = z.object({
+  id: z.string(),
+  action: z.string(),
+  actorId: z.string().nullable(),
+  actor: z
+    .object({ id: z.string(), name: z.string().nullable(), email: z.string() })
+    .nullable(),
+  apiKeyId: z.string().nullable(),
+  model: z.string().nullable(),
+  recordId: z.string().nullable(),
+  // { field: { from, to } }
+  diff: z.record(z.object({ from: z.unknown(), to: z.unknown() })).nullable(),
+  metadata: z.unknown(),
+  ip: z.string().nullable(),
+  requestId: z.string().nullable(),
+  createdAt: timestamp,
+})
+
+export const apiKeySchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  prefix: z.string(),
+  scopes: z.array(z.string()),
+  expiresAt: timestamp.nullable(),
+  lastUsedAt: timestamp.nullable(),
+  revokedAt: timestamp.nullable(),
+  createdAt: timestamp,
+})
+
+export const fileSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  contentType: z.string(),
+  size: z.number(),
+  // "pending" until a presigned upload is completed, then "ready"
+  status: z.string(),
+  // Authenticated download URL
+  url: z.string(),
+  createdAt: timestamp,
+})
+
+export const notificationSchema = z.object({
+  id: z.string(),
+  type: z.string(),
+  title: z.string(),
+  body: z.string().nullable(),
+  url: z.string().nullable(),
+  data: z.unknown(),
+  readAt: timestamp.nullable(),
+  createdAt: timestamp,
+})
+
+export const organizationSchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  slug: z.string(),
+  // The signed-in user's role, one of ORG_ROLES (shared/organizations.ts)
+  role: z.string(),
+  createdAt: timestamp,
+})
+
+export const memberSchema = z.object({
+  userId: z.string(),
+  name: z.string().nullable(),
+  email: z.string(),
+  image: z.string().nullable(),
+  role: z.string(),
+  createdAt: timestamp,
+})
+
+export const invitationSchema = z.object({
+  id: z.string(),
+  email: z.string(),
+  role: z.string(),
+  expiresAt: timestamp,
+  createdAt: timestamp,
+})
+
+const redirectSchema = z.object({ url: z.string().nullable() })
+
+export const api = {
+  hello: {
+    get: defineRoute({
+      method: "GET",
+      path: "/api/hello",
+      output: z.object({ message: z.string() }),
+    }),
+  },
+  billing: {
+    status: defineRoute({
+      method: "GET",
+      path: "/api/billing/status",
+      output: billingStatusSchema,
+    }),
+    checkout: defineRoute({
+      method: "POST",
+      path: "/api/billing/checkout",
+      body: checkoutSchema,
+      output: redirectSchema,
+    }),
+    portal: defineRoute({
+      method: "POST",
+      path: "/api/billing/portal",
+      output: redirectSchema,
+    }),
+  },
+  admin: {
+    listUsers: defineRoute({
+      method: "GET",
+      path: "/api/admin/users",
+      query: listUsersQuerySchema,
+      output: z.object({
+        users: z.array(adminUserSchema),
+        total: z.number(),
+        page: z.number(),
+        pageSize: z.number(),
+      }),
+    }),
+    updateUser: defineRoute({
+      method: "PATCH",
+      path: "/api/admin/users/:id",
+      params: idParamsSchema,
+      body: updateUserSchema,
+      output: adminUserSchema,
+    }),
+    // Background jobs, e.g. ?status=failed
+    listJobs: defineRoute({
+      method: "GET",
+      path: "/api/admin/jobs",
+      query: listJobsQuerySchema,
+      output: z.object({
+        jobs: z.array(jobSchema),
+        total: z.number(),
+        page: z.number(),
+        pageSize: z.number(),
+      }),
+    }),
+    // Run a failed job again
+    retryJob: defineRoute({
+      method: "POST",
+      path: "/api/admin/jobs/:id/retry",
+      params: idParamsSchema,
+      output: jobSchema,
+    }),
+    // Scheduled task run history, newest first
+    listCronRuns: defineRoute({
+      method: "GET",
+      path: "/api/admin/cron-runs",
+      query: listCronRunsQuerySchema,
+      output: z.object({
+        runs: z.array(cronRunSchema),
+        total: z.number(),
+        page: z.number(),
+        pageSize: z.number(),
+      }),
+    }),
+    // Audit log, newest first, e.g. ?action=auth.&actorId=...
+    listAuditLogs: defineRoute({
+      method: "GET",
+      path: "/api/admin/audit",
+      query: listAuditLogsQuerySchema,
+      output: z.object({
+        entries: z.array(auditLogSchema),
+        total: z.number(),
+        page: z.number(),
+        pageSize: z.number(),
+      }),
+    }),
+  },
+  apiKeys: {
+    list: defineRoute({
+      method: "GET",
+      path: "/api/api-keys",
+      output: z.array(apiKeySchema),
+    }),
+    create: defineRoute({
+      method: "POST",
+      path: "/api/api-keys",
+      body: createApiKeySchema,
+      // The plaintext key is only returned on creation
+      output: apiKeySchema.extend({ key: z.string() }),
+      status: 201,
+    }),
+    revoke: defineRoute({
+      method: "DELETE",
+      path: "/api/api-keys/:id",
+      params: idParamsSchema,
+    }),
+  },
+  files: {
+    list: defineRoute({
+      method: "GET",
+      path: "/api/files",
+      output: z.array(fileSchema),
+    }),
+    // Streaming multipart/form-data upload with a single "file" field
+    upload: defineRoute({
+      method: "POST",
+      path: "/api/files",
+      output: fileSchema,
+      status: 201,
+    }),
+    // Direct upload: PUT the file to `upload.url`, then call complete
+    presign: defineRoute({
+      method: "POST",
+      path: "/api/files/presign",
+      body: presignUploadSchema,
+      output: z.object({
+        file: fileSchema,
+        upload: z.object({
+          url: z.string(),
+          method: z.literal("PUT"),
+          headers: z.record(z.string()),
+          expiresAt: timestamp,
+        }),
+      }),
+      status: 201,
+    }),
+    complete: defineRoute({
+      method: "POST",
+      path: "/api/files/:id/complete",
+      params: idParamsSchema,
+      output: fileSchema,
+    }),
+    delete: defineRoute({
+      method: "DELETE",
+      path: "/api/files/:id",
+      params: idParamsSchema,
+    }),
+  },
+  notifications: {
+    // Newest first. Live updates come from NOTIFICATIONS_STREAM_URL
+    // (shared/notifications.ts).
+    list: defineRoute({
+      method: "GET",
+      path: "/api/notifications",
+      query: listNotificationsQuerySchema,
+      output: z.object({
+        notifications: z.array(notificationSchema),
+        unreadCount: z.number(),
+        nextCursor: z.string().nullable(),
+      }),
+    }),
+    markRead: defineRoute({
+      method: "POST",
+      path: "/api/notifications/:id/read",
+      params: idParamsSchema,
+      output: notificationSchema,
+    }),
+    markAllRead: defineRoute({
+      method: "POST",
+      path: "/api/notifications/read-all",
+    }),
+  },
+  // Routes under /current act on the active organization (the session's,
+  // or the one in the X-Organization-Id header)
+  organizations: {
+    list: defineRoute({
+      method: "GET",
+      path: "/api/organizations",
+      output: z.object({
+        organizations: z.array(organizationSchema),
+        activeOrganizationId: z.string().nullable(),
+      }),
+    }),
+    // The creator becomes the owner
+    create: defineRoute({
+      method: "POST",
+      path: "/api/organizations",
+      body: createOrganizationSchema,
+      output: organizationSchema,
+      status: 201,
+    }),
+    current: defineRoute({
+      method: "GET",
+      path: "/api/organizations/current",
+      output: organizationSchema,
+    }),
+    update: defineRoute({
+      method: "PATCH",
+      path: "/api/organizations/current",
+      body: updateOrganizationSchema,
+      output: organizationSchema,
+    }),
+    members: defineRoute({
+      method: "GET",
+      path: "/api/organizations/current/members",
+      output: z.array(memberSchema),
+    }),
+    // :id is the member's user ID
+    updateMember: defineRoute({
+      method: "PATCH",
+      path: "/api/organizations/current/members/:id",
+      params: idParamsSchema,
+      body: updateMemberSchema,
+      output: memberSchema,
+    }),
+    // Also used to leave the organization (own user ID)
+    removeMember: defineRoute({
+      method: "DELETE",
+      path: "/api/organizations/current/members/:id",
+      params: idParamsSchema,
+    }),
+    // Pending invitations
+    invitations: defineRoute({
+      method: "GET",
+      path: "/api/organizations/current/invitations",
+      output: z.array(invitationSchema),
+    }),
+    // Emails a link to /invite?token=...
+    invite: defineRoute({
+      method: "POST",
+      path: "/api/organizations/current/invitations",
+      body: inviteMemberSchema,
+      output: invitationSchema,
+      status: 201,
+    }),
+    revokeInvitation: defineRoute({
+      method: "DELETE",
+      path: "/api/organizations/current/invitations/:id",
+      params: idParamsSchema,
+    }),
+    // For the signed-in user, whose email must match the invitation's
+    acceptInvitation: defineRoute({
+      method: "POST",
+      path: "/api/organizations/invitations/accept",
+      body: acceptInvitationSchema,
+      output: organizationSchema,
+    }),
+  },
+}
@@ -0,0 +1,33 @@
+// Roles and permissions shared by server middleware and client guards
+
+export const ROLES = ["user", "admin"] as const
+export type Role = (typeof ROLES)[number]
+
+// Permissions granted by each role, in addition to any stored on the user.
+// "*" grants every permission.
+export const ROLE_PERMISSIONS: Record<Role, readonly string[]> = {
+  user: [],
+  admin: ["*"],
+}
+
+export function isRole(value: unknown): value is Role {
+  return ROLES.includes(value as Role)
+}
+
+export function hasPermission(
+  user: { role?: string | null; permissions?: string[] | null } | undefined,
+  permission: string
+): boolean {
+  if (!user) return false
+  const granted = [
+    ...(isRole(user.role) ? ROLE_PERMISSIONS[user.role] : []),
+    ...(user.permissions ?? []),
+  ]
+  return granted.includes("*") || granted.includes(permission)
+}
+
+// Scopes an API key can be granted. "read" allows GET/HEAD requests and
+// "write" all others; "admin" is required on top of the admin role (or an
+// admin-granted permission).
+export const API_KEY_SCOPES = ["read", "write", "admin"] as const
+export type ApiKeyScope = (typeof API_KEY_SCOPES)[number]
@@ -0,0 +1,9 @@
+// Double-submit CSRF protection: the server sets a random token in a cookie
+// readable by the page, and every unsafe /api request must echo it in the
+// header. Cross-site pages can send the cookie but cannot read it.
+export const CSRF_HEADER = "X-CSRF-Token"
+
+// The cookie gets the "__Host-" prefix when cookies are Secure
+// (see server/lib/cookie-policy.ts)
+export const CSRF_COOKIE = "csrf-token"
+export const SECURE_CSRF_COOKIE = `__Host-${CSRF_COOKIE}`
@@ -0,0 +1,21 @@
+// Error body returned by every /api route, as application/problem+json
+// (RFC 7807). The client turns it into an ApiError (client/lib/api-error.ts).
+export interface ProblemDetails {
+  // URI identifying the problem type, "about:blank" when only the status matters
+  type: string
+  // Short summary of the problem type, e.g. "Not Found"
+  title: string
+  status: number
+  // Explanation specific to this occurrence, safe to show to users
+  detail?: string
+  // Path of the request that failed
+  instance?: string
+  // Matches the X-Request-Id response header, for finding the server logs
+  requestId?: string
+  // Machine-readable error code, e.g. "unique_violation"
+  code?: string
+  // Per-field messages for invalid input, see ValidationErrorBody
+  fieldErrors?: Record<string, string[]>
+}
+
+export const PROBLEM_CONTENT_TYPE = "application/problem+json"
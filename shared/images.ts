@@ -0,0 +1,64 @@
+// Image variants served by GET /api/files/:id/image (server/lib/images.ts)
+// and requested by the <Image> component (client/components/Image.tsx)
+
+// Requested widths and heights are rounded up to one of these, and the
+// quality to one of IMAGE_QUALITIES, so only a bounded set of variants is
+// generated and cached per image
+export const IMAGE_SIZES = [
+  16, 32, 48, 64, 96, 128, 256, 384, 640, 750, 828, 1080, 1200, 1920, 2048,
+  3840,
+] as const
+
+// "auto" picks AVIF or WebP from the Accept header
+export const IMAGE_FORMATS = ["auto", "avif", "webp", "jpeg", "png"] as const
+export type ImageFormat = (typeof IMAGE_FORMATS)[number]
+
+// How the image fills width x height (see sharp's resize `fit`)
+export const IMAGE_FITS = ["cover", "contain", "inside"] as const
+export type ImageFit = (typeof IMAGE_FITS)[number]
+
+export const IMAGE_QUALITIES = [50, 75, 90] as const
+export const DEFAULT_IMAGE_QUALITY = 75
+
+export interface ImageOptions {
+  width?: number
+  height?: number
+  fit?: ImageFit
+  format?: ImageFormat
+  quality?: number
+}
+
+// Smallest allowed size at least as large as `size`
+export function snapImageSize(size: number): number {
+  return (
+    IMAGE_SIZES.find((allowed) => allowed >= size) ??
+    IMAGE_SIZES[IMAGE_SIZES.length - 1]
+  )
+}
+
+// Smallest allowed quality at least as high as `quality`
+export function snapImageQuality(quality: number): number {
+  return (
+    IMAGE_QUALITIES.find((allowed) => allowed >= quality) ??
+    IMAGE_QUALITIES[IMAGE_QUALITIES.length - 1]
+  )
+}
+
+const FILE_URL = /^\/api\/files\/([^/?#]+)\/(?:content|image)(?:[?#]|$)/
+
+// The file ID in a file URL (file.url from the API), or null for other URLs
+export function fileIdFromUrl(url: string): string | null {
+  return FILE_URL.exec(url)?.[1] ?? null
+}
+
+export function imageUrl(fileId: string, options: ImageOptions = {}): string {
+  const search = new URLSearchParams()
+  if (options.width) search.set("w", String(options.width))
+  if (options.height) search.set("h", String(options.height))
+  if (options.fit) search.set("fit", options.fit)
+  if (options.format) search.set("format", options.format)
+  if (options.quality) search.set("q", String(options.quality))
+
+  const query = search.toString()
+  return `/api/files/${fileId}/image${query ? `?${query}` : ""}`
+}
@@ -0,0 +1,8 @@
+// Background job states (server/lib/jobs.ts)
+export const JOB_STATUSES = [
+  "pending",
+  "running",
+  "completed",
+  "failed",
+] as const
+export type JobStatus = (typeof JOB_STATUSES)[number]
@@ -0,0 +1,12 @@
+import "next-auth"
+
+// Fields added to the session user by the jwt/session callbacks in
+// server/routes/auth.ts
+declare module "next-auth" {
+  interface User {
+    role?: string
+    permissions?: string[]
+    // Organization the user is working in (server/lib/organizations.ts)
+    activeOrganizationId?: string | null
+  }
+}
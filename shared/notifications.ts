@@ -0,0 +1,5 @@
+// Server-sent events stream of the signed-in user's new notifications
+// (server/routes/notifications.ts, client/hooks/useNotifications.ts). Each
+// "notification" event carries one notification as JSON.
+export const NOTIFICATIONS_STREAM_URL = "/api/notifications/stream"
+export const NOTIFICATION_EVENT = "notification"
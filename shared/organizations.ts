@@ -0,0 +1,19 @@
+// Roles within an organization, lowest first. Each role may do everything
+// the roles before it may.
+export const ORG_ROLES = ["member", "admin", "owner"] as const
+export type OrgRole = (typeof ORG_ROLES)[number]
+
+export function isOrgRole(value: unknown): value is OrgRole {
+  return ORG_ROLES.includes(value as OrgRole)
+}
+
+// True when `role` is `minimum` or above
+export function hasOrgRole(role: string, minimum: OrgRole): boolean {
+  return (
+    isOrgRole(role) && ORG_ROLES.indexOf(role) >= ORG_ROLES.indexOf(minimum)
+  )
+}
+
+// Selects the organization for one request instead of the session's active
+// organization, e.g. for API keys
+export const ORGANIZATION_HEADER = "X-Organization-Id"
@@ -0,0 +1,133 @@
+import { z } from "zod"
+import { API_KEY_SCOPES, ROLES } from "./auth"
+import { DEFAULT_IMAGE_QUALITY, IMAGE_FITS, IMAGE_FORMATS } from "./images"
+import { JOB_STATUSES } from "./jobs"
+import { ORG_ROLES } from "./organizations"
+
+// Request schemas shared by server validation (server/lib/validate.ts) and
+// client forms (zodResolver from @hookform/resolvers/zod)
+
+export const idParamsSchema = z.object({
+  id: z.string().min(1),
+})
+
+export const paginationQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20),
+})
+
+export const listUsersQuerySchema = paginationQuerySchema.extend({
+  q: z.string().trim().optional(),
+})
+
+export const listJobsQuerySchema = paginationQuerySchema.extend({
+  status: z.enum(JOB_STATUSES).optional(),
+  name: z.string().trim().optional(),
+})
+
+export const listCronRunsQuerySchema = paginationQuerySchema.extend({
+  task: z.string().trim().optional(),
+  status: z.enum(["running", "succeeded", "failed"]).optional(),
+})
+
+export const listAuditLogsQuerySchema = paginationQuerySchema.extend({
+  // Matches by prefix, so "auth." lists every auth.* action
+  action: z.string().trim().optional(),
+  actorId: z.string().trim().optional(),
+  model: z.string().trim().optional(),
+  recordId: z.string().trim().optional(),
+  requestId: z.string().trim().optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+})
+
+export const listNotificationsQuerySchema = z.object({
+  // Only unread notifications
+  unread: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  // nextCursor of the previous page
+  cursor: z.string().optional(),
+})
+
+export const updateUserSchema = z.object({
+  role: z.enum(ROLES).optional(),
+  permissions: z.array(z.string().min(1)).optional(),
+})
+export type UpdateUserInput = z.infer<typeof updateUserSchema>
+
+export const createApiKeySchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES))
+    .min(1, "Select at least one scope")
+    .default(["read"]),
+  expiresInDays: z.number().int().positive().optional(),
+})
+export type CreateApiKeyInput = z.infer<typeof createApiKeySchema>
+
+export const createOrganizationSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(80),
+  // Derived from the name when omitted
+  slug: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(
+      /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+      "Use lowercase letters, numbers and dashes"
+    )
+    .max(48)
+    .optional(),
+})
+export type CreateOrganizationInput = z.infer<typeof createOrganizationSchema>
+
+export const updateOrganizationSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(80),
+})
+export type UpdateOrganizationInput = z.infer<typeof updateOrganizationSchema>
+
+export const inviteMemberSchema = z.object({
+  email: z.string().trim().toLowerCase().email("Enter a valid email address"),
+  role: z.enum(ORG_ROLES).default("member"),
+})
+export type InviteMemberInput = z.infer<typeof inviteMemberSchema>
+
+export const updateMemberSchema = z.object({
+  role: z.enum(ORG_ROLES),
+})
+export type UpdateMemberInput = z.infer<typeof updateMemberSchema>
+
+export const acceptInvitationSchema = z.object({
+  token: z.string().min(1),
+})
+
+export const checkoutSchema = z.object({
+  plan: z.string().min(1).default("pro"),
+})
+export type CheckoutInput = z.infer<typeof checkoutSchema>
+
+export const presignUploadSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(255),
+  contentType: z
+    .string()
+    .trim()
+    .min(1)
+    .max(255)
+    .default("application/octet-stream"),
+  // Bytes; checked against the uploaded object on completion
+  size: z.number().int().min(0),
+})
+export type PresignUploadInput = z.infer<typeof presignUploadSchema>
+
+// Query of GET /api/files/:id/image (see shared/images.ts)
+export const imageQuerySchema = z.object({
+  w: z.coerce.number().int().min(1).max(3840).optional(),
+  h: z.coerce.number().int().min(1).max(3840).optional(),
+  fit: z.enum(IMAGE_FITS).default("cover"),
+  format: z.enum(IMAGE_FORMATS).default("auto"),
+  q: z.coerce.number().int().min(1).max(100).default(DEFAULT_IMAGE_QUALITY),
+})
+export type ImageQuery = z.infer<typeof imageQuerySchema>
@@ -1,2 +1,8 @@
+import type { z } from "zod"
+import type { billingStatusSchema } from "./api"
+
 // re-export all Prisma generated types
 export type * from "@prisma/client"
+
+// GET /api/billing/status
+export type BillingStatus = z.input<typeof billingStatusSchema>
@@ -0,0 +1,10 @@
+import type { ProblemDetails } from "./errors"
+
+// 400 problem returned by the server's validate() middleware.
+// fieldErrors is keyed by body field path ("email", "address.city");
+// query and route params are prefixed ("query.page", "params.id").
+export interface ValidationErrorBody extends ProblemDetails {
+  status: 400
+  code: "validation_failed"
+  fieldErrors: Record<string, string[]>
+}
@@ -47,10 +47,11 @@ export default defineConfig({
     },
   },
   resolve: {
+    // Matched in order, so the catch-all "@" comes last
     alias: {
-      "@": path.resolve(import.meta.dirname, "client"),
       "@/shared": path.resolve(import.meta.dirname, "shared"),
       "@/assets": path.resolve(import.meta.dirname, "assets"),
+      "@": path.resolve(import.meta.dirname, "client"),
     },
   },
   root: path.resolve(import.meta.dirname, "client"),
@@ -0,0 +1,19 @@
+import path from "path"
+import { defineConfig } from "vitest/config"
+
+// Server tests (*.test.ts next to the code they cover). Separate from
+// vite.config.ts, which builds the client. Aliases mirror tsconfig paths.
+export default defineConfig({
+  resolve: {
+    alias: [
+      { find: /^@\/shared\//, replacement: path.resolve("shared") + "/" },
+      { find: /^@\/server\//, replacement: path.resolve("server") + "/" },
+      { find: /^server\//, replacement: path.resolve("server") + "/" },
+      { find: /^@\//, replacement: path.resolve("client") + "/" },
+    ],
+  },
+  test: {
+    include: ["server/**/*.test.ts"],
+    environment: "node",
+  },
+})